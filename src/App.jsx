@@ -1,12 +1,32 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { TrapMasterProEngine } from './engine/audioEngine.js';
 import FileUpload from './components/FileUpload.jsx';
 import PresetSelector from './components/PresetSelector.jsx';
+import PresetEditor from './components/PresetEditor.jsx';
+import PresetMorph from './components/PresetMorph.jsx';
 import LoudnessMeter from './components/LoudnessMeter.jsx';
+import DynamicsStats from './components/DynamicsStats.jsx';
+import MusicalAnalysis from './components/MusicalAnalysis.jsx';
+import SectionOverview from './components/SectionOverview.jsx';
+import SourceDiagnosticsPanel from './components/SourceDiagnosticsPanel.jsx';
+import StereoPhaseView from './components/StereoPhaseView.jsx';
+import Goniometer from './components/Goniometer.jsx';
+import SpectrogramView from './components/SpectrogramView.jsx';
+import LiveLoudnessMeters from './components/LiveLoudnessMeters.jsx';
+import LoudnessTimeline from './components/LoudnessTimeline.jsx';
+import ReferencePanel from './components/ReferencePanel.jsx';
+import TonalBalanceView from './components/TonalBalanceView.jsx';
+import AIPresetRecommendations from './components/AIPresetRecommendations.jsx';
+import ABToggle from './components/ABToggle.jsx';
+import ComparisonSlots from './components/ComparisonSlots.jsx';
 import VolumeMixer from './components/VolumeMixer.jsx';
 import WaveformVisualizer from './components/WaveformVisualizer.jsx';
 import ExportButtons from './components/ExportButtons.jsx';
 import ExportValidationPanel from './components/ExportValidationPanel.jsx';
+import { getGenreTargets } from './engine/tonalBalance.js';
+import { getPresetById } from './engine/presetCategories.js';
+import { PRESET_MORPH_NAME } from './engine/presets.js';
+import { getUnimplementedPresets } from './engine/presetDefinitions.js';
 import { Loader2, AlertCircle, Play, Pause, RotateCcw } from 'lucide-react';
 
 export default function App() {
@@ -17,6 +37,11 @@ export default function App() {
   const [selectedPreset, setSelectedPreset] = useState(null);
   const [presets, setPresets] = useState([]);
   const [presetIntents, setPresetIntents] = useState({});
+  const [customPresets, setCustomPresets] = useState([]);
+  const [editor, setEditor] = useState(null);
+  const [presetIntensity, setPresetIntensity] = useState(1);
+  const [morph, setMorph] = useState({ from: null, to: null, amount: 0.5 });
+  const [comparison, setComparison] = useState(null);
   const [analysisData, setAnalysisData] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -24,11 +49,51 @@ export default function App() {
   const [processedVolume, setProcessedVolume] = useState(1);
   const [fileName, setFileName] = useState('');
   const [audioBuffer, setAudioBuffer] = useState(null);
+  const [exportValidation, setExportValidation] = useState(null);
+  const [meterReadings, setMeterReadings] = useState(null);
+  const [processedRender, setProcessedRender] = useState(null);
+  const [rendering, setRendering] = useState(false);
+  const [referenceInfo, setReferenceInfo] = useState(null);
+  const [referenceMode, setReferenceMode] = useState('off');
+  const [matchStrength, setMatchStrength] = useState(1);
+  const [referenceMatch, setReferenceMatch] = useState(null);
+  const [referenceVolume, setReferenceVolume] = useState(0);
+  const [monitorSlot, setMonitorSlot] = useState('processed');
+  const [genre, setGenre] = useState(null);
+  const [tonalCorrection, setTonalCorrection] = useState({ enabled: false, strength: 1 });
+  const [recommendations, setRecommendations] = useState([]);
+  const [musicalSync, setMusicalSync] = useState({ tempoRelease: false, keyAwarePitch: false });
+  const [sectionAdaptive, setSectionAdaptive] = useState(false);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [sourceFixes, setSourceFixes] = useState({ dcOffset: false, polarity: false, declip: false });
+  const [spectrograms, setSpectrograms] = useState(null);
+  const [spectrogramLoading, setSpectrogramLoading] = useState(false);
+  const [waveformPeaks, setWaveformPeaks] = useState(null);
+  const [loopRegion, setLoopRegion] = useState(null);
   
   const audioFileRef = useRef(null);
   const timeUpdateIntervalRef = useRef(null);
   const currentSourceRef = useRef(null);
 
+  // Preset names (built-in and custom) with their intents
+  const loadPresetList = (audioEngine) => {
+    const presetList = audioEngine.getPresets();
+    setPresets(presetList);
+    setCustomPresets(presetList.filter(preset => audioEngine.isCustomPreset(preset)));
+    
+    // Get intents for all presets (no prototype, so any custom name is a plain key)
+    const intents = Object.create(null);
+    presetList.forEach(preset => {
+      intents[preset] = audioEngine.getPresetIntent(preset);
+    });
+    setPresetIntents(intents);
+    
+    // Keep the morph pointing at presets that still exist
+    setMorph(current => (presetList.includes(current.from) && presetList.includes(current.to)
+      ? current
+      : { ...current, from: presetList[0], to: presetList[1] }));
+  };
+
   // Initialize engine (deferred - browsers may require user interaction for AudioContext)
   useEffect(() => {
     const initEngine = async () => {
@@ -39,15 +104,13 @@ export default function App() {
         
         if (initialized) {
           setEngine(audioEngine);
-          const presetList = audioEngine.getPresets();
-          setPresets(presetList);
+          loadPresetList(audioEngine);
           
-          // Get intents for all presets
-          const intents = {};
-          presetList.forEach(preset => {
-            intents[preset] = audioEngine.getPresetIntent(preset);
-          });
-          setPresetIntents(intents);
+          // Catalogue entries the engine cannot build would be recommended but never play
+          const unimplemented = getUnimplementedPresets();
+          if (unimplemented.length > 0) {
+            setError(`No processing for catalogue presets: ${unimplemented.map(preset => preset.name).join(', ')}`);
+          }
         } else {
           setError('Failed to initialize audio engine. Please refresh the page.');
         }
@@ -73,6 +136,9 @@ export default function App() {
     setSelectedPreset(null);
     setIsPlaying(false);
     setCurrentTime(0);
+    setProcessedRender(null);
+    setSpectrograms(null);
+    setLoopRegion(null);
     stopPlayback();
     audioFileRef.current = file;
     setFileName(file.name);
@@ -82,7 +148,12 @@ export default function App() {
       
       if (result.success) {
         setAnalysisData(result.analysis);
+        setDiagnostics(result.diagnostics);
+        setSourceFixes(engine.sourceFixes);
         setAudioBuffer(engine.originalBuffer);
+        setWaveformPeaks(engine.getWaveformPeaks());
+        setRecommendations(engine.getRecommendations());
+        setComparison(engine.getComparisonState());
         setAudioLoaded(true);
       } else {
         setError(result.error || 'Failed to load audio file');
@@ -97,6 +168,9 @@ export default function App() {
   // Handle preset selection (for real-time preview)
   const handlePresetSelect = (preset) => {
     setSelectedPreset(preset);
+    if (engine) {
+      setPresetIntensity(engine.getPresetIntensity(preset));
+    }
     
     // If playing, switch preset in real-time
     if (isPlaying && engine) {
@@ -104,6 +178,164 @@ export default function App() {
     }
   };
 
+  // Preset editor: edits a copy of the selected preset as the draft, which plays live
+  const handleEditPreset = () => {
+    if (!engine || presets.length === 0) return;
+    
+    const baseName = selectedPreset && engine.getPresetDefinition(selectedPreset) ? selectedPreset : presets[0];
+    const definition = structuredClone(engine.getPresetDefinition(baseName));
+    setEditor({ baseName, definition });
+    handlePresetSelect(engine.setPresetDraft(definition));
+  };
+
+  const handleEditorChange = (definition) => {
+    setEditor(current => ({ ...current, definition }));
+    engine.setPresetDraft(definition);
+  };
+
+  const handleEditorSave = (name) => {
+    try {
+      engine.saveCustomPreset(name, editor.definition);
+      loadPresetList(engine);
+      setEditor(null);
+      handlePresetSelect(name.trim());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEditorDelete = () => {
+    engine.deleteCustomPreset(editor.baseName);
+    loadPresetList(engine);
+    setEditor(null);
+    handlePresetSelect(engine.getPresets()[0]);
+  };
+
+  const handleEditorClose = () => {
+    setEditor(null);
+    handlePresetSelect(editor.baseName);
+  };
+
+  // Intensity macro of the selected preset (the editor draft keeps it in its definition)
+  const handleIntensityChange = (intensity) => {
+    if (!engine || !selectedPreset) return;
+    
+    setProcessedRender(null);
+    if (editor) {
+      handleEditorChange({ ...editor.definition, intensity });
+      setPresetIntensity(intensity);
+    } else {
+      setPresetIntensity(engine.setPresetIntensity(selectedPreset, intensity));
+    }
+  };
+
+  // Morph between two presets; plays and renders as PRESET_MORPH_NAME once selected
+  const handleMorphChange = (next) => {
+    setMorph(next);
+    if (!engine) return;
+    
+    engine.setPresetMorph(next.from, next.to, next.amount);
+    if (selectedPreset === PRESET_MORPH_NAME) {
+      setProcessedRender(null);
+      setPresetIntensity(engine.getPresetIntensity(PRESET_MORPH_NAME));
+    }
+  };
+
+  const handleMorphAudition = () => {
+    if (!engine) return;
+    handlePresetSelect(engine.setPresetMorph(morph.from, morph.to, morph.amount));
+  };
+
+  const handleMorphSave = (name) => {
+    try {
+      const definition = engine.getPresetDefinition(engine.setPresetMorph(morph.from, morph.to, morph.amount));
+      engine.saveCustomPreset(name, definition);
+      loadPresetList(engine);
+      handlePresetSelect(name.trim());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Preset files (.tmpreset) for sharing presets between machines
+  const handlePresetImport = async (file) => {
+    if (!engine) return;
+    
+    const result = await engine.importPresetFile(file);
+    if (result.success) {
+      loadPresetList(engine);
+      handlePresetSelect(result.name);
+    } else {
+      setError(result.error || 'Failed to import preset');
+    }
+  };
+
+  const handlePresetExport = (preset) => {
+    const result = engine.exportPresetFile(preset);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  // Offline render of the selected preset, with the reference match when enabled
+  const renderSelected = async () => {
+    const useReference = referenceMode !== 'off' && referenceInfo;
+    const result = useReference
+      ? await engine.processReferenceMatch(selectedPreset, { mode: referenceMode, strength: matchStrength })
+      : await engine.processPreset(selectedPreset);
+    
+    if (result.success) {
+      setProcessedRender({ preset: selectedPreset, analysis: result.processedAnalysis });
+      setReferenceMatch(result.match || null);
+      // Reference level matching follows the new render
+      engine.setVolumeMix(originalVolume, processedVolume, referenceVolume);
+    }
+    return result;
+  };
+
+  // Render the selected preset offline so its loudness can be compared over time
+  const handleRenderProcessed = async () => {
+    if (!engine || !selectedPreset) return;
+    
+    setRendering(true);
+    try {
+      const result = await renderSelected();
+      if (!result.success) {
+        setError(result.error || 'Failed to render preset');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  // Spectrograms are computed on request (a full STFT per render), then follow new renders
+  const handleShowSpectrogram = () => {
+    if (!engine || !audioLoaded) return;
+    
+    setSpectrogramLoading(true);
+    // Let the spinner paint before the analysis blocks the thread
+    setTimeout(() => {
+      try {
+        setSpectrograms(engine.getSpectrograms());
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setSpectrogramLoading(false);
+      }
+    }, 0);
+  };
+
+  useEffect(() => {
+    if (engine && spectrograms && processedRender) {
+      setSpectrograms(engine.getSpectrograms());
+    }
+    if (engine && processedRender) {
+      setWaveformPeaks(engine.getWaveformPeaks());
+    }
+  }, [processedRender]);
+
   // Handle preset preview (starts playback with preset)
   const handlePresetPreview = (preset) => {
     if (!engine || !audioLoaded) return;
@@ -119,8 +351,23 @@ export default function App() {
     }
   };
 
-  // Start playback
-  const startPlayback = (preset = selectedPreset) => {
+  // Follow the engine transport (AudioContext clock) with the playhead
+  const startPositionUpdates = () => {
+    stopPositionUpdates();
+    timeUpdateIntervalRef.current = setInterval(() => {
+      setCurrentTime(engine.getPlaybackPosition());
+    }, 100);
+  };
+
+  const stopPositionUpdates = () => {
+    if (timeUpdateIntervalRef.current) {
+      clearInterval(timeUpdateIntervalRef.current);
+      timeUpdateIntervalRef.current = null;
+    }
+  };
+
+  // Start playback from an offset (seconds), repeating the loop region when set
+  const startPlayback = (preset = selectedPreset, offset = currentTime, loop = loopRegion) => {
     if (!engine || !audioLoaded) return;
     
     stopPlayback();
@@ -134,38 +381,17 @@ export default function App() {
           setIsPlaying(false);
           setCurrentTime(0);
           currentSourceRef.current = null;
-          if (timeUpdateIntervalRef.current) {
-            clearInterval(timeUpdateIntervalRef.current);
-            timeUpdateIntervalRef.current = null;
-          }
-        }
+          stopPositionUpdates();
+        },
+        referenceVolume,
+        { offset, loop }
       );
       
       currentSourceRef.current = source;
       setIsPlaying(true);
-      
-      // Update time
-      if (timeUpdateIntervalRef.current) {
-        clearInterval(timeUpdateIntervalRef.current);
-      }
-      
-      const startTime = Date.now() - (currentTime * 1000);
-      timeUpdateIntervalRef.current = setInterval(() => {
-        if (audioBuffer) {
-          const elapsed = (Date.now() - startTime) / 1000;
-          const newTime = elapsed % audioBuffer.duration;
-          setCurrentTime(newTime);
-          
-          if (newTime >= audioBuffer.duration - 0.1) {
-            setIsPlaying(false);
-            setCurrentTime(0);
-            if (timeUpdateIntervalRef.current) {
-              clearInterval(timeUpdateIntervalRef.current);
-              timeUpdateIntervalRef.current = null;
-            }
-          }
-        }
-      }, 100);
+      setCurrentTime(engine.getPlaybackPosition());
+      engine.startMetering(setMeterReadings);
+      startPositionUpdates();
     } catch (err) {
       setError(err.message);
     }
@@ -176,24 +402,59 @@ export default function App() {
     if (engine) {
       engine.stopRealtime();
     }
-    if (timeUpdateIntervalRef.current) {
-      clearInterval(timeUpdateIntervalRef.current);
-      timeUpdateIntervalRef.current = null;
-    }
+    stopPositionUpdates();
+    setIsPlaying(false);
+    currentSourceRef.current = null;
+  };
+
+  // Pause at the current sample; play resumes from there
+  const pausePlayback = () => {
+    setCurrentTime(engine.pauseRealtime());
+    stopPositionUpdates();
     setIsPlaying(false);
     currentSourceRef.current = null;
   };
 
+  const resumePlayback = () => {
+    currentSourceRef.current = engine.resumeRealtime(selectedPreset);
+    setIsPlaying(true);
+    engine.startMetering(setMeterReadings);
+    startPositionUpdates();
+  };
+
+  // Waveform click: move the playhead (and playback) to a time
+  const handleSeek = (time) => {
+    if (!engine) return;
+    setCurrentTime(engine.seekRealtime(time));
+    if (isPlaying) {
+      currentSourceRef.current = engine.currentSource;
+    }
+  };
+
+  // Waveform drag: loop region to repeat during playback (null clears it)
+  const handleLoopChange = (region) => {
+    setLoopRegion(region);
+    if (engine) {
+      engine.setLoopRegion(region);
+      currentSourceRef.current = engine.currentSource;
+      setCurrentTime(engine.getPlaybackPosition());
+    }
+  };
+
   // Handle play/pause toggle
   const handlePlayPause = () => {
     if (isPlaying) {
-      stopPlayback();
+      pausePlayback();
     } else {
       if (!selectedPreset) {
         setError('Please select a preset first');
         return;
       }
-      startPlayback();
+      if (engine.getPlaybackState() === 'paused') {
+        resumePlayback();
+      } else {
+        startPlayback();
+      }
     }
   };
 
@@ -201,14 +462,214 @@ export default function App() {
   const handleOriginalVolumeChange = (volume) => {
     setOriginalVolume(volume);
     if (engine) {
-      engine.setVolumeMix(volume, processedVolume);
+      engine.setVolumeMix(volume, processedVolume, referenceVolume);
     }
   };
 
   const handleProcessedVolumeChange = (volume) => {
     setProcessedVolume(volume);
     if (engine) {
-      engine.setVolumeMix(originalVolume, volume);
+      engine.setVolumeMix(originalVolume, volume, referenceVolume);
+    }
+  };
+
+  // A/B monitor: solo one slot at a time
+  const handleMonitorSelect = (slot) => {
+    const volumes = {
+      original: [1, 0, 0],
+      processed: [0, 1, 0],
+      reference: [0, 0, 1]
+    }[slot];
+    
+    setMonitorSlot(slot);
+    setOriginalVolume(volumes[0]);
+    setProcessedVolume(volumes[1]);
+    setReferenceVolume(volumes[2]);
+    if (engine) {
+      engine.setVolumeMix(...volumes);
+    }
+  };
+
+  // Handle reference track
+  const handleReferenceSelect = async (file) => {
+    if (!engine) return;
+    
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await engine.loadReferenceFile(file);
+      if (result.success) {
+        setReferenceInfo({ name: file.name, analysis: result.analysis, stereo: result.stereo });
+        setReferenceMatch(null);
+        setProcessedRender(null);
+        if (referenceMode === 'off') {
+          setReferenceMode('on-top');
+        }
+      } else {
+        setError(result.error || 'Failed to load reference file');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReferenceClear = () => {
+    if (engine) {
+      engine.clearReference();
+    }
+    setReferenceInfo(null);
+    setReferenceMatch(null);
+    setReferenceMode('off');
+    setProcessedRender(null);
+    if (monitorSlot === 'reference') {
+      handleMonitorSelect('processed');
+    }
+  };
+
+  const handleReferenceModeChange = (mode) => {
+    setReferenceMode(mode);
+    setReferenceMatch(null);
+    setProcessedRender(null);
+    if (engine) {
+      engine.clearReferenceMatch();
+    }
+  };
+
+  // Deviation from the genre target (recomputed only when its inputs change)
+  const tonalDeviation = useMemo(() => {
+    if (!engine || !genre) {
+      return { original: null, processed: null, correction: null };
+    }
+    return {
+      original: engine.getTonalDeviation(analysisData),
+      processed: processedRender?.preset === selectedPreset
+        ? engine.getTonalDeviation(processedRender.analysis)
+        : null,
+      correction: engine.correctiveEQ
+    };
+  }, [engine, genre, analysisData, processedRender, selectedPreset, tonalCorrection]);
+
+  // Genre tonal-balance target (feeds recommendations and the corrective EQ)
+  const handleGenreChange = (genreId) => {
+    setGenre(genreId);
+    setProcessedRender(null);
+    if (engine) {
+      engine.setGenreTarget(genreId);
+      setRecommendations(engine.getRecommendations());
+    }
+  };
+
+  const handleTonalCorrectionChange = (enabled, strength) => {
+    setTonalCorrection({ enabled, strength });
+    setProcessedRender(null);
+    if (engine) {
+      engine.setTonalCorrection(enabled, strength);
+    }
+  };
+
+  // Detected tempo/key feeding the compressors and pitch correction
+  const handleMusicalSyncChange = (options) => {
+    setMusicalSync(prev => ({ ...prev, ...options }));
+    setProcessedRender(null);
+    if (engine) {
+      engine.setMusicalSync(options);
+    }
+  };
+
+  // With source fixes on, the original A/B path plays the repaired source (so A/B isolates the preset)
+  const originalRepaired = Object.values(sourceFixes).some(Boolean);
+
+  // Repairs for problems found in the source (DC offset, polarity, clipping)
+  const handleSourceFixesChange = (options) => {
+    setProcessedRender(null);
+    if (engine) {
+      // Playback picks up the repaired source on its next start
+      setSourceFixes(engine.setSourceFixes(options));
+    }
+  };
+
+  const handleSectionAdaptiveChange = (enabled) => {
+    setSectionAdaptive(enabled);
+    setProcessedRender(null);
+    if (engine) {
+      engine.setSectionAdaptive(enabled);
+    }
+  };
+
+  // A/B/C/D comparison slots (engine calls return the new comparison state)
+  const updateComparison = (action) => {
+    try {
+      setComparison(action());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleComparisonAdd = async (kind) => {
+    if (!engine) return;
+    
+    if (kind !== 'render') {
+      updateComparison(() => engine.addComparisonSlot(kind, kind === 'reference' ? referenceInfo?.name : undefined));
+      return;
+    }
+    
+    // Render the selected preset with the current settings, named after what went into it
+    setRendering(true);
+    try {
+      const result = await renderSelected();
+      if (result.success) {
+        const presetLabel = selectedPreset === PRESET_MORPH_NAME ? engine.getPresetIntent(selectedPreset) : selectedPreset;
+        const name = [
+          presetLabel,
+          presetIntensity !== 1 ? `${Math.round(presetIntensity * 100)}%` : null,
+          referenceMode !== 'off' && referenceInfo ? `match ${referenceMode}` : null
+        ].filter(Boolean).join(' • ');
+        updateComparison(() => engine.addComparisonSlot('render', name));
+      } else {
+        setError(result.error || 'Failed to render preset');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  const handleComparisonRemove = (id) => {
+    updateComparison(() => {
+      const state = engine.removeComparisonSlot(id);
+      if (state.slots.length === 0 && state.enabled) {
+        engine.setComparisonEnabled(false);
+        return engine.getComparisonState();
+      }
+      return state;
+    });
+  };
+
+  const handleComparisonEnabledChange = (enabled) => {
+    updateComparison(() => {
+      engine.setComparisonEnabled(enabled);
+      return engine.getComparisonState();
+    });
+  };
+
+  const handleBlindStart = () => {
+    updateComparison(() => {
+      engine.setComparisonEnabled(true);
+      return engine.startBlindComparison();
+    });
+  };
+
+  // Recommendations come from the preset catalogue; only presets the engine implements can be selected
+  const handleRecommendationSelect = (presetId) => {
+    const preset = getPresetById(presetId);
+    if (preset && presets.includes(preset.name)) {
+      setError(null);
+      handlePresetSelect(preset.name);
+    } else {
+      setError(`Preset "${preset?.name || presetId}" is not available yet`);
     }
   };
 
@@ -218,17 +679,20 @@ export default function App() {
     
     setLoading(true);
     try {
-      // Process preset offline for export
-      const result = await engine.processPreset(selectedPreset);
+      // Process preset (and reference match, if enabled) offline for export
+      const result = await renderSelected();
       if (result.success) {
         const buffers = engine.getABBuffers();
         if (buffers) {
           const baseName = fileName.replace(/\.[^/.]+$/, '');
-          await engine.exportToWAV(buffers.processed, `${baseName}_${selectedPreset}.wav`, {
+          const exportResult = await engine.exportToWAV(buffers.processed, `${baseName}_${selectedPreset}.wav`, {
             bitDepth: 24, // High quality
             dither: true,
             normalize: false
           });
+          if (exportResult.validation) {
+            setExportValidation(exportResult.validation);
+          }
         }
       }
     } catch (err) {
@@ -243,8 +707,8 @@ export default function App() {
     
     setLoading(true);
     try {
-      // Process preset offline for export
-      const result = await engine.processPreset(selectedPreset);
+      // Process preset (and reference match, if enabled) offline for export
+      const result = await renderSelected();
       if (result.success) {
         const buffers = engine.getABBuffers();
         if (buffers) {
@@ -267,8 +731,8 @@ export default function App() {
     
     setLoading(true);
     try {
-      // Process preset offline for export
-      const result = await engine.processPreset(selectedPreset);
+      // Process preset (and reference match, if enabled) offline for export
+      const result = await renderSelected();
       if (result.success) {
         const buffers = engine.getABBuffers();
         if (buffers) {
@@ -359,15 +823,7 @@ export default function App() {
                   
                   if (initialized) {
                     setEngine(audioEngine);
-                    const presetList = audioEngine.getPresets();
-                    setPresets(presetList);
-                    
-                    // Get intents for all presets
-                    const intents = {};
-                    presetList.forEach(preset => {
-                      intents[preset] = audioEngine.getPresetIntent(preset);
-                    });
-                    setPresetIntents(intents);
+                    loadPresetList(audioEngine);
                   } else {
                     setError('Failed to initialize audio engine');
                   }
@@ -426,19 +882,15 @@ export default function App() {
                   {analysisData && (
                     <div className="mt-1 text-xs text-gray-500">
                       {analysisData.duration.toFixed(2)}s • {analysisData.sampleRate}Hz • {analysisData.channels} channel{analysisData.channels > 1 ? 's' : ''}
+                      {analysisData.tempo?.bpm ? ` • ${Math.round(analysisData.tempo.bpm)} BPM` : ''}
+                      {analysisData.key ? ` • ${analysisData.key.name}` : ''}
                     </div>
                   )}
                 </div>
                 
                 <div className="flex items-center gap-3">
                   <button
-                    onClick={() => {
-                      setCurrentTime(0);
-                      if (isPlaying) {
-                        stopPlayback();
-                        startPlayback();
-                      }
-                    }}
+                    onClick={() => handleSeek(loopRegion ? loopRegion.start : 0)}
                     className="p-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white transition-colors"
                     title="Restart"
                   >
@@ -468,22 +920,182 @@ export default function App() {
               {audioBuffer && (
                 <WaveformVisualizer
                   audioBuffer={audioBuffer}
+                  peaks={waveformPeaks?.original}
+                  processedPeaks={processedRender?.preset === selectedPreset ? waveformPeaks?.processed : null}
                   isPlaying={isPlaying}
                   currentTime={currentTime}
+                  beatGrid={analysisData?.tempo}
+                  sections={analysisData?.sections}
+                  issues={diagnostics?.issues}
+                  loopRegion={loopRegion}
+                  onSeek={handleSeek}
+                  onLoopChange={handleLoopChange}
+                />
+              )}
+
+              {/* Source Diagnostics */}
+              <SourceDiagnosticsPanel
+                diagnostics={diagnostics}
+                duration={analysisData?.duration}
+                fixes={sourceFixes}
+                onFixesChange={handleSourceFixesChange}
+              />
+
+              {/* Loudness Timeline */}
+              {analysisData && (
+                <LoudnessTimeline
+                  original={analysisData}
+                  processed={processedRender?.preset === selectedPreset ? processedRender.analysis : null}
+                  duration={analysisData.duration}
+                  currentTime={currentTime}
+                  isPlaying={isPlaying}
+                  rendering={rendering}
+                  onRender={selectedPreset ? handleRenderProcessed : null}
                 />
               )}
+
+              {/* Key & Tempo */}
+              <MusicalAnalysis
+                analysis={analysisData}
+                musicalSync={musicalSync}
+                onMusicalSyncChange={handleMusicalSyncChange}
+              />
+
+              {/* Song Sections */}
+              <SectionOverview
+                sections={analysisData?.sections}
+                adaptive={sectionAdaptive}
+                onAdaptiveChange={handleSectionAdaptiveChange}
+              />
             </div>
 
+            {/* Genre Tonal Balance */}
+            {analysisData && (
+              <div className="p-6 bg-gray-900/50 rounded-lg">
+                <TonalBalanceView
+                  genres={getGenreTargets()}
+                  genre={genre}
+                  original={tonalDeviation.original}
+                  processed={tonalDeviation.processed}
+                  correction={tonalDeviation.correction}
+                  correctionEnabled={tonalCorrection.enabled}
+                  correctionStrength={tonalCorrection.strength}
+                  onGenreChange={handleGenreChange}
+                  onCorrectionChange={handleTonalCorrectionChange}
+                />
+              </div>
+            )}
+
+            {/* Recommendations */}
+            <AIPresetRecommendations
+              recommendations={recommendations}
+              onSelect={handleRecommendationSelect}
+            />
+
             {/* Preset Selector */}
             <PresetSelector
               presets={presets}
               selectedPreset={selectedPreset}
               onSelect={handlePresetSelect}
               presetIntents={presetIntents}
+              customPresets={customPresets}
               isPlaying={isPlaying}
               onPreview={handlePresetPreview}
+              onEdit={editor ? null : handleEditPreset}
+              onImport={handlePresetImport}
+              onExport={handlePresetExport}
+              intensity={presetIntensity}
+              onIntensityChange={handleIntensityChange}
             />
 
+            {/* Preset Morph */}
+            {presets.length > 1 && morph.from && (
+              <div className="p-6 bg-gray-900/50 rounded-lg">
+                <PresetMorph
+                  presets={presets}
+                  morph={morph}
+                  isActive={selectedPreset === PRESET_MORPH_NAME}
+                  isPlaying={isPlaying}
+                  onChange={handleMorphChange}
+                  onAudition={handleMorphAudition}
+                  onSave={handleMorphSave}
+                />
+              </div>
+            )}
+
+            {/* Preset Editor */}
+            {editor && (
+              <div className="p-6 bg-gray-900/50 rounded-lg">
+                <PresetEditor
+                  key={editor.baseName}
+                  definition={editor.definition}
+                  baseName={editor.baseName}
+                  canDelete={customPresets.includes(editor.baseName)}
+                  isPlaying={isPlaying}
+                  onChange={handleEditorChange}
+                  onSave={handleEditorSave}
+                  onDelete={handleEditorDelete}
+                  onClose={handleEditorClose}
+                />
+              </div>
+            )}
+
+            {/* Stereo Phase & Mono Compatibility */}
+            {analysisData && (
+              <div className="p-6 bg-gray-900/50 rounded-lg flex gap-6">
+                <div className="flex-1 min-w-0">
+                  <StereoPhaseView
+                    original={analysisData.stereoPhase}
+                    processed={processedRender?.preset === selectedPreset ? processedRender.analysis.stereoPhase : null}
+                    duration={analysisData.duration}
+                    currentTime={currentTime}
+                    isPlaying={isPlaying}
+                    rendering={rendering}
+                    onRender={selectedPreset ? handleRenderProcessed : null}
+                  />
+                </div>
+                <Goniometer scope={meterReadings?.scope} isPlaying={isPlaying} />
+              </div>
+            )}
+
+            {/* Spectrogram */}
+            {analysisData && (
+              <div className="p-6 bg-gray-900/50 rounded-lg">
+                <SpectrogramView
+                  spectrograms={spectrograms && {
+                    original: spectrograms.original,
+                    processed: processedRender?.preset === selectedPreset ? spectrograms.processed : null
+                  }}
+                  loading={spectrogramLoading}
+                  onShow={handleShowSpectrogram}
+                  levelOffset={processedRender ? processedRender.analysis.integratedLUFS - analysisData.integratedLUFS : 0}
+                  duration={analysisData.duration}
+                  currentTime={currentTime}
+                  isPlaying={isPlaying}
+                  rendering={rendering}
+                  onRender={selectedPreset ? handleRenderProcessed : null}
+                />
+              </div>
+            )}
+
+            {/* Reference Match */}
+            {selectedPreset && (
+              <div className="p-6 bg-gray-900/50 rounded-lg">
+                <ReferencePanel
+                  reference={referenceInfo}
+                  mode={referenceMode}
+                  strength={matchStrength}
+                  match={referenceMatch}
+                  rendering={rendering}
+                  onFileSelect={handleReferenceSelect}
+                  onClear={handleReferenceClear}
+                  onModeChange={handleReferenceModeChange}
+                  onStrengthChange={setMatchStrength}
+                  onRender={handleRenderProcessed}
+                />
+              </div>
+            )}
+
             {/* Volume Mixer */}
             {selectedPreset && (
               <div className="p-6 bg-gray-900/50 rounded-lg">
@@ -491,9 +1103,44 @@ export default function App() {
                 <p className="text-sm text-gray-400 mb-4">
                   Adjust the balance between original and processed audio. Play both simultaneously to hear the difference.
                 </p>
+                <div className="mb-4">
+                  <ABToggle
+                    slot={monitorSlot}
+                    onSelect={handleMonitorSelect}
+                    hasReference={!!referenceInfo}
+                    originalRepaired={originalRepaired}
+                    isPlaying={isPlaying}
+                    onPlay={handlePlayPause}
+                    onPause={handlePlayPause}
+                  />
+                  {referenceInfo && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      Reference is level-matched to the processed render (or the original until a render exists).
+                    </p>
+                  )}
+                </div>
+                {comparison && (
+                  <div className="mb-4 pb-4 border-b border-gray-700">
+                    <ComparisonSlots
+                      comparison={comparison}
+                      hasReference={!!referenceInfo}
+                      originalRepaired={originalRepaired}
+                      canRender={!!selectedPreset}
+                      rendering={rendering}
+                      onEnabledChange={handleComparisonEnabledChange}
+                      onAdd={handleComparisonAdd}
+                      onRemove={handleComparisonRemove}
+                      onSelect={(id) => updateComparison(() => engine.selectComparisonSlot(id))}
+                      onBlindStart={handleBlindStart}
+                      onBlindPick={(id) => updateComparison(() => engine.pickBlindComparison(id))}
+                      onBlindEnd={() => updateComparison(() => engine.endBlindComparison())}
+                    />
+                  </div>
+                )}
                 <VolumeMixer
                   originalVolume={originalVolume}
                   processedVolume={processedVolume}
+                  originalRepaired={originalRepaired}
                   onOriginalChange={handleOriginalVolumeChange}
                   onProcessedChange={handleProcessedVolumeChange}
                 />
@@ -505,21 +1152,14 @@ export default function App() {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-6 bg-gray-900/50 rounded-lg">
                 <LoudnessMeter
                   lufs={analysisData?.integratedLUFS || -70}
-                  label="Original LUFS"
+                  label="Original LUFS (Integrated)"
                 />
-                {(() => {
-                  // For real-time, we'd need to calculate processed LUFS
-                  // For now, show estimated based on preset
-                  const estimatedLUFS = selectedPreset === 'Festival Banger' || selectedPreset === 'Maximum Impact'
-                    ? (analysisData?.integratedLUFS || -70) + 0.5
-                    : (analysisData?.integratedLUFS || -70);
-                  return (
-                    <LoudnessMeter
-                      lufs={estimatedLUFS}
-                      label="Processed LUFS (Estimated)"
-                    />
-                  );
-                })()}
+                <div className="md:col-span-2">
+                  <LiveLoudnessMeters readings={meterReadings} isPlaying={isPlaying} />
+                </div>
+                <div className="md:col-span-2">
+                  <DynamicsStats analysis={analysisData} />
+                </div>
               </div>
             )}
 
@@ -536,6 +1176,11 @@ export default function App() {
                   onExportAppleLossless={handleExportAppleLossless}
                   disabled={!selectedPreset || loading}
                 />
+                {exportValidation && (
+                  <div className="mt-4">
+                    <ExportValidationPanel validation={exportValidation} />
+                  </div>
+                )}
               </div>
             )}
 
@@ -1,32 +1,31 @@
 import React from 'react';
 import { Play, Pause } from 'lucide-react';
 
-export default function ABToggle({ isOriginal, onToggle, isPlaying, onPlay, onPause }) {
+export default function ABToggle({ slot, onSelect, hasReference = false, originalRepaired = false, isPlaying, onPlay, onPause }) {
+  const slots = [
+    { id: 'original', label: originalRepaired ? 'Original (repaired)' : 'Original' },
+    { id: 'processed', label: 'Preset' },
+    ...(hasReference ? [{ id: 'reference', label: 'Reference' }] : [])
+  ];
+
   return (
     <div className="flex items-center gap-4">
       <div className="flex gap-2">
-        <button
-          onClick={() => onToggle(true)}
-          className={`px-4 py-2 rounded-lg font-medium transition-all ${
-            isOriginal
-              ? 'bg-purple-600 text-white'
-              : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-          }`}
-        >
-          Original
-        </button>
-        <button
-          onClick={() => onToggle(false)}
-          className={`px-4 py-2 rounded-lg font-medium transition-all ${
-            !isOriginal
-              ? 'bg-purple-600 text-white'
-              : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-          }`}
-        >
-          Preset
-        </button>
+        {slots.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => onSelect(id)}
+            className={`px-4 py-2 rounded-lg font-medium transition-all ${
+              slot === id
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
-      
+
       <button
         onClick={isPlaying ? onPause : onPlay}
         className="p-3 rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors"
@@ -0,0 +1,184 @@
+import React from 'react';
+import { Layers, Plus, X, EyeOff, Eye, Shuffle, Loader2 } from 'lucide-react';
+
+function formatLUFS(lufs) {
+  return Number.isFinite(lufs) ? `${lufs.toFixed(1)} LUFS` : 'Silent';
+}
+
+function formatGain(gainDb) {
+  return `${gainDb > 0 ? '+' : ''}${gainDb.toFixed(1)} dB`;
+}
+
+export default function ComparisonSlots({
+  comparison,
+  hasReference = false,
+  originalRepaired = false,
+  canRender = false,
+  rendering = false,
+  onEnabledChange,
+  onAdd,
+  onRemove,
+  onSelect,
+  onBlindStart,
+  onBlindPick,
+  onBlindEnd
+}) {
+  const { slots, activeSlot, matchedLUFS, canAdd, blind, blindResults } = comparison;
+  const hidden = blind && !blind.revealed;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Layers className="w-4 h-4 text-gray-400" />
+          <span className="text-sm font-medium text-gray-300">A/B/C/D Compare</span>
+          {matchedLUFS !== null && (
+            <span className="text-xs text-gray-500 font-mono">all slots at {matchedLUFS.toFixed(1)} LUFS</span>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-400">
+          <input
+            type="checkbox"
+            checked={comparison.enabled}
+            disabled={slots.length === 0}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+            className="accent-purple-500"
+          />
+          Monitor slots
+        </label>
+      </div>
+
+      {slots.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Add up to four slots (original, reference or renders of any preset and settings) to switch between them
+          at matched loudness without losing your place.
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {slots.map(slot => (
+          <div
+            key={slot.id}
+            className={`relative rounded-lg border transition-all ${
+              comparison.enabled && activeSlot === slot.id
+                ? 'border-purple-500 bg-purple-500/10'
+                : 'border-gray-700 bg-gray-800/50'
+            } ${blind?.pick === slot.id ? 'ring-2 ring-green-500' : ''}`}
+          >
+            <button
+              onClick={() => onSelect(slot.id)}
+              disabled={!comparison.enabled}
+              className="w-full text-left p-3 disabled:cursor-not-allowed"
+            >
+              <div className="text-lg font-bold text-white">{slot.label}</div>
+              {hidden ? (
+                <div className="text-xs text-gray-500">Hidden</div>
+              ) : (
+                <>
+                  <div className="text-xs text-gray-300 truncate" title={slot.name}>{slot.name}</div>
+                  <div className="text-xs text-gray-500 font-mono">
+                    {formatLUFS(slot.lufs)} • {formatGain(slot.gainDb)}
+                  </div>
+                </>
+              )}
+            </button>
+            {!blind && (
+              <button
+                onClick={() => onRemove(slot.id)}
+                className="absolute top-1 right-1 p-1 rounded text-gray-500 hover:text-red-400"
+                title="Remove slot"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+            {hidden && (
+              <button
+                onClick={() => onBlindPick(slot.id)}
+                className="w-full py-1 text-xs rounded-b-lg bg-gray-700 hover:bg-green-700 text-white transition-colors"
+              >
+                Pick {slot.label}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {!blind && canAdd && (
+          <>
+            <button
+              onClick={() => onAdd('original')}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors flex items-center gap-1"
+            >
+              <Plus className="w-3 h-3" />
+              {originalRepaired ? 'Original (repaired)' : 'Original'}
+            </button>
+            {hasReference && (
+              <button
+                onClick={() => onAdd('reference')}
+                className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors flex items-center gap-1"
+              >
+                <Plus className="w-3 h-3" />
+                Reference
+              </button>
+            )}
+            <button
+              onClick={() => onAdd('render')}
+              disabled={!canRender || rendering}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+              title="Render the selected preset with the current settings into a slot"
+            >
+              {rendering ? <Loader2 className="w-3 h-3 animate-spin" /> : <Plus className="w-3 h-3" />}
+              Current preset
+            </button>
+          </>
+        )}
+
+        {!blind && slots.length >= 2 && (
+          <button
+            onClick={onBlindStart}
+            className="px-3 py-1 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white transition-colors flex items-center gap-1"
+          >
+            <EyeOff className="w-3 h-3" />
+            Blind test
+          </button>
+        )}
+        {blind && (
+          <>
+            <span className="text-xs text-gray-400">
+              {blind.revealed ? 'Revealed' : 'Blind: labels shuffled, pick your favourite'}
+            </span>
+            {blind.revealed && (
+              <button
+                onClick={onBlindStart}
+                className="px-3 py-1 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white transition-colors flex items-center gap-1"
+              >
+                <Shuffle className="w-3 h-3" />
+                New round
+              </button>
+            )}
+            <button
+              onClick={onBlindEnd}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors flex items-center gap-1"
+            >
+              <Eye className="w-3 h-3" />
+              End blind test
+            </button>
+          </>
+        )}
+      </div>
+
+      {blindResults.length > 0 && (
+        <div className="pt-2 border-t border-gray-700 space-y-1">
+          <div className="text-xs text-gray-400">Blind picks</div>
+          {blindResults.map((result, i) => (
+            <div key={i} className="text-xs text-gray-300">
+              Round {i + 1}: <span className="text-green-400">{result.picked}</span>
+              <span className="text-gray-500"> (as {result.label}) over {result.against.join(', ')}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Activity } from 'lucide-react';
+
+export default function DynamicsStats({ analysis }) {
+  if (!analysis?.loudnessRange || !analysis?.psr) return null;
+
+  const { loudnessRange, plr, psr, truePeak } = analysis;
+
+  // Lowest PSR inside each section - where the record is squashed hardest
+  const tightestSection = psr.sections.reduce(
+    (lowest, section) => (!lowest || section.max < lowest.max ? section : lowest),
+    null
+  );
+
+  const stats = [
+    {
+      label: 'LRA',
+      value: `${loudnessRange.lra.toFixed(1)} LU`,
+      detail: `${loudnessRange.low.toFixed(1)} to ${loudnessRange.high.toFixed(1)} LUFS`
+    },
+    {
+      label: 'PLR',
+      value: `${plr.toFixed(1)} dB`,
+      detail: `True peak ${truePeak.toFixed(1)} dBTP`,
+      color: plr < 8 ? 'text-red-400' : plr < 10 ? 'text-yellow-400' : 'text-green-400'
+    },
+    {
+      label: 'PSR (median)',
+      value: `${psr.median.toFixed(1)} dB`,
+      detail: `P10 ${psr.p10.toFixed(1)} • P90 ${psr.p90.toFixed(1)}`,
+      color: psr.median < 6 ? 'text-red-400' : psr.median < 8 ? 'text-yellow-400' : 'text-green-400'
+    },
+    {
+      label: 'PSR (max)',
+      value: `${psr.max.toFixed(1)} dB`,
+      detail: tightestSection
+        ? `Tightest: ${tightestSection.name} ${tightestSection.start.toFixed(0)}-${tightestSection.end.toFixed(0)}s (${tightestSection.max.toFixed(1)} dB)`
+        : 'No sections above gate'
+    }
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Activity className="w-4 h-4 text-gray-400" />
+        <span className="text-sm text-gray-400">Dynamics</span>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {stats.map(stat => (
+          <div key={stat.label} className="p-2 bg-gray-800/50 rounded">
+            <div className="text-xs text-gray-500">{stat.label}</div>
+            <div className={`text-sm font-mono font-semibold ${stat.color || 'text-gray-200'}`}>
+              {stat.value}
+            </div>
+            <div className="text-xs text-gray-500">{stat.detail}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -85,7 +85,7 @@ export default function ExportButtons({ onExportWAV, onExportMP3, onExportAppleL
       {exportType === 'alac' && (
         <div className="text-xs text-gray-400 bg-purple-900/20 border border-purple-700/30 rounded-lg p-3 space-y-1">
           <div>
-            <strong className="text-purple-300">Apple Music Lossless-Compatible:</strong> 24-bit/48kHz PCM WAV with -0.5 dBTP ceiling (conservative true-peak estimate). ALAC conversion supported via Apple Music/iTunes.
+            <strong className="text-purple-300">Apple Music Lossless-Compatible:</strong> 24-bit/48kHz PCM WAV with -0.5 dBTP ceiling (4x oversampled true peak, ITU-R BS.1770-4). ALAC conversion supported via Apple Music/iTunes.
           </div>
           <div className="text-gray-500 italic">
             No official Apple certification claimed.
@@ -0,0 +1,86 @@
+import React, { useEffect, useRef } from 'react';
+import { Crosshair } from 'lucide-react';
+
+const SIZE = 200;
+
+export default function Goniometer({ scope, isPlaying }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const center = SIZE / 2;
+    const radius = SIZE / 2 - 8;
+
+    // Clear canvas
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, SIZE, SIZE);
+
+    // Guides: mono (M) vertical, side (S) horizontal, L and R on the diagonals
+    ctx.strokeStyle = '#1f2937';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(center, center - radius);
+    ctx.lineTo(center, center + radius);
+    ctx.moveTo(center - radius, center);
+    ctx.lineTo(center + radius, center);
+    const diagonal = radius / Math.SQRT2;
+    ctx.moveTo(center - diagonal, center - diagonal);
+    ctx.lineTo(center + diagonal, center + diagonal);
+    ctx.moveTo(center + diagonal, center - diagonal);
+    ctx.lineTo(center - diagonal, center + diagonal);
+    ctx.stroke();
+
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '10px monospace';
+    ctx.fillText('M', center + 3, 12);
+    ctx.fillText('L', center - diagonal - 10, center - diagonal);
+    ctx.fillText('R', center + diagonal + 4, center - diagonal);
+
+    if (!isPlaying || !scope) return;
+
+    // L-only signals fall on the upper-left diagonal, mono straight up
+    const scale = radius / 2;
+    ctx.fillStyle = 'rgba(139, 92, 246, 0.5)'; // Purple
+    for (let i = 0; i < scope.left.length; i++) {
+      const x = center + (scope.right[i] - scope.left[i]) * scale;
+      const y = center - (scope.left[i] + scope.right[i]) * scale;
+      ctx.fillRect(x, y, 1.5, 1.5);
+    }
+  }, [scope, isPlaying]);
+
+  const correlation = isPlaying ? scope?.correlation ?? null : null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Crosshair className="w-4 h-4 text-gray-400" />
+        <span className="text-sm text-gray-400">Goniometer (processed output)</span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={SIZE}
+        height={SIZE}
+        className="w-48 h-48 bg-gray-900 rounded-lg"
+      />
+      <div className="w-48 space-y-1">
+        <div className="relative h-2 bg-gray-800 rounded">
+          <div className="absolute top-0 bottom-0 left-1/2 w-px bg-gray-600" />
+          {correlation !== null && (
+            <div
+              className={`absolute top-0 bottom-0 w-1 rounded ${correlation < 0 ? 'bg-red-500' : 'bg-green-500'}`}
+              style={{ left: `calc(${((correlation + 1) / 2) * 100}% - 2px)` }}
+            />
+          )}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 font-mono">
+          <span>-1</span>
+          <span>{correlation !== null ? correlation.toFixed(2) : '--'}</span>
+          <span>+1</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Radio } from 'lucide-react';
+import LoudnessMeter from './LoudnessMeter.jsx';
+
+const FLOOR = -70;
+
+function formatDB(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '-∞';
+}
+
+function MeterColumn({ title, readings }) {
+  const momentary = Math.max(FLOOR, readings?.momentary ?? FLOOR);
+  const shortTerm = Math.max(FLOOR, readings?.shortTerm ?? FLOOR);
+  const truePeak = readings?.truePeak ?? -Infinity;
+  const maxTruePeak = readings?.maxTruePeak ?? -Infinity;
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm font-semibold text-gray-300">{title}</div>
+      <LoudnessMeter lufs={momentary} label="Momentary LUFS" />
+      <LoudnessMeter lufs={shortTerm} label="Short-term LUFS" />
+      <div className="grid grid-cols-2 gap-2 text-xs font-mono">
+        <div className="text-gray-400">
+          Sample peak <span className="text-gray-200">{formatDB(readings?.samplePeak)} dBFS</span>
+        </div>
+        <div className="text-gray-400">
+          True peak{' '}
+          <span className={truePeak > -1 ? 'text-red-400' : 'text-gray-200'}>
+            {formatDB(truePeak)} dBTP
+          </span>
+        </div>
+        <div className="col-span-2 text-gray-500">
+          Max true peak{' '}
+          <span className={maxTruePeak > -1 ? 'text-red-400' : 'text-gray-300'}>
+            {formatDB(maxTruePeak)} dBTP
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function LiveLoudnessMeters({ readings, isPlaying }) {
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <Radio className={`w-4 h-4 ${isPlaying ? 'text-green-400' : 'text-gray-500'}`} />
+        <span className="text-sm text-gray-400">
+          Live meters {isPlaying ? '' : '(start playback to measure)'}
+        </span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <MeterColumn title="Original" readings={readings?.original} />
+        <MeterColumn title="Processed" readings={readings?.processed} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useRef } from 'react';
+import { TrendingUp, Loader2 } from 'lucide-react';
+
+// Vertical range of the plot in LUFS
+const TOP_LUFS = 0;
+const BOTTOM_LUFS = -42;
+const GRID_LINES = [-6, -12, -18, -24, -30, -36];
+
+const ORIGINAL_COLOR = '#60a5fa'; // Blue
+const PROCESSED_COLOR = '#8b5cf6'; // Purple
+const OVER_COLOR = '#ef4444'; // Red
+
+export default function LoudnessTimeline({
+  original,
+  processed,
+  duration,
+  currentTime,
+  isPlaying,
+  overThreshold = 0,
+  rendering = false,
+  onRender
+}) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!original?.shortTermLUFS || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const laneHeight = 8;
+    const plotHeight = height - laneHeight * 2;
+
+    const toY = (lufs) => {
+      const clamped = Math.max(BOTTOM_LUFS, Math.min(TOP_LUFS, lufs));
+      return laneHeight * 2 + ((TOP_LUFS - clamped) / (TOP_LUFS - BOTTOM_LUFS)) * plotHeight;
+    };
+    const toX = (time) => (time / duration) * width;
+
+    // Clear canvas
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid
+    ctx.strokeStyle = '#1f2937';
+    ctx.fillStyle = '#6b7280';
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    GRID_LINES.forEach(lufs => {
+      const y = toY(lufs);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      ctx.fillText(`${lufs}`, 4, y - 2);
+    });
+
+    // One point per window, at its centre
+    const drawLine = ({ windows, windowDuration, hopDuration }) => {
+      ctx.beginPath();
+      windows.forEach((lufs, i) => {
+        const x = toX(i * hopDuration + windowDuration / 2);
+        const y = toY(lufs);
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    };
+
+    const drawSeries = (analysis, color, lane) => {
+      // Momentary (400ms) faint behind short-term (3s)
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 0.35;
+      ctx.lineWidth = 1;
+      drawLine(analysis.momentaryLUFS);
+      ctx.globalAlpha = 1;
+      ctx.lineWidth = 2;
+      drawLine(analysis.shortTermLUFS);
+
+      // True-peak overs (per momentary window), one lane per render along the top
+      const { windowDuration } = analysis.momentaryLUFS;
+      ctx.fillStyle = OVER_COLOR;
+      (analysis.truePeakWindows || []).forEach((peak, i) => {
+        if (peak > overThreshold) {
+          const x = toX(i * windowDuration);
+          const w = Math.max(2, toX(windowDuration));
+          ctx.fillRect(x, lane * laneHeight + 1, w, laneHeight - 2);
+        }
+      });
+    };
+
+    drawSeries(original, ORIGINAL_COLOR, 0);
+    if (processed?.shortTermLUFS) {
+      drawSeries(processed, PROCESSED_COLOR, 1);
+    }
+
+    // Draw playhead (same position as the waveform's)
+    if (isPlaying && currentTime > 0) {
+      const playheadX = toX(currentTime);
+
+      ctx.strokeStyle = '#ec4899'; // Pink
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(playheadX, 0);
+      ctx.lineTo(playheadX, height);
+      ctx.stroke();
+    }
+  }, [original, processed, duration, currentTime, isPlaying, overThreshold]);
+
+  if (!original?.shortTermLUFS) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <TrendingUp className="w-4 h-4 text-gray-400" />
+          <span className="text-sm text-gray-400">Loudness over time (3s short-term, 400ms momentary faint)</span>
+        </div>
+        {onRender && (
+          <button
+            onClick={onRender}
+            disabled={rendering}
+            className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+          >
+            {rendering && <Loader2 className="w-3 h-3 animate-spin" />}
+            {processed ? 'Re-render processed' : 'Render processed'}
+          </button>
+        )}
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={800}
+        height={160}
+        className="w-full h-40 bg-gray-900 rounded-lg"
+      />
+      <div className="flex items-center gap-4 text-xs text-gray-500">
+        <span style={{ color: ORIGINAL_COLOR }}>━ Original</span>
+        <span style={{ color: PROCESSED_COLOR }}>
+          ━ Processed{processed ? '' : ' (not rendered)'}
+        </span>
+        <span style={{ color: OVER_COLOR }}>■ True peak over {overThreshold} dBTP (top: original, below: processed)</span>
+      </div>
+    </div>
+  );
+}
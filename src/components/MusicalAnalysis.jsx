@@ -0,0 +1,70 @@
+import React from 'react';
+import { Music } from 'lucide-react';
+
+function confidenceLabel(confidence) {
+  return confidence >= 0.6 ? 'high' : confidence >= 0.3 ? 'medium' : 'low';
+}
+
+export default function MusicalAnalysis({ analysis, musicalSync, onMusicalSyncChange }) {
+  if (!analysis?.key || !analysis?.tempo) return null;
+
+  const { key, tempo } = analysis;
+  const bars = tempo.downbeats.length;
+
+  const stats = [
+    {
+      label: 'Key',
+      value: key.name,
+      detail: `${confidenceLabel(key.confidence)} confidence`
+    },
+    {
+      label: 'Tempo',
+      value: tempo.bpm ? `${tempo.bpm.toFixed(1)} BPM` : 'No pulse',
+      detail: tempo.bpm ? `${confidenceLabel(tempo.confidence)} confidence` : 'Beat grid unavailable'
+    },
+    {
+      label: 'Beat grid',
+      value: `${tempo.beats.length} beats`,
+      detail: `${bars} bars of ${tempo.beatsPerBar}/4 • downbeat ${confidenceLabel(tempo.downbeatConfidence)}`
+    }
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Music className="w-4 h-4 text-gray-400" />
+        <span className="text-sm text-gray-400">Key & Tempo</span>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {stats.map(stat => (
+          <div key={stat.label} className="p-2 bg-gray-800/50 rounded">
+            <div className="text-xs text-gray-500">{stat.label}</div>
+            <div className="text-sm font-mono font-semibold text-gray-200">{stat.value}</div>
+            <div className="text-xs text-gray-500">{stat.detail}</div>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={musicalSync.tempoRelease}
+            disabled={!tempo.bpm}
+            onChange={(e) => onMusicalSyncChange({ tempoRelease: e.target.checked })}
+            className="accent-purple-500"
+          />
+          Tempo-synced compressor release
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={musicalSync.keyAwarePitch}
+            onChange={(e) => onMusicalSyncChange({ keyAwarePitch: e.target.checked })}
+            className="accent-purple-500"
+          />
+          Key-aware pitch correction (correct to {key.name})
+        </label>
+      </div>
+    </div>
+  );
+}
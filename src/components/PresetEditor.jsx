@@ -0,0 +1,291 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, ArrowUp, ArrowDown, Trash2, Plus, Save, X, Power } from 'lucide-react';
+import { PRESET_MODULES, createPresetStage, getStageParams, setStageParam } from '../engine/presetGraph.js';
+import { PRESET_CATEGORIES } from '../engine/presetCategories.js';
+
+// Decimal places that show one slider step
+function formatValue(value, param) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(param.step)));
+  return `${value.toFixed(decimals)}${param.unit ? ` ${param.unit}` : ''}`;
+}
+
+// Log-scaled parameters (frequency) slide over log(value)
+const toSlider = (value, param) => (param.scale === 'log' ? Math.log(value) : value);
+const fromSlider = (position, param) => (param.scale === 'log' ? Math.round(Math.exp(position)) : position);
+
+function ParameterControl({ param, value, adaptation, onChange, onAdaptiveChange }) {
+  // A linear adaptation replaces the value entirely; step/excess rules fall back to it
+  const overridden = adaptation?.rule === 'linear';
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-gray-400">{param.label}</span>
+        <span className="text-gray-200 font-mono">{overridden ? 'adaptive' : formatValue(value, param)}</span>
+      </div>
+      <input
+        type="range"
+        min={toSlider(param.min, param)}
+        max={toSlider(param.max, param)}
+        step={param.scale === 'log' ? 0.001 : param.step}
+        value={toSlider(value, param)}
+        disabled={overridden}
+        onChange={(e) => onChange(fromSlider(parseFloat(e.target.value), param))}
+        className="w-full accent-purple-500 disabled:opacity-40"
+      />
+      {adaptation && (
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          <input
+            type="checkbox"
+            checked
+            onChange={() => onAdaptiveChange(false)}
+            className="accent-purple-500"
+          />
+          Adapts to {adaptation.metric}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default function PresetEditor({
+  definition,
+  baseName,
+  canDelete = false,
+  isPlaying,
+  onChange,
+  onSave,
+  onDelete,
+  onClose
+}) {
+  const [name, setName] = useState(canDelete ? baseName : `${baseName} (custom)`);
+  const [newModule, setNewModule] = useState('compressor');
+  const [tagText, setTagText] = useState((definition.tags || []).join(', '));
+
+  const updateTags = (text) => {
+    setTagText(text);
+    onChange({ ...definition, tags: text.split(',').map(tag => tag.trim()).filter(Boolean) });
+  };
+
+  const updateChain = (updater) => {
+    onChange({ ...definition, chain: updater(definition.chain.map(stage => ({ ...stage }))) });
+  };
+
+  const updateStage = (index, changes) => {
+    updateChain(chain => {
+      chain[index] = { ...chain[index], ...changes };
+      return chain;
+    });
+  };
+
+  const updateParam = (index, name, value) => {
+    updateChain(chain => {
+      chain[index] = setStageParam(chain[index], name, value);
+      return chain;
+    });
+  };
+
+  const moveStage = (index, direction) => {
+    updateChain(chain => {
+      const target = index + direction;
+      [chain[index], chain[target]] = [chain[target], chain[index]];
+      return chain;
+    });
+  };
+
+  const removeStage = (index) => {
+    updateChain(chain => chain.filter((_, i) => i !== index));
+  };
+
+  const addStage = () => {
+    updateChain(chain => [...chain, createPresetStage(newModule)]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-gray-400" />
+          <h2 className="text-xl font-semibold text-white">Preset Editor</h2>
+          <span className="text-sm text-gray-500">based on {baseName}</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded hover:bg-gray-700 text-gray-400"
+          title="Close editor"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="flex-1 min-w-48 text-xs text-gray-400 space-y-1">
+          <span>Name</span>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          />
+        </label>
+        <label className="flex-1 min-w-48 text-xs text-gray-400 space-y-1">
+          <span>Intent</span>
+          <input
+            type="text"
+            value={definition.intent || ''}
+            onChange={(e) => onChange({ ...definition, intent: e.target.value })}
+            className="w-full bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          />
+        </label>
+        <label className="w-36 text-xs text-gray-400 space-y-1">
+          <span>Category</span>
+          <select
+            value={definition.category}
+            onChange={(e) => onChange({ ...definition, category: e.target.value })}
+            className="w-full bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          >
+            {Object.values(PRESET_CATEGORIES).map(category => (
+              <option key={category.name} value={category.name}>{category.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex-1 min-w-48 text-xs text-gray-400 space-y-1">
+          <span>Tags</span>
+          <input
+            type="text"
+            value={tagText}
+            onChange={(e) => updateTags(e.target.value)}
+            placeholder="vocal, smooth"
+            className="w-full bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          />
+        </label>
+        <label className="w-28 text-xs text-gray-400 space-y-1">
+          <span>Target LUFS</span>
+          <input
+            type="number"
+            step="0.5"
+            value={definition.loudnessTarget}
+            onChange={(e) => onChange({ ...definition, loudnessTarget: parseFloat(e.target.value) })}
+            className="w-full bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          />
+        </label>
+        <button
+          onClick={() => onSave(name)}
+          disabled={!name.trim()}
+          className="px-3 py-1.5 text-sm rounded bg-purple-600 hover:bg-purple-700 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+        >
+          <Save className="w-4 h-4" />
+          Save preset
+        </button>
+        {canDelete && (
+          <button
+            onClick={onDelete}
+            className="px-3 py-1.5 text-sm rounded bg-gray-700 hover:bg-red-700 text-white transition-colors flex items-center gap-1"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {definition.chain.map((stage, index) => {
+          const module = PRESET_MODULES[stage.module];
+          const enabled = stage.enabled !== false;
+          const adaptations = stage.adapt || [];
+          const params = getStageParams(stage);
+
+          return (
+            <div
+              key={index}
+              className={`p-3 rounded-lg border ${enabled ? 'border-gray-700 bg-gray-800/50' : 'border-gray-800 bg-gray-900/50 opacity-60'}`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-gray-500 font-mono">{index + 1}</span>
+                  <span className="text-sm font-medium text-white">{module.label}</span>
+                  {module.stereo && <span className="text-xs text-gray-500">stereo</span>}
+                  {stage.morph && (
+                    <span className="text-xs text-purple-300">morph {Math.round(stage.morph.amount * 100)}%</span>
+                  )}
+                  {stage.weight !== undefined && (
+                    <span className="text-xs text-gray-500">weight {Math.round(stage.weight * 100)}%</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => updateStage(index, { enabled: !enabled })}
+                    className={`p-1 rounded hover:bg-gray-700 ${enabled ? 'text-green-400' : 'text-gray-500'}`}
+                    title={enabled ? 'Bypass module' : 'Enable module'}
+                  >
+                    <Power className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveStage(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 rounded hover:bg-gray-700 text-gray-400 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveStage(index, 1)}
+                    disabled={index === definition.chain.length - 1}
+                    className="p-1 rounded hover:bg-gray-700 text-gray-400 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => removeStage(index)}
+                    className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-red-400"
+                    title="Remove module"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-2">
+                {module.params.map(param => (
+                  <ParameterControl
+                    key={param.name}
+                    param={param}
+                    value={params[param.name]}
+                    adaptation={adaptations.find(rule => rule.param === param.name)}
+                    onChange={(value) => updateParam(index, param.name, value)}
+                    onAdaptiveChange={() => updateStage(index, { adapt: adaptations.filter(rule => rule.param !== param.name) })}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <select
+            value={newModule}
+            onChange={(e) => setNewModule(e.target.value)}
+            className="bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+          >
+            {Object.entries(PRESET_MODULES).map(([id, module]) => (
+              <option key={id} value={id}>{module.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={addStage}
+            className="px-3 py-1 text-sm rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            Add module
+          </button>
+        </div>
+        <span className="text-xs text-gray-500">
+          {isPlaying ? 'Changes are heard live' : 'Press play to audition the draft'}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Blend, Play, Save } from 'lucide-react';
+
+export default function PresetMorph({
+  presets,
+  morph,
+  isActive,
+  isPlaying,
+  onChange,
+  onAudition,
+  onSave
+}) {
+  const [name, setName] = useState('');
+  const percent = Math.round(morph.amount * 100);
+
+  const selectClassName = 'flex-1 min-w-0 bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Blend className="w-5 h-5 text-gray-400" />
+          <h2 className="text-xl font-semibold text-white">Preset Morph</h2>
+        </div>
+        {isActive ? (
+          <span className="text-sm text-purple-400">{isPlaying ? 'Playing the morph' : 'Morph selected'}</span>
+        ) : (
+          <button
+            onClick={onAudition}
+            className="px-3 py-1 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white transition-colors flex items-center gap-1"
+          >
+            <Play className="w-3 h-3" />
+            Use morph
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <select
+          value={morph.from}
+          onChange={(e) => onChange({ ...morph, from: e.target.value })}
+          className={selectClassName}
+        >
+          {presets.map(preset => <option key={preset} value={preset}>{preset}</option>)}
+        </select>
+        <span className="text-gray-500 text-sm">→</span>
+        <select
+          value={morph.to}
+          onChange={(e) => onChange({ ...morph, to: e.target.value })}
+          className={selectClassName}
+        >
+          {presets.map(preset => <option key={preset} value={preset}>{preset}</option>)}
+        </select>
+      </div>
+
+      <div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          value={morph.amount}
+          onChange={(e) => onChange({ ...morph, amount: parseFloat(e.target.value) })}
+          className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+        />
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>{100 - percent}% {morph.from}</span>
+          <span>{percent}% {morph.to}</span>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name for the morph"
+          className="flex-1 bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700 text-sm"
+        />
+        <button
+          onClick={() => onSave(name)}
+          disabled={!name.trim()}
+          className="px-3 py-1.5 text-sm rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+        >
+          <Save className="w-4 h-4" />
+          Save as preset
+        </button>
+      </div>
+    </div>
+  );
+}
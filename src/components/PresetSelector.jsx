@@ -1,13 +1,21 @@
 import React from 'react';
-import { Music, Play } from 'lucide-react';
+import { Music, Play, SlidersHorizontal, Upload, Download, Gauge } from 'lucide-react';
+import { PRESET_FILE_EXTENSION } from '../engine/presetFile.js';
+import { PRESET_INTENSITY_RANGE } from '../engine/presetGraph.js';
 
 export default function PresetSelector({ 
   presets, 
   selectedPreset, 
   onSelect, 
   presetIntents,
+  customPresets = [],
   isPlaying,
-  onPreview 
+  onPreview,
+  onEdit,
+  onImport,
+  onExport,
+  intensity = PRESET_INTENSITY_RANGE.default,
+  onIntensityChange
 }) {
   const handlePresetClick = (preset) => {
     onSelect(preset);
@@ -17,6 +25,14 @@ export default function PresetSelector({
     }
   };
 
+  const handleImportChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      onImport(file);
+    }
+    e.target.value = '';
+  };
+
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between mb-4">
@@ -24,14 +40,75 @@ export default function PresetSelector({
           <Music className="w-5 h-5 text-gray-400" />
           <h2 className="text-xl font-semibold text-white">Presets</h2>
         </div>
-        {isPlaying && (
-          <div className="flex items-center gap-2 text-sm text-purple-400">
-            <div className="w-2 h-2 bg-purple-400 rounded-full animate-pulse" />
-            <span>Live Preview</span>
-          </div>
-        )}
+        <div className="flex items-center gap-3">
+          {isPlaying && (
+            <div className="flex items-center gap-2 text-sm text-purple-400">
+              <div className="w-2 h-2 bg-purple-400 rounded-full animate-pulse" />
+              <span>Live Preview</span>
+            </div>
+          )}
+          {onImport && (
+            <>
+              <input
+                type="file"
+                accept={`${PRESET_FILE_EXTENSION},application/json`}
+                onChange={handleImportChange}
+                className="hidden"
+                id="preset-import"
+              />
+              <label
+                htmlFor="preset-import"
+                className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors cursor-pointer flex items-center gap-1"
+                title={`Import a ${PRESET_FILE_EXTENSION} preset file`}
+              >
+                <Upload className="w-3 h-3" />
+                Import
+              </label>
+            </>
+          )}
+          {onExport && (
+            <button
+              onClick={() => onExport(selectedPreset)}
+              disabled={!presets.includes(selectedPreset)}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+              title={`Export the selected preset as a ${PRESET_FILE_EXTENSION} file`}
+            >
+              <Download className="w-3 h-3" />
+              Export
+            </button>
+          )}
+          {onEdit && (
+            <button
+              onClick={onEdit}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors flex items-center gap-1"
+            >
+              <SlidersHorizontal className="w-3 h-3" />
+              Edit preset
+            </button>
+          )}
+        </div>
       </div>
       
+      {/* Intensity macro: scales the selected preset's EQ gains, ratios, width and drive together */}
+      {selectedPreset && onIntensityChange && (
+        <div className="flex items-center gap-3 p-3 rounded-lg bg-gray-800/50 border border-gray-700">
+          <Gauge className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          <span className="text-sm text-gray-300">Intensity</span>
+          <input
+            type="range"
+            min={PRESET_INTENSITY_RANGE.min}
+            max={PRESET_INTENSITY_RANGE.max}
+            step="0.01"
+            value={intensity}
+            onChange={(e) => onIntensityChange(parseFloat(e.target.value))}
+            onDoubleClick={() => onIntensityChange(PRESET_INTENSITY_RANGE.default)}
+            className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+            title="Double-click to reset to 100%"
+          />
+          <span className="w-12 text-right text-sm text-gray-200 font-mono">{Math.round(intensity * 100)}%</span>
+        </div>
+      )}
+      
       <div className="grid grid-cols-1 md:grid-cols-2 gap-3 max-h-96 overflow-y-auto">
         {presets.map((preset) => (
           <button
@@ -45,7 +122,12 @@ export default function PresetSelector({
           >
             <div className="flex items-start justify-between">
               <div className="flex-1">
-                <div className="font-medium text-white mb-1">{preset}</div>
+                <div className="font-medium text-white mb-1">
+                  {preset}
+                  {customPresets.includes(preset) && (
+                    <span className="ml-2 text-xs text-purple-300 font-normal">Custom</span>
+                  )}
+                </div>
                 <div className="text-xs text-gray-400">
                   {presetIntents[preset] || 'Adaptive mastering preset'}
                 </div>
@@ -0,0 +1,155 @@
+import React from 'react';
+import { Target, Upload, X, Loader2 } from 'lucide-react';
+
+const MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'on-top', label: 'On top of preset' },
+  { id: 'instead', label: 'Instead of preset' }
+];
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${(frequency / 1000).toFixed(frequency >= 10000 ? 0 : 1)}k` : `${Math.round(frequency)}`;
+}
+
+export default function ReferencePanel({
+  reference,
+  mode,
+  strength,
+  match,
+  rendering,
+  onFileSelect,
+  onClear,
+  onModeChange,
+  onStrengthChange,
+  onRender
+}) {
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file && file.type.startsWith('audio/')) {
+      onFileSelect(file);
+    }
+    e.target.value = '';
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Target className="w-4 h-4 text-gray-400" />
+          <span className="text-sm font-medium text-gray-300">Reference Match</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="file"
+            accept="audio/*"
+            onChange={handleFileChange}
+            className="hidden"
+            id="reference-upload"
+          />
+          <label
+            htmlFor="reference-upload"
+            className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors cursor-pointer flex items-center gap-1"
+          >
+            <Upload className="w-3 h-3" />
+            {reference ? 'Replace reference' : 'Load reference'}
+          </label>
+          {reference && (
+            <button
+              onClick={onClear}
+              className="p-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 transition-colors"
+              title="Remove reference"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!reference && (
+        <p className="text-sm text-gray-500">
+          Load a commercial reference to match its tonal balance, loudness, stereo width and low-end mono point.
+        </p>
+      )}
+
+      {reference && (
+        <>
+          <div className="text-xs text-gray-400 font-mono">
+            {reference.name} • {reference.analysis.integratedLUFS.toFixed(1)} LUFS
+            {' '}• LRA {reference.analysis.loudnessRange.lra.toFixed(1)} LU
+            {reference.stereo.monoBassFrequency
+              ? ` • mono below ${Math.round(reference.stereo.monoBassFrequency)} Hz`
+              : ''}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {MODES.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => onModeChange(id)}
+                className={`px-3 py-1 text-sm rounded-lg transition-all ${
+                  mode === id
+                    ? 'bg-purple-600 text-white'
+                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode !== 'off' && (
+            <div className="flex items-center gap-3">
+              <span className="text-xs text-gray-400">Strength</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={strength}
+                onChange={(e) => onStrengthChange(parseFloat(e.target.value))}
+                className="flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+              />
+              <span className="text-xs text-gray-500 w-10">{Math.round(strength * 100)}%</span>
+              <button
+                onClick={onRender}
+                disabled={rendering}
+                className="px-3 py-1 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+              >
+                {rendering && <Loader2 className="w-3 h-3 animate-spin" />}
+                Render match
+              </button>
+            </div>
+          )}
+
+          {match && (
+            <div className="space-y-2">
+              <div className="flex items-end gap-1 h-16">
+                {match.eq.map(band => (
+                  <div key={band.frequency} className="flex-1 flex flex-col items-center justify-end h-full">
+                    <div className="relative w-full flex-1">
+                      <div
+                        className={`absolute left-0 right-0 ${band.gain >= 0 ? 'bg-green-500/70' : 'bg-red-500/70'}`}
+                        style={{
+                          [band.gain >= 0 ? 'bottom' : 'top']: '50%',
+                          height: `${(Math.abs(band.gain) / 6) * 50}%`
+                        }}
+                        title={`${band.gain.toFixed(1)} dB`}
+                      />
+                    </div>
+                    <span className="text-[10px] text-gray-500">{formatFrequency(band.frequency)}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="text-xs text-gray-400 font-mono">
+                Target {match.targetLUFS.toFixed(1)} LUFS
+                {' '}• Gain {(20 * Math.log10(match.gain)).toFixed(1)} dB
+                {' '}• Width {Math.round(match.width * 100)}%
+                {' '}• Mono bass {match.monoBassFrequency ? `${Math.round(match.monoBassFrequency)} Hz` : 'off'}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { LayoutList } from 'lucide-react';
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export default function SectionOverview({ sections, adaptive, onAdaptiveChange }) {
+  if (!sections || sections.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <LayoutList className="w-4 h-4 text-gray-400" />
+          <span className="text-sm text-gray-400">Sections</span>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={adaptive}
+            disabled={sections.length < 2}
+            onChange={(e) => onAdaptiveChange(e.target.checked)}
+            className="accent-purple-500"
+          />
+          Adapt preset per section (renders)
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs font-mono">
+          <thead>
+            <tr className="text-gray-500 text-left">
+              <th className="py-1 pr-3 font-normal">Section</th>
+              <th className="py-1 pr-3 font-normal">Time</th>
+              <th className="py-1 pr-3 font-normal">LUFS</th>
+              <th className="py-1 pr-3 font-normal">Peak</th>
+              <th className="py-1 pr-3 font-normal">Low end</th>
+              <th className="py-1 pr-3 font-normal">Harshness</th>
+              <th className="py-1 font-normal">Correlation</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {sections.map(section => (
+              <tr key={section.start} className="border-t border-gray-800">
+                <td className="py-1 pr-3 text-white">{section.name}</td>
+                <td className="py-1 pr-3">{formatTime(section.start)}-{formatTime(section.end)}</td>
+                <td className="py-1 pr-3">{section.loudness.integrated.toFixed(1)}</td>
+                <td className="py-1 pr-3">{section.loudness.truePeak.toFixed(1)} dBTP</td>
+                <td className="py-1 pr-3">{Math.round(section.spectral.lowShare * 100)}%</td>
+                <td className="py-1 pr-3">{Math.round(section.spectral.harshness * 100)}%</td>
+                <td className="py-1">{section.stereo.correlation.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
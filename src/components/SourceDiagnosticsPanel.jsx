@@ -0,0 +1,90 @@
+import React from 'react';
+import { CheckCircle2, AlertTriangle, XCircle, Info, Stethoscope } from 'lucide-react';
+
+// Events listed per issue before the rest are summarised
+const MAX_LISTED_EVENTS = 6;
+
+const FIX_LABELS = {
+  declip: 'Declip (rebuild clipped peaks)',
+  dcOffset: 'Remove DC offset',
+  polarity: 'Flip right channel polarity'
+};
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function SeverityIcon({ severity }) {
+  if (severity === 'error') return <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />;
+  if (severity === 'warning') return <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0" />;
+  return <Info className="w-4 h-4 text-blue-400 flex-shrink-0" />;
+}
+
+export default function SourceDiagnosticsPanel({ diagnostics, duration, fixes, onFixesChange }) {
+  if (!diagnostics) return null;
+
+  const { format, issues } = diagnostics;
+  const availableFixes = [...new Set(issues.map(issue => issue.fix).filter(Boolean))];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Stethoscope className="w-4 h-4 text-gray-400" />
+          <span className="text-sm text-gray-400">Source Diagnostics</span>
+        </div>
+        {format && (
+          <span className="text-xs text-gray-500 font-mono">
+            {format.container} • {format.sampleRate} Hz • {format.bitDepth}-bit{format.float ? ' float' : ''}
+          </span>
+        )}
+      </div>
+
+      {issues.length === 0 ? (
+        <div className="flex items-center gap-2 text-sm text-gray-300">
+          <CheckCircle2 className="w-4 h-4 text-green-400" />
+          No problems found in the source
+        </div>
+      ) : (
+        <ul className="space-y-1">
+          {issues.map((issue, i) => {
+            // Whole-file issues have no timestamps worth listing
+            const timed = issue.events.filter(event => event.duration < duration);
+            return (
+              <li key={i} className="flex items-start gap-2 text-sm text-gray-300">
+                <SeverityIcon severity={issue.severity} />
+                <div>
+                  <div>{issue.message}</div>
+                  {timed.length > 0 && (
+                    <div className="text-xs text-gray-500 font-mono">
+                      {timed.slice(0, MAX_LISTED_EVENTS).map(event => formatTime(event.time)).join(', ')}
+                      {timed.length > MAX_LISTED_EVENTS ? ` +${timed.length - MAX_LISTED_EVENTS} more` : ''}
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {availableFixes.length > 0 && (
+        <div className="flex flex-wrap gap-4 pt-1">
+          {availableFixes.map(fix => (
+            <label key={fix} className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={fixes[fix]}
+                onChange={(e) => onFixesChange({ [fix]: e.target.checked })}
+                className="accent-purple-500"
+              />
+              {FIX_LABELS[fix]}
+            </label>
+          ))}
+          <span className="text-xs text-gray-500 self-center">Applied before the preset in preview and renders</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BarChart3, Loader2, ZoomIn, ZoomOut } from 'lucide-react';
+
+const WIDTH = 800;
+const HEIGHT = 240;
+
+// Colour scale for levels (dB, |X|/N scaling) and for processed - original differences (dB)
+const MIN_DB = -110;
+const MAX_DB = -20;
+const DIFFERENCE_RANGE_DB = 12;
+
+const ZOOM_LEVELS = [1, 2, 4, 8, 16];
+
+const FREQUENCY_RANGES = [
+  { id: 'full', label: 'Full range', low: 20, high: 20000 },
+  { id: 'low', label: 'Low end (20-500 Hz)', low: 20, high: 500 },
+  { id: 'mid', label: 'Mids (200 Hz-5 kHz)', low: 200, high: 5000 },
+  { id: 'high', label: 'Highs (2-20 kHz)', low: 2000, high: 20000 }
+];
+
+const FREQUENCY_LABELS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+// Magma-like stops for levels, blue-black-red for differences
+const LEVEL_STOPS = [[0, 0, 4], [59, 15, 112], [140, 41, 129], [222, 73, 104], [254, 159, 109], [252, 253, 191]];
+const DIFFERENCE_STOPS = [[59, 130, 246], [10, 10, 10], [239, 68, 68]];
+
+function createLUT(stops) {
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const position = (i / 255) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const t = position - index;
+    for (let c = 0; c < 3; c++) {
+      lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+    }
+  }
+  return lut;
+}
+
+const LEVEL_LUT = createLUT(LEVEL_STOPS);
+const DIFFERENCE_LUT = createLUT(DIFFERENCE_STOPS);
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+}
+
+export default function SpectrogramView({
+  spectrograms,
+  loading = false,
+  onShow,
+  levelOffset = 0,
+  duration,
+  currentTime,
+  isPlaying,
+  rendering = false,
+  onRender
+}) {
+  const canvasRef = useRef(null);
+  const playheadRef = useRef(null);
+  const [mode, setMode] = useState('original');
+  const [zoom, setZoom] = useState(1);
+  const [position, setPosition] = useState(0);
+  const [rangeId, setRangeId] = useState('full');
+  const [levelMatched, setLevelMatched] = useState(true);
+
+  const original = spectrograms?.original;
+  const processed = spectrograms?.processed;
+  const activeMode = processed ? mode : 'original';
+
+  // Visible window (seconds)
+  const span = duration / zoom;
+  const viewStart = position * (duration - span);
+
+  // Spectrogram image: drawn once per view, not on playback ticks
+  useEffect(() => {
+    if (!original || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(WIDTH, HEIGHT);
+    const range = FREQUENCY_RANGES.find(r => r.id === rangeId);
+    const low = Math.max(range.low, original.minFrequency);
+    const high = Math.min(range.high, original.maxFrequency);
+    const { rowCount, frameDuration } = original;
+    const frameCount = processed ? Math.min(original.frameCount, processed.frameCount) : original.frameCount;
+    const logSpan = Math.log(original.maxFrequency / original.minFrequency);
+    const offset = levelMatched ? levelOffset : 0;
+
+    // Row per pixel line (top = high frequencies)
+    const rowAt = Array.from({ length: HEIGHT }, (_, y) => {
+      const frequency = low * Math.pow(high / low, (HEIGHT - 1 - y) / (HEIGHT - 1));
+      const row = Math.floor((Math.log(frequency / original.minFrequency) / logSpan) * rowCount);
+      return Math.max(0, Math.min(rowCount - 1, row));
+    });
+
+    for (let x = 0; x < WIDTH; x++) {
+      // Frames under this pixel column (at least one)
+      const first = Math.min(frameCount - 1, Math.floor((viewStart + (x / WIDTH) * span) / frameDuration));
+      const last = Math.min(frameCount, Math.max(first + 1, Math.floor((viewStart + ((x + 1) / WIDTH) * span) / frameDuration)));
+
+      for (let y = 0; y < HEIGHT; y++) {
+        const row = rowAt[y];
+        let value;
+        let lut;
+
+        if (activeMode === 'difference') {
+          // Mean change over the column, positive = processed louder
+          let sum = 0;
+          for (let f = first; f < last; f++) {
+            sum += processed.data[f * rowCount + row] - offset - original.data[f * rowCount + row];
+          }
+          value = (sum / (last - first) + DIFFERENCE_RANGE_DB) / (2 * DIFFERENCE_RANGE_DB);
+          lut = DIFFERENCE_LUT;
+        } else {
+          // Loudest frame in the column, so short transients survive zooming out
+          const source = activeMode === 'processed' ? processed : original;
+          const shift = activeMode === 'processed' ? offset : 0;
+          let max = -Infinity;
+          for (let f = first; f < last; f++) {
+            max = Math.max(max, source.data[f * rowCount + row] - shift);
+          }
+          value = (max - MIN_DB) / (MAX_DB - MIN_DB);
+          lut = LEVEL_LUT;
+        }
+
+        const index = Math.round(Math.max(0, Math.min(1, value)) * 255) * 3;
+        const pixel = (y * WIDTH + x) * 4;
+        image.data[pixel] = lut[index];
+        image.data[pixel + 1] = lut[index + 1];
+        image.data[pixel + 2] = lut[index + 2];
+        image.data[pixel + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    // Frequency labels
+    ctx.font = '10px monospace';
+    ctx.fillStyle = '#9ca3af';
+    ctx.strokeStyle = 'rgba(156, 163, 175, 0.25)';
+    ctx.lineWidth = 1;
+    FREQUENCY_LABELS.filter(frequency => frequency > low && frequency < high).forEach(frequency => {
+      const y = (HEIGHT - 1) * (1 - Math.log(frequency / low) / Math.log(high / low));
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(WIDTH, y);
+      ctx.stroke();
+      ctx.fillText(formatFrequency(frequency), 4, y - 2);
+    });
+  }, [original, processed, activeMode, viewStart, span, rangeId, levelMatched, levelOffset]);
+
+  // Playhead on its own overlay canvas (when in view)
+  useEffect(() => {
+    if (!original || !playheadRef.current) return;
+
+    const ctx = playheadRef.current.getContext('2d');
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+    if (isPlaying && currentTime >= viewStart && currentTime <= viewStart + span) {
+      const playheadX = ((currentTime - viewStart) / span) * WIDTH;
+
+      ctx.strokeStyle = '#ec4899'; // Pink
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(playheadX, 0);
+      ctx.lineTo(playheadX, HEIGHT);
+      ctx.stroke();
+    }
+  }, [original, viewStart, span, currentTime, isPlaying]);
+
+  const changeZoom = (direction) => {
+    const index = ZOOM_LEVELS.indexOf(zoom) + direction;
+    if (index >= 0 && index < ZOOM_LEVELS.length) {
+      setZoom(ZOOM_LEVELS[index]);
+    }
+  };
+
+  const modes = [
+    { id: 'original', label: 'Original', enabled: true },
+    { id: 'processed', label: 'Processed', enabled: !!processed },
+    { id: 'difference', label: 'Difference', enabled: !!processed }
+  ];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <BarChart3 className="w-4 h-4 text-gray-400" />
+          <span className="text-sm text-gray-400">Spectrogram</span>
+        </div>
+        <div className="flex items-center gap-2">
+          {original && onRender && (
+            <button
+              onClick={onRender}
+              disabled={rendering}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+            >
+              {rendering && <Loader2 className="w-3 h-3 animate-spin" />}
+              {processed ? 'Re-render processed' : 'Render processed'}
+            </button>
+          )}
+          {!original && (
+            <button
+              onClick={onShow}
+              disabled={loading}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+            >
+              {loading && <Loader2 className="w-3 h-3 animate-spin" />}
+              Show spectrogram
+            </button>
+          )}
+        </div>
+      </div>
+
+      {original && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-xs">
+            <div className="flex rounded overflow-hidden border border-gray-700">
+              {modes.map(m => (
+                <button
+                  key={m.id}
+                  onClick={() => setMode(m.id)}
+                  disabled={!m.enabled}
+                  className={`px-2 py-1 transition-colors disabled:opacity-40 ${
+                    activeMode === m.id ? 'bg-purple-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                  }`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            <select
+              value={rangeId}
+              onChange={(e) => setRangeId(e.target.value)}
+              className="bg-gray-800 text-gray-200 rounded px-2 py-1 border border-gray-700"
+            >
+              {FREQUENCY_RANGES.map(r => (
+                <option key={r.id} value={r.id}>{r.label}</option>
+              ))}
+            </select>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => changeZoom(-1)}
+                disabled={zoom === ZOOM_LEVELS[0]}
+                className="p-1 rounded bg-gray-800 hover:bg-gray-700 text-gray-300 disabled:opacity-40"
+                title="Zoom out"
+              >
+                <ZoomOut className="w-3 h-3" />
+              </button>
+              <span className="text-gray-400 font-mono w-8 text-center">{zoom}x</span>
+              <button
+                onClick={() => changeZoom(1)}
+                disabled={zoom === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]}
+                className="p-1 rounded bg-gray-800 hover:bg-gray-700 text-gray-300 disabled:opacity-40"
+                title="Zoom in"
+              >
+                <ZoomIn className="w-3 h-3" />
+              </button>
+            </div>
+            {processed && (
+              <label className="flex items-center gap-2 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={levelMatched}
+                  onChange={(e) => setLevelMatched(e.target.checked)}
+                  className="accent-purple-500"
+                />
+                Level-matched ({levelOffset >= 0 ? '-' : '+'}{Math.abs(levelOffset).toFixed(1)} dB on processed)
+              </label>
+            )}
+          </div>
+
+          <div className="relative">
+            <canvas
+              ref={canvasRef}
+              width={WIDTH}
+              height={HEIGHT}
+              className="w-full h-60 bg-gray-900 rounded-lg"
+            />
+            <canvas
+              ref={playheadRef}
+              width={WIDTH}
+              height={HEIGHT}
+              className="absolute inset-0 w-full h-60 pointer-events-none"
+            />
+          </div>
+
+          <div className="flex items-center gap-3 text-xs text-gray-500 font-mono">
+            <span>{formatTime(viewStart)}</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.001"
+              value={position}
+              disabled={zoom === 1}
+              onChange={(e) => setPosition(parseFloat(e.target.value))}
+              className="flex-1 accent-purple-500"
+            />
+            <span>{formatTime(viewStart + span)}</span>
+          </div>
+          <div className="text-xs text-gray-500">
+            {activeMode === 'difference'
+              ? <>Processed minus original: <span className="text-blue-400">blue = removed</span>, <span className="text-red-400">red = added</span> (±{DIFFERENCE_RANGE_DB} dB)</>
+              : `Level ${MIN_DB} to ${MAX_DB} dB (dark to bright)`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { Split, Loader2 } from 'lucide-react';
+import { compareProblemRegions } from '../engine/stereoAnalysis.js';
+
+const GRID_LINES = [0.5, 0, -0.5];
+
+const ORIGINAL_COLOR = '#60a5fa'; // Blue
+const PROCESSED_COLOR = '#8b5cf6'; // Purple
+const INTRODUCED_COLOR = 'rgba(239, 68, 68, 0.25)'; // Red: created by the preset
+const SOURCE_COLOR = 'rgba(245, 158, 11, 0.18)'; // Amber: already in the source
+
+// 1/3-octave bands listed as the worst mono losses
+const WORST_BANDS = 3;
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+function formatLoss(loss) {
+  return Number.isFinite(loss) ? `-${loss.toFixed(1)} dB` : 'cancels';
+}
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${(frequency / 1000).toFixed(1)}k` : `${Math.round(frequency)}`;
+}
+
+function worstBands(stereoPhase) {
+  return stereoPhase.monoFoldDown.spectralLoss
+    .filter(band => band.loss !== null && band.loss >= 1)
+    .sort((a, b) => b.loss - a.loss)
+    .slice(0, WORST_BANDS);
+}
+
+export default function StereoPhaseView({
+  original,
+  processed,
+  duration,
+  currentTime,
+  isPlaying,
+  rendering = false,
+  onRender
+}) {
+  const canvasRef = useRef(null);
+
+  // Processed regions flag what the preset created; without a render, show the source's own
+  const regions = useMemo(() => (
+    processed
+      ? compareProblemRegions(original, processed)
+      : (original?.problemRegions || []).map(region => ({ ...region, introduced: false }))
+  ), [original, processed]);
+
+  useEffect(() => {
+    if (!original || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    const toY = (correlation) => ((1 - correlation) / 2) * height;
+    const toX = (time) => (time / duration) * width;
+
+    // Clear canvas
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Problem regions
+    regions.forEach(region => {
+      ctx.fillStyle = region.introduced ? INTRODUCED_COLOR : SOURCE_COLOR;
+      ctx.fillRect(toX(region.start), 0, Math.max(2, toX(region.end - region.start)), height);
+    });
+
+    // Grid (zero correlation brighter)
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    GRID_LINES.forEach(value => {
+      const y = toY(value);
+      ctx.strokeStyle = value === 0 ? '#374151' : '#1f2937';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      ctx.fillStyle = '#6b7280';
+      ctx.fillText(`${value > 0 ? '+' : ''}${value}`, 4, y - 2);
+    });
+
+    // Silent windows (null) break the line
+    const drawSeries = (stereoPhase, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let drawing = false;
+      stereoPhase.correlation.forEach((value, i) => {
+        if (value === null) {
+          drawing = false;
+          return;
+        }
+        const x = toX((i + 0.5) * stereoPhase.windowDuration);
+        const y = toY(value);
+        if (drawing) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+    };
+
+    drawSeries(original, ORIGINAL_COLOR);
+    if (processed) {
+      drawSeries(processed, PROCESSED_COLOR);
+    }
+
+    // Draw playhead (same position as the waveform's)
+    if (isPlaying && currentTime > 0) {
+      const playheadX = toX(currentTime);
+
+      ctx.strokeStyle = '#ec4899'; // Pink
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(playheadX, 0);
+      ctx.lineTo(playheadX, height);
+      ctx.stroke();
+    }
+  }, [original, processed, regions, duration, currentTime, isPlaying]);
+
+  if (!original) {
+    return (
+      <div className="text-sm text-gray-500">Mono source: no stereo phase to check</div>
+    );
+  }
+
+  const foldDowns = [
+    { label: 'Original', color: ORIGINAL_COLOR, stereoPhase: original },
+    { label: 'Processed', color: PROCESSED_COLOR, stereoPhase: processed }
+  ].filter(entry => entry.stereoPhase);
+  const introduced = regions.filter(region => region.introduced);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Split className="w-4 h-4 text-gray-400" />
+          <span className="text-sm text-gray-400">Stereo correlation over time</span>
+        </div>
+        {onRender && (
+          <button
+            onClick={onRender}
+            disabled={rendering}
+            className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+          >
+            {rendering && <Loader2 className="w-3 h-3 animate-spin" />}
+            {processed ? 'Re-render processed' : 'Render processed'}
+          </button>
+        )}
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={800}
+        height={140}
+        className="w-full h-36 bg-gray-900 rounded-lg"
+      />
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-500">
+        <span style={{ color: ORIGINAL_COLOR }}>━ Original</span>
+        <span style={{ color: PROCESSED_COLOR }}>
+          ━ Processed{processed ? '' : ' (not rendered)'}
+        </span>
+        <span className="text-red-400">■ Mono problem created by the preset</span>
+        <span className="text-yellow-500">■ Mono problem in the source</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <div className="text-xs text-gray-500 mb-1">Correlation per band</div>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="py-1 pr-3 font-normal">Band</th>
+                {foldDowns.map(entry => (
+                  <th key={entry.label} className="py-1 pr-3 font-normal">{entry.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="text-gray-300">
+              {original.bands.map((band, i) => (
+                <tr key={band.name} className="border-t border-gray-800">
+                  <td className="py-1 pr-3 text-white">{band.name} ({formatFrequency(band.low)}-{formatFrequency(band.high)})</td>
+                  {foldDowns.map(entry => {
+                    const value = entry.stereoPhase.bands[i].correlation;
+                    return (
+                      <td key={entry.label} className={`py-1 pr-3 ${value !== null && value < 0 ? 'text-red-400' : ''}`}>
+                        {value !== null ? value.toFixed(2) : '--'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-xs text-gray-500">Mono fold-down (L+R summed)</div>
+          {foldDowns.map(entry => {
+            const worst = worstBands(entry.stereoPhase);
+            return (
+              <div key={entry.label} className="text-xs">
+                <span style={{ color: entry.color }}>{entry.label}:</span>{' '}
+                <span className="text-white font-mono">-{entry.stereoPhase.monoFoldDown.loss.toFixed(1)} LU</span>
+                <span className="text-gray-500">
+                  {worst.length > 0
+                    ? ` • worst ${worst.map(band => `${formatFrequency(band.frequency)} Hz ${formatLoss(band.loss)}`).join(', ')}`
+                    : ' • no band loses more than 1 dB'}
+                </span>
+              </div>
+            );
+          })}
+          {introduced.length > 0 && (
+            <div className="text-xs text-red-300 pt-1">
+              Created by the preset:{' '}
+              {introduced.map(region =>
+                `${formatTime(region.start)}-${formatTime(region.end)} (${formatLoss(region.maxLoss)}, corr ${region.minCorrelation.toFixed(2)})`
+              ).join(', ')}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useEffect, useRef } from 'react';
+import { BarChart3 } from 'lucide-react';
+
+// Deviation axis (dB) and frequency axis (Hz, log)
+const RANGE_DB = 15;
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+const GRID_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const ORIGINAL_COLOR = '#60a5fa'; // Blue
+const PROCESSED_COLOR = '#8b5cf6'; // Purple
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+}
+
+export default function TonalBalanceView({
+  genres,
+  genre,
+  original,
+  processed,
+  correction,
+  correctionEnabled,
+  correctionStrength,
+  onGenreChange,
+  onCorrectionChange
+}) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!original || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    const toX = (frequency) =>
+      (Math.log(frequency / MIN_FREQUENCY) / Math.log(MAX_FREQUENCY / MIN_FREQUENCY)) * width;
+    const toY = (db) => height / 2 - (Math.max(-RANGE_DB, Math.min(RANGE_DB, db)) / RANGE_DB) * (height / 2);
+
+    // Clear canvas
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Tolerance band around the target (deviation 0)
+    ctx.fillStyle = 'rgba(34, 197, 94, 0.15)';
+    ctx.beginPath();
+    original.bands.forEach((band, i) => {
+      const x = toX(band.frequency);
+      if (i === 0) ctx.moveTo(x, toY(band.tolerance));
+      else ctx.lineTo(x, toY(band.tolerance));
+    });
+    [...original.bands].reverse().forEach(band => {
+      ctx.lineTo(toX(band.frequency), toY(-band.tolerance));
+    });
+    ctx.closePath();
+    ctx.fill();
+
+    // Grid
+    ctx.strokeStyle = '#1f2937';
+    ctx.fillStyle = '#6b7280';
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    GRID_FREQUENCIES.forEach(frequency => {
+      const x = toX(frequency);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(formatFrequency(frequency), x + 2, height - 4);
+    });
+    [-10, -5, 0, 5, 10].forEach(db => {
+      const y = toY(db);
+      ctx.strokeStyle = db === 0 ? '#22c55e' : '#1f2937';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      ctx.fillText(`${db > 0 ? '+' : ''}${db}`, 4, y - 2);
+    });
+
+    const drawDeviation = (comparison, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let started = false;
+      comparison.bands.forEach(band => {
+        if (band.level === null) return;
+        const x = toX(band.frequency);
+        const y = toY(band.deviation);
+        if (!started) {
+          ctx.moveTo(x, y);
+          started = true;
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    };
+
+    drawDeviation(original, ORIGINAL_COLOR);
+    if (processed) {
+      drawDeviation(processed, PROCESSED_COLOR);
+    }
+  }, [original, processed]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <BarChart3 className="w-4 h-4 text-gray-400" />
+          <span className="text-sm font-medium text-gray-300">Tonal Balance vs Genre</span>
+        </div>
+        <select
+          value={genre || ''}
+          onChange={(e) => onGenreChange(e.target.value || null)}
+          className="px-2 py-1 text-sm rounded bg-gray-800 border border-gray-700 text-gray-200"
+        >
+          <option value="">No genre target</option>
+          {genres.map(({ id, name }) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+      </div>
+
+      {!original && (
+        <p className="text-sm text-gray-500">
+          Pick a genre to compare the track's 1/3-octave balance against its target curve.
+        </p>
+      )}
+
+      {original && (
+        <>
+          <canvas
+            ref={canvasRef}
+            width={800}
+            height={180}
+            className="w-full h-44 bg-gray-900 rounded-lg"
+          />
+          <div className="flex flex-wrap items-center gap-4 text-xs text-gray-500">
+            <span style={{ color: ORIGINAL_COLOR }}>
+              ━ Original ({original.rms.toFixed(1)} dB RMS, {original.outOfTolerance} bands out)
+            </span>
+            <span style={{ color: PROCESSED_COLOR }}>
+              ━ Processed{processed
+                ? ` (${processed.rms.toFixed(1)} dB RMS, ${processed.outOfTolerance} bands out)`
+                : ' (not rendered)'}
+            </span>
+            <span className="text-green-500">▒ Tolerance</span>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={correctionEnabled}
+                onChange={(e) => onCorrectionChange(e.target.checked, correctionStrength)}
+                className="accent-purple-500"
+              />
+              Corrective EQ before preset
+            </label>
+            {correctionEnabled && (
+              <>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={correctionStrength}
+                  onChange={(e) => onCorrectionChange(true, parseFloat(e.target.value))}
+                  className="w-32 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                />
+                <span className="text-xs text-gray-500">{Math.round(correctionStrength * 100)}%</span>
+              </>
+            )}
+          </div>
+
+          {correctionEnabled && correction && (
+            <div className="text-xs text-gray-400 font-mono">
+              {correction
+                .filter(band => Math.abs(band.gain) >= 0.1)
+                .map(band => `${formatFrequency(band.frequency)} ${band.gain > 0 ? '+' : ''}${band.gain.toFixed(1)}`)
+                .join(' • ') || 'Within tolerance - no correction needed'}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
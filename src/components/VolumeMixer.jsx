@@ -1,7 +1,7 @@
 import React from 'react';
 import { Volume2, VolumeX } from 'lucide-react';
 
-export default function VolumeMixer({ originalVolume, processedVolume, onOriginalChange, onProcessedChange }) {
+export default function VolumeMixer({ originalVolume, processedVolume, originalRepaired = false, onOriginalChange, onProcessedChange }) {
   return (
     <div className="space-y-4">
       <div className="flex items-center gap-2 mb-2">
@@ -13,7 +13,7 @@ export default function VolumeMixer({ originalVolume, processedVolume, onOrigina
         {/* Original Volume */}
         <div>
           <div className="flex items-center justify-between mb-1">
-            <span className="text-xs text-gray-400">Original</span>
+            <span className="text-xs text-gray-400">{originalRepaired ? 'Original (repaired)' : 'Original'}</span>
             <span className="text-xs text-gray-500">{Math.round(originalVolume * 100)}%</span>
           </div>
           <div className="flex items-center gap-2">
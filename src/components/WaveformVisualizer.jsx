@@ -1,48 +1,222 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { ZoomIn, ZoomOut, Repeat, X } from 'lucide-react';
+import { getPeaks, WAVEFORM_LANES } from '../engine/waveformPeaks.js';
 
-export default function WaveformVisualizer({ audioBuffer, isPlaying, currentTime }) {
+const WIDTH = 800;
+const LANE_HEIGHT = 70;
+const MONO_HEIGHT = 100;
+
+const MAX_ZOOM = 512;
+
+// Drags shorter than this (canvas pixels) are clicks
+const DRAG_THRESHOLD = 3;
+
+const ORIGINAL_COLOR = '#60a5fa'; // Blue
+const PROCESSED_COLOR = 'rgba(139, 92, 246, 0.6)'; // Purple
+const LOOP_COLOR = 'rgba(250, 204, 21, 0.12)';
+
+// Section tint per label
+const SECTION_COLORS = {
+  intro: 'rgba(96, 165, 250, 0.10)',
+  verse: 'rgba(156, 163, 175, 0.08)',
+  hook: 'rgba(236, 72, 153, 0.14)',
+  drop: 'rgba(239, 68, 68, 0.16)',
+  break: 'rgba(34, 197, 94, 0.10)',
+  outro: 'rgba(96, 165, 250, 0.10)'
+};
+
+// Source-diagnostic marker colour per severity
+const ISSUE_COLORS = {
+  error: '#ef4444',
+  warning: '#f59e0b',
+  info: '#60a5fa'
+};
+
+const LANE_LABELS = { mono: '', left: 'L', right: 'R', mid: 'M', side: 'S' };
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+export default function WaveformVisualizer({
+  audioBuffer,
+  peaks,
+  processedPeaks,
+  isPlaying,
+  currentTime,
+  beatGrid,
+  sections,
+  issues,
+  loopRegion,
+  onSeek,
+  onLoopChange
+}) {
   const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  const [laneMode, setLaneMode] = useState('lr');
+  const [showProcessed, setShowProcessed] = useState(true);
+  const [dragRegion, setDragRegion] = useState(null);
+
+  const duration = audioBuffer ? audioBuffer.duration : 0;
+  const span = duration / zoom;
+  const lanes = peaks?.channels > 1 ? WAVEFORM_LANES[laneMode] : WAVEFORM_LANES.mono;
+  const height = lanes.length > 1 ? LANE_HEIGHT * lanes.length : MONO_HEIGHT;
+
+  const clampStart = (start, visible = span) => Math.max(0, Math.min(duration - visible, start));
 
+  // Zoom around a time (kept at the same screen position)
+  const zoomTo = (nextZoom, anchor) => {
+    const clamped = Math.max(1, Math.min(MAX_ZOOM, nextZoom));
+    const fraction = (anchor - viewStart) / span;
+    const nextSpan = duration / clamped;
+    setZoom(clamped);
+    setViewStart(clampStart(anchor - fraction * nextSpan, nextSpan));
+  };
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  const wheelRef = useRef(null);
+  wheelRef.current = (e) => {
+    e.preventDefault();
+    const rect = canvasRef.current.getBoundingClientRect();
+    const anchor = viewStart + ((e.clientX - rect.left) / rect.width) * span;
+    zoomTo(e.deltaY < 0 ? zoom * 2 : zoom / 2, anchor);
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const listener = (e) => wheelRef.current(e);
+    canvas.addEventListener('wheel', listener, { passive: false });
+    return () => canvas.removeEventListener('wheel', listener);
+  }, [audioBuffer]);
+
+  // New file: back to the full view
   useEffect(() => {
-    if (!audioBuffer || !canvasRef.current) return;
+    setZoom(1);
+    setViewStart(0);
+  }, [audioBuffer]);
+
+  // Keep the playhead in view while playing
+  useEffect(() => {
+    if (isPlaying && zoom > 1 && (currentTime < viewStart || currentTime > viewStart + span)) {
+      setViewStart(clampStart(currentTime));
+    }
+  }, [isPlaying, currentTime]);
+
+  useEffect(() => {
+    if (!audioBuffer || !peaks || !canvasRef.current) return;
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
+    const toX = (time) => ((time - viewStart) / span) * WIDTH;
+    const inView = (time) => time >= viewStart && time <= viewStart + span;
 
     // Clear canvas
     ctx.fillStyle = '#0a0a0a';
-    ctx.fillRect(0, 0, width, height);
-
-    // Draw waveform
-    const channelData = audioBuffer.getChannelData(0);
-    const length = channelData.length;
-    const step = length / width;
-
-    ctx.strokeStyle = '#8b5cf6'; // Purple
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-
-    for (let i = 0; i < width; i++) {
-      const index = Math.floor(i * step);
-      const sample = channelData[index];
-      const y = (sample + 1) * (height / 2);
-      
-      if (i === 0) {
-        ctx.moveTo(i, y);
-      } else {
-        ctx.lineTo(i, y);
+    ctx.fillRect(0, 0, WIDTH, height);
+
+    // Song sections
+    if (sections) {
+      sections.forEach(section => {
+        ctx.fillStyle = SECTION_COLORS[section.label] || SECTION_COLORS.verse;
+        ctx.fillRect(toX(section.start), 0, toX(section.end) - toX(section.start), height);
+      });
+    }
+
+    // Loop region (or the one being dragged)
+    const region = dragRegion || loopRegion;
+    if (region) {
+      ctx.fillStyle = LOOP_COLOR;
+      ctx.fillRect(toX(region.start), 0, toX(region.end) - toX(region.start), height);
+    }
+
+    // Beat grid (downbeats brighter)
+    if (beatGrid) {
+      const downbeats = new Set(beatGrid.downbeats);
+      ctx.lineWidth = 1;
+      beatGrid.beats.filter(inView).forEach(time => {
+        const x = toX(time);
+        ctx.strokeStyle = downbeats.has(time) ? '#4b5563' : '#1f2937';
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+      });
+    }
+
+    // Min/max peaks per pixel, one lane per channel (or mid/side)
+    const startSample = viewStart * peaks.sampleRate;
+    const endSample = (viewStart + span) * peaks.sampleRate;
+    const laneHeight = height / lanes.length;
+
+    const drawPeaks = (cache, lane, index, color) => {
+      const { min, max } = getPeaks(cache, lane, startSample, endSample, WIDTH);
+      const center = laneHeight * (index + 0.5);
+      const scale = laneHeight / 2;
+      ctx.fillStyle = color;
+      for (let x = 0; x < WIDTH; x++) {
+        const top = center - Math.min(1, max[x]) * scale;
+        const bottom = center - Math.max(-1, min[x]) * scale;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+      }
+    };
+
+    lanes.forEach((lane, index) => {
+      drawPeaks(peaks, lane, index, ORIGINAL_COLOR);
+      if (showProcessed && processedPeaks) {
+        drawPeaks(processedPeaks, lane, index, PROCESSED_COLOR);
+      }
+
+      ctx.fillStyle = '#6b7280';
+      ctx.font = '10px monospace';
+      ctx.fillText(LANE_LABELS[lane], WIDTH - 12, laneHeight * index + 12);
+      if (index > 0) {
+        ctx.strokeStyle = '#374151';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, laneHeight * index);
+        ctx.lineTo(WIDTH, laneHeight * index);
+        ctx.stroke();
       }
+    });
+
+    // Section markers and names
+    if (sections) {
+      ctx.font = '10px monospace';
+      sections.filter(section => inView(section.start)).forEach(section => {
+        const x = toX(section.start);
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillStyle = '#d1d5db';
+        ctx.fillText(section.name, x + 3, 11);
+      });
     }
 
-    ctx.stroke();
+    // Source-diagnostic events (whole-file issues are not marked)
+    if (issues) {
+      issues.forEach(issue => {
+        ctx.fillStyle = ISSUE_COLORS[issue.severity];
+        issue.events.forEach(event => {
+          if (event.duration >= duration) return;
+          const x = toX(event.time);
+          const eventWidth = Math.max(2, toX(event.time + event.duration) - x);
+          ctx.fillRect(x, height - 6, eventWidth, 6);
+          ctx.fillRect(x, 0, 1, height);
+        });
+      });
+    }
 
     // Draw playhead
-    if (isPlaying && currentTime > 0) {
-      const progress = currentTime / audioBuffer.duration;
-      const playheadX = progress * width;
-      
+    if (currentTime > 0 && inView(currentTime)) {
+      const playheadX = toX(currentTime);
+
       ctx.strokeStyle = '#ec4899'; // Pink
       ctx.lineWidth = 2;
       ctx.beginPath();
@@ -50,14 +224,129 @@ export default function WaveformVisualizer({ audioBuffer, isPlaying, currentTime
       ctx.lineTo(playheadX, height);
       ctx.stroke();
     }
-  }, [audioBuffer, isPlaying, currentTime]);
+  }, [audioBuffer, peaks, processedPeaks, showProcessed, lanes, height, viewStart, span, currentTime, beatGrid, sections, issues, loopRegion, dragRegion]);
+
+  // Click to seek, drag to set a loop region
+  const timeAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    return { time: viewStart + fraction * span, x: fraction * WIDTH };
+  };
+
+  const handleMouseDown = (e) => {
+    const { time, x } = timeAt(e);
+    dragRef.current = { time, x, moved: false };
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { time, x } = timeAt(e);
+    if (drag.moved || Math.abs(x - drag.x) > DRAG_THRESHOLD) {
+      drag.moved = true;
+      setDragRegion({ start: Math.min(drag.time, time), end: Math.max(drag.time, time) });
+    }
+  };
+
+  const handleMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+    const { time } = timeAt(e);
+    setDragRegion(null);
+    if (drag.moved) {
+      if (onLoopChange) onLoopChange({ start: Math.min(drag.time, time), end: Math.max(drag.time, time) });
+    } else if (onSeek) {
+      onSeek(time);
+    }
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setDragRegion(null);
+  };
 
   return (
-    <canvas
-      ref={canvasRef}
-      width={800}
-      height={100}
-      className="w-full h-24 bg-gray-900 rounded-lg"
-    />
+    <div className="space-y-1">
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={height}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+        style={{ height: `${height}px` }}
+        className="w-full bg-gray-900 rounded-lg cursor-crosshair"
+      />
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500">
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => zoomTo(zoom / 2, viewStart + span / 2)}
+            disabled={zoom <= 1}
+            className="p-1 rounded bg-gray-800 hover:bg-gray-700 text-gray-300 disabled:opacity-40"
+            title="Zoom out"
+          >
+            <ZoomOut className="w-3 h-3" />
+          </button>
+          <span className="font-mono w-10 text-center">{zoom}x</span>
+          <button
+            onClick={() => zoomTo(zoom * 2, isPlaying ? currentTime : viewStart + span / 2)}
+            disabled={zoom >= MAX_ZOOM}
+            className="p-1 rounded bg-gray-800 hover:bg-gray-700 text-gray-300 disabled:opacity-40"
+            title="Zoom in"
+          >
+            <ZoomIn className="w-3 h-3" />
+          </button>
+        </div>
+        <span className="font-mono">{formatTime(viewStart)}</span>
+        <input
+          type="range"
+          min="0"
+          max={Math.max(0, duration - span)}
+          step="0.01"
+          value={viewStart}
+          disabled={zoom <= 1}
+          onChange={(e) => setViewStart(clampStart(parseFloat(e.target.value)))}
+          className="flex-1 min-w-[120px] accent-purple-500"
+        />
+        <span className="font-mono">{formatTime(viewStart + span)}</span>
+        {peaks?.channels > 1 && (
+          <div className="flex rounded overflow-hidden border border-gray-700">
+            {['lr', 'ms'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => setLaneMode(mode)}
+                className={`px-2 py-0.5 ${laneMode === mode ? 'bg-purple-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+              >
+                {mode === 'lr' ? 'L/R' : 'M/S'}
+              </button>
+            ))}
+          </div>
+        )}
+        <label className="flex items-center gap-1 text-gray-300">
+          <input
+            type="checkbox"
+            checked={showProcessed}
+            disabled={!processedPeaks}
+            onChange={(e) => setShowProcessed(e.target.checked)}
+            className="accent-purple-500"
+          />
+          <span style={{ color: ORIGINAL_COLOR }}>Original</span> +{' '}
+          <span className="text-purple-400">processed{processedPeaks ? '' : ' (not rendered)'}</span>
+        </label>
+        {loopRegion ? (
+          <span className="flex items-center gap-1 text-yellow-300">
+            <Repeat className="w-3 h-3" />
+            {formatTime(loopRegion.start)}-{formatTime(loopRegion.end)}
+            <button onClick={() => onLoopChange(null)} className="p-0.5 rounded hover:bg-gray-700" title="Clear loop">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ) : (
+          <span>Click to seek, drag to loop</span>
+        )}
+      </div>
+    </div>
   );
 }
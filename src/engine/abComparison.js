@@ -0,0 +1,232 @@
+/**
+ * A/B/C/D Comparison
+ * Up to four slots (original, reference or offline renders) playing in sync from one start
+ * time, each loudness-matched by integrated LUFS (ITU-R BS.1770). Switching only moves gains,
+ * so it is gapless and keeps the play position. Blind mode shuffles the slot labels and hides
+ * which slot is which until the listener picks one.
+ */
+
+import { ABSOLUTE_GATE_LUFS } from './loudnessMeasurement.js';
+
+export const MAX_COMPARISON_SLOTS = 4;
+const SLOT_LABELS = ['A', 'B', 'C', 'D'];
+
+// Gain ramp time constant when switching slots (seconds): instant to the ear, but click-free
+const SWITCH_TIME_CONSTANT = 0.005;
+
+/**
+ * Whether a slot has a loudness to match (silent slots measure -Infinity, or the gate floor)
+ */
+function isMeasured(slot) {
+  return Number.isFinite(slot.lufs) && slot.lufs > ABSOLUTE_GATE_LUFS;
+}
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+export class ABComparison {
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.output = audioContext.createGain();
+    this.output.connect(destination);
+    this.slots = [];
+    this.activeSlot = null;
+    this.sources = [];
+    this.blind = null;
+    this.blindResults = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add a slot ({ kind: 'original' | 'reference' | 'render', name, buffer, lufs }); returns its id
+   */
+  addSlot({ kind, name, buffer, lufs }) {
+    if (this.slots.length >= MAX_COMPARISON_SLOTS) {
+      throw new Error(`Up to ${MAX_COMPARISON_SLOTS} comparison slots`);
+    }
+
+    const gainNode = this.audioContext.createGain();
+    gainNode.gain.value = 0;
+    gainNode.connect(this.output);
+
+    const slot = { id: this.nextId++, kind, name, buffer, lufs, gainNode };
+    this.slots.push(slot);
+    if (this.activeSlot === null) {
+      this.activeSlot = slot.id;
+    }
+    // A running blind round no longer covers every slot
+    this.blind = null;
+    this.updateGains();
+    return slot.id;
+  }
+
+  removeSlot(id) {
+    const slot = this.slots.find(s => s.id === id);
+    if (!slot) return;
+
+    slot.gainNode.disconnect();
+    this.slots = this.slots.filter(s => s.id !== id);
+    if (this.activeSlot === id) {
+      this.activeSlot = this.slots.length > 0 ? this.slots[0].id : null;
+    }
+    this.blind = null;
+    this.updateGains();
+  }
+
+  clear() {
+    this.stop();
+    this.slots.forEach(slot => slot.gainNode.disconnect());
+    this.slots = [];
+    this.activeSlot = null;
+    this.blind = null;
+  }
+
+  /**
+   * Loudness every slot plays at: the quietest measured slot's, so no slot is turned up past
+   * unity. Null when no slot has a measurable loudness.
+   */
+  getMatchedLUFS() {
+    const measured = this.slots.filter(isMeasured);
+    return measured.length > 0 ? Math.min(...measured.map(slot => slot.lufs)) : null;
+  }
+
+  /**
+   * Gain in dB that brings a slot to the matched loudness (0 for silent slots)
+   */
+  getMatchGainDb(slot, matchedLUFS = this.getMatchedLUFS()) {
+    return isMeasured(slot) && matchedLUFS !== null ? matchedLUFS - slot.lufs : 0;
+  }
+
+  getMatchGain(slot) {
+    return Math.pow(10, this.getMatchGainDb(slot) / 20);
+  }
+
+  /**
+   * Solo a slot (gapless: every slot keeps playing underneath)
+   */
+  select(id) {
+    if (this.slots.some(slot => slot.id === id)) {
+      this.activeSlot = id;
+      this.updateGains();
+    }
+  }
+
+  updateGains() {
+    const now = this.audioContext.currentTime;
+    this.slots.forEach(slot => {
+      const target = slot.id === this.activeSlot ? this.getMatchGain(slot) : 0;
+      slot.gainNode.gain.setTargetAtTime(target, now, SWITCH_TIME_CONSTANT);
+    });
+  }
+
+  /**
+   * Start every slot at the same context time and offset (seconds), looping the region if given
+   */
+  start(when, offset, loop) {
+    this.stop();
+    this.sources = this.slots.map(slot => {
+      const source = this.audioContext.createBufferSource();
+      source.buffer = slot.buffer;
+      source.connect(slot.gainNode);
+      this.applyLoop(source, loop);
+      source.start(when, Math.min(offset, slot.buffer.duration));
+      return source;
+    });
+  }
+
+  applyLoop(source, loop) {
+    source.loop = !!loop;
+    if (loop) {
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+  }
+
+  setLoop(loop) {
+    this.sources.forEach(source => this.applyLoop(source, loop));
+  }
+
+  stop() {
+    this.sources.forEach(source => {
+      try {
+        source.stop();
+      } catch (e) {
+        // Already stopped
+      }
+    });
+    this.sources = [];
+  }
+
+  /**
+   * Start a blind round: labels are reassigned in random order and names hidden until a pick
+   */
+  startBlind() {
+    if (this.slots.length < 2) {
+      throw new Error('A blind comparison needs at least two slots');
+    }
+    const order = shuffle(this.slots.map(slot => slot.id));
+    this.blind = { order, pick: null };
+    this.select(order[0]);
+  }
+
+  /**
+   * Record the listener's pick for this round and reveal the slots
+   */
+  pickBlind(id) {
+    if (!this.blind || this.blind.pick !== null) {
+      return null;
+    }
+    const picked = this.slots.find(slot => slot.id === id);
+    if (!picked) {
+      return null;
+    }
+
+    this.blind.pick = id;
+    const result = {
+      label: SLOT_LABELS[this.blind.order.indexOf(id)],
+      picked: picked.name,
+      against: this.slots.filter(slot => slot.id !== id).map(slot => slot.name),
+      time: Date.now()
+    };
+    this.blindResults.push(result);
+    return result;
+  }
+
+  endBlind() {
+    this.blind = null;
+  }
+
+  /**
+   * Plain snapshot for the UI. While a blind round is unrevealed, slots are listed in the
+   * shuffled order with labels only: name, kind, loudness and match gain would give them away.
+   */
+  getState() {
+    const matchedLUFS = this.getMatchedLUFS();
+    const hidden = !!this.blind && this.blind.pick === null;
+    const ordered = this.blind
+      ? this.blind.order.map(id => this.slots.find(slot => slot.id === id))
+      : this.slots;
+
+    return {
+      slots: ordered.map((slot, i) => ({
+        id: slot.id,
+        label: SLOT_LABELS[i],
+        name: hidden ? null : slot.name,
+        kind: hidden ? null : slot.kind,
+        lufs: hidden ? null : slot.lufs,
+        gainDb: hidden ? null : this.getMatchGainDb(slot, matchedLUFS)
+      })),
+      activeSlot: this.activeSlot,
+      matchedLUFS,
+      canAdd: this.slots.length < MAX_COMPARISON_SLOTS,
+      blind: this.blind ? { revealed: this.blind.pick !== null, pick: this.blind.pick } : null,
+      blindResults: [...this.blindResults]
+    };
+  }
+}
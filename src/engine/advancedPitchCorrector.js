@@ -29,6 +29,9 @@ export class AdvancedPitchCorrector {
     // Formant preservation (simplified)
     this.formantPreservation = true;
     
+    // Allowed pitch classes (0 = C); null corrects to the nearest semitone
+    this.scale = null;
+    
     // Window for autocorrelation
     this.windowSize = 1024;
     this.hopSize = 256;
@@ -85,9 +88,9 @@ export class AdvancedPitchCorrector {
     
     const frequency = this.sampleRate / maxLag;
     
-    // Find nearest semitone
+    // Find nearest semitone (in the song's scale when one is set)
     const semitones = 12 * Math.log2(frequency / 440) + 9; // A4 = 440Hz
-    const nearestSemitone = Math.round(semitones);
+    const nearestSemitone = this.findNearestNote(semitones);
     const deviation = (semitones - nearestSemitone) * 100; // Convert to cents
     
     return {
@@ -98,6 +101,33 @@ export class AdvancedPitchCorrector {
     };
   }
 
+  /**
+   * Restrict correction targets to a scale (pitch classes, 0 = C), e.g. analysis.key.scale
+   * Pass null to correct to the nearest semitone
+   */
+  setScale(pitchClasses) {
+    this.scale = pitchClasses && pitchClasses.length > 0 ? pitchClasses : null;
+  }
+
+  /**
+   * Nearest note (semitones from C4) that is in the scale
+   */
+  findNearestNote(semitones) {
+    const nearest = Math.round(semitones);
+    if (!this.scale) return nearest;
+    
+    // Scale notes are at most two semitones apart, so search outwards from the nearest semitone
+    let best = null;
+    for (let note = nearest - 2; note <= nearest + 2; note++) {
+      const pitchClass = ((note % 12) + 12) % 12;
+      if (this.scale.includes(pitchClass) &&
+          (best === null || Math.abs(semitones - note) < Math.abs(semitones - best))) {
+        best = note;
+      }
+    }
+    return best ?? nearest;
+  }
+
   /**
    * Process sample with pitch correction
    * Uses phase vocoder approach for formant preservation
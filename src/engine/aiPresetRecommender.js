@@ -1,6 +1,7 @@
 /**
  * AI Preset Recommender
  * Analyzes audio and recommends best presets based on characteristics
+ * Scores the same catalogue the preset engine builds from (presetCategories.js)
  */
 
 import { getAllPresets } from './presetCategories.js';
@@ -12,11 +13,12 @@ export class AIPresetRecommender {
 
   /**
    * Recommend presets based on audio analysis
+   * context.tonalDeviation: genre tonal-balance comparison (tonalBalance.js), optional
    */
-  recommend(analysisData) {
+  recommend(analysisData, context = {}) {
     const scores = this.presets.map(preset => ({
       preset,
-      score: this.calculateScore(preset, analysisData)
+      score: this.calculateScore(preset, analysisData, context)
     }));
 
     // Sort by score (highest first)
@@ -26,52 +28,63 @@ export class AIPresetRecommender {
     return scores.slice(0, 5).map(s => ({
       preset: s.preset,
       score: s.score,
-      reason: this.getRecommendationReason(s.preset, analysisData)
+      reason: this.getRecommendationReason(s.preset, analysisData, context)
     }));
   }
 
-  calculateScore(preset, analysis) {
+  /**
+   * Spectral metrics are shares of total power. A typical trap/hip-hop master sits near
+   * low 0.6 / mid 0.34 / high 0.06, bass 0.4, mud 0.2, vocal 0.11 and harshness 0.05;
+   * the thresholds below flag bands running roughly 3 dB away from that.
+   */
+  calculateScore(preset, analysis, context = {}) {
     let score = 0;
 
     // Check harshness
-    if (preset.tags.includes('harshness') && analysis.harshness > 0.25) {
+    if (preset.tags.includes('harshness') && analysis.harshness > 0.09) {
       score += 30;
     }
-    if (preset.tags.includes('de-harsh') && analysis.harshness > 0.3) {
+    if (preset.tags.includes('de-harsh') && analysis.harshness > 0.12) {
       score += 25;
     }
 
     // Check mud
-    if (preset.tags.includes('mud') && analysis.mud > 0.2) {
+    if (preset.tags.includes('mud') && analysis.mud > 0.3) {
       score += 30;
     }
-    if (preset.tags.includes('low-mid') && analysis.mud > 0.25) {
+    if (preset.tags.includes('low-mid') && analysis.mud > 0.38) {
       score += 25;
     }
 
     // Check bass
-    if (preset.tags.includes('bass') && analysis.bassStability > 0.3) {
+    if (preset.tags.includes('bass') && analysis.bassStability > 0.55) {
       score += 25;
     }
-    if (preset.tags.includes('low-end') && analysis.bassStability < 0.15) {
+    if (preset.tags.includes('low-end') && analysis.bassStability < 0.2) {
       score += 20;
     }
 
     // Check vocals
-    if (preset.tags.includes('vocal') && analysis.vocalDominance > 0.2) {
+    if (preset.tags.includes('vocal') && analysis.vocalDominance > 0.18) {
       score += 25;
     }
-    if (preset.tags.includes('vocal-forward') && analysis.vocalDominance < 0.15) {
+    if (preset.tags.includes('vocal-forward') && analysis.vocalDominance < 0.06) {
       score += 20;
     }
 
-    // Check dynamic range
-    if (preset.tags.includes('dynamic') && analysis.dynamicRange > 10) {
+    // Check macro-dynamics (PLR = true peak vs integrated, LRA = EBU Tech 3342)
+    if (preset.tags.includes('dynamic') && analysis.plr > 11) {
       score += 20;
     }
-    if (preset.tags.includes('loud') && analysis.dynamicRange < 8) {
+    if (preset.tags.includes('dynamic') && analysis.loudnessRange.lra > 7) {
+      score += 10;
+    }
+    if (preset.tags.includes('loud') && analysis.plr < 9) {
       score += 15;
     }
+    if (preset.tags.includes('loud') && analysis.psr.median > 10) {
+      score += 10;
+    }
 
     // Check stereo
     if (preset.tags.includes('wide') && analysis.stereoCorrelation.correlation < 0.5) {
@@ -83,16 +96,40 @@ export class AIPresetRecommender {
 
     // Genre-specific scoring
     const spectralBalance = analysis.spectralBalance;
-    if (preset.tags.includes('trap') && spectralBalance.low > 0.4) {
+    if (preset.tags.includes('trap') && spectralBalance.low > 0.65) {
       score += 15;
     }
-    if (preset.tags.includes('r&b') && spectralBalance.mid > 0.4) {
+    if (preset.tags.includes('r&b') && spectralBalance.mid > 0.45) {
       score += 15;
     }
-    if (preset.tags.includes('hip-hop') && spectralBalance.low > 0.35 && spectralBalance.mid > 0.35) {
+    if (preset.tags.includes('hip-hop') && spectralBalance.low > 0.5 && spectralBalance.mid > 0.3) {
       score += 15;
     }
 
+    // Genre tonal-balance deviation (dB beyond tolerance per region)
+    const deviation = context.tonalDeviation;
+    if (deviation) {
+      const { low, lowMid, high } = deviation.regions;
+      if (preset.tags.includes(deviation.genre)) {
+        score += 10;
+      }
+      if (high > 1 && (preset.tags.includes('harshness') || preset.tags.includes('smooth'))) {
+        score += 20;
+      }
+      if (high < -1 && (preset.tags.includes('bright') || preset.tags.includes('air'))) {
+        score += 20;
+      }
+      if (lowMid > 1 && preset.tags.includes('mud')) {
+        score += 20;
+      }
+      if (low > 1 && preset.tags.includes('control')) {
+        score += 20;
+      }
+      if (low < -1 && preset.tags.includes('boost')) {
+        score += 20;
+      }
+    }
+
     // Boost signature preset
     if (preset.id === 'bigcappo') {
       score += 10;
@@ -101,23 +138,49 @@ export class AIPresetRecommender {
     return score;
   }
 
-  getRecommendationReason(preset, analysis) {
+  getRecommendationReason(preset, analysis, context = {}) {
     const reasons = [];
 
-    if (preset.tags.includes('harshness') && analysis.harshness > 0.25) {
+    if (preset.tags.includes('harshness') && analysis.harshness > 0.09) {
       reasons.push('High harshness detected');
     }
-    if (preset.tags.includes('mud') && analysis.mud > 0.2) {
+    if (preset.tags.includes('mud') && analysis.mud > 0.3) {
       reasons.push('Mud detected in low-mids');
     }
-    if (preset.tags.includes('bass') && analysis.bassStability > 0.3) {
+    if (preset.tags.includes('bass') && analysis.bassStability > 0.55) {
       reasons.push('Bass needs control');
     }
-    if (preset.tags.includes('vocal') && analysis.vocalDominance > 0.2) {
+    if (preset.tags.includes('vocal') && analysis.vocalDominance > 0.18) {
       reasons.push('Vocal-forward track');
     }
-    if (preset.tags.includes('dynamic') && analysis.dynamicRange > 10) {
-      reasons.push('High dynamic range');
+    if (preset.tags.includes('dynamic') && analysis.plr > 11) {
+      reasons.push('High peak-to-loudness ratio');
+    }
+    if (preset.tags.includes('dynamic') && analysis.loudnessRange.lra > 7) {
+      reasons.push('Wide loudness range');
+    }
+    if (preset.tags.includes('loud') && analysis.psr.median > 10) {
+      reasons.push('Headroom for more density');
+    }
+
+    const deviation = context.tonalDeviation;
+    if (deviation) {
+      const { low, lowMid, high } = deviation.regions;
+      if (high > 1 && (preset.tags.includes('harshness') || preset.tags.includes('smooth'))) {
+        reasons.push('Highs above genre target');
+      }
+      if (high < -1 && (preset.tags.includes('bright') || preset.tags.includes('air'))) {
+        reasons.push('Highs below genre target');
+      }
+      if (lowMid > 1 && preset.tags.includes('mud')) {
+        reasons.push('Low-mids above genre target');
+      }
+      if (low > 1 && preset.tags.includes('control')) {
+        reasons.push('Low end above genre target');
+      }
+      if (low < -1 && preset.tags.includes('boost')) {
+        reasons.push('Low end below genre target');
+      }
     }
 
     return reasons.length > 0 ? reasons.join(', ') : 'Good match for your track';
@@ -136,9 +199,7 @@ export class AIPresetRecommender {
       'loudness': ['maximum-impact', 'festival-banger', 'competitive-loud']
     };
 
-    const tags = problemMap[problem] || [];
-    return this.presets.filter(p => 
-      tags.some(tag => p.tags.includes(tag))
-    );
+    const ids = problemMap[problem] || [];
+    return this.presets.filter(p => ids.includes(p.id));
   }
 }
@@ -0,0 +1,29 @@
+/**
+ * Render Analysis Worker
+ * Measures processed renders (AudioAnalysis.analyzeRender) off the main thread. Channel
+ * data arrives as transferred Float32Arrays; the analysis (or an error message) is posted
+ * back with the request id.
+ */
+
+import { AudioAnalysis } from './audioAnalysis.js';
+
+self.onmessage = async (event) => {
+  const { id, channels, sampleRate } = event.data;
+
+  try {
+    // Just enough of the AudioBuffer interface for the analysis
+    const length = channels[0].length;
+    const audioBuffer = {
+      numberOfChannels: channels.length,
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: (channel) => channels[channel]
+    };
+
+    const analysis = await new AudioAnalysis(null, sampleRate).analyzeRender(audioBuffer);
+    self.postMessage({ id, analysis });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
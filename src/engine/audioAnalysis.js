@@ -4,108 +4,360 @@
  * Feeds analysis data to all presets
  */
 
+import {
+  LoudnessMeasurement,
+  ABSOLUTE_GATE_LUFS,
+  SHORT_TERM_SUB_BLOCKS,
+  powerToLUFS,
+  percentile
+} from './loudnessMeasurement.js';
+import { measureTruePeakBlocks, linearToDBTP } from './truePeakDetector.js';
+import { SpectralAnalyzer, bandShare } from './spectralAnalysis.js';
+import { measureTonalBalance } from './tonalBalance.js';
+import { KeyDetector } from './keyDetection.js';
+import { TempoDetector } from './tempoDetection.js';
+import { SectionDetector, createBufferView } from './sectionDetection.js';
+import { StereoAnalyzer } from './stereoAnalysis.js';
+
+// Consecutive 400ms windows (4 x 100ms sub-blocks) for the momentary LUFS series; the 3s
+// short-term series steps at the same rate
+const MOMENTARY_WINDOW_SUB_BLOCKS = 4;
+
 export class AudioAnalysis {
   constructor(audioContext, sampleRate) {
     this.audioContext = audioContext;
     this.sampleRate = sampleRate;
     this.analysisData = null;
+    this.loudness = new LoudnessMeasurement();
+    this.spectral = new SpectralAnalyzer();
+    this.keyDetector = new KeyDetector();
+    this.tempoDetector = new TempoDetector();
+    this.sectionDetector = new SectionDetector();
+    this.stereoAnalyzer = new StereoAnalyzer();
   }
 
   /**
    * Perform complete analysis pass on audio buffer
    */
   async analyze(audioBuffer) {
+    const { measurements, loudnessBlocks, peakBlocks } = this.measure(audioBuffer);
+    
+    // Key and scale (chromagram vs key profiles)
+    const key = this.keyDetector.detect(audioBuffer);
+    
+    // Tempo, beat grid and downbeats
+    const tempo = this.tempoDetector.detect(audioBuffer);
+    
+    // Song sections (novelty boundaries on the bar grid) with their own stats
+    const sections = this.calculateSections(audioBuffer, loudnessBlocks, peakBlocks.blocks, tempo);
+    
+    // Peak-to-short-term-loudness ratio statistics (per-section maxima follow the song sections)
+    const psr = this.calculatePSR(loudnessBlocks, peakBlocks.blocks, sections);
+    
+    this.analysisData = {
+      ...measurements,
+      psr,
+      key,
+      tempo,
+      sections,
+      sampleRate: this.sampleRate,
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels
+    };
+    
+    return this.analysisData;
+  }
+
+  /**
+   * Analysis of a processed render: loudness, true peak, spectrum and stereo, which is all
+   * the comparisons with the original read. Skips key, tempo, sections and PSR, and leaves
+   * this.analysisData alone.
+   */
+  async analyzeRender(audioBuffer) {
+    const { measurements } = this.measure(audioBuffer);
+    
+    return {
+      ...measurements,
+      sampleRate: audioBuffer.sampleRate,
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels
+    };
+  }
+
+  /**
+   * Loudness, peak, spectral and stereo measurements shared by analyze and analyzeRender
+   */
+  measure(audioBuffer) {
     const samples = audioBuffer.getChannelData(0);
-    const length = samples.length;
     
-    // Calculate integrated LUFS (simplified EBU R128)
-    const integratedLUFS = this.calculateLUFS(samples);
+    // K-weighted, channel-summed energy in 100ms sub-blocks (ITU-R BS.1770-4)
+    const loudnessBlocks = this.loudness.computeSubBlocks(audioBuffer);
     
-    // Calculate short-term LUFS (400ms windows)
-    const shortTermLUFS = this.calculateShortTermLUFS(samples);
+    // Calculate integrated LUFS (gated)
+    const integratedLUFS = this.calculateLUFS(loudnessBlocks);
+    
+    // Momentary (400ms) and short-term (3s) LUFS over time
+    const momentaryLUFS = this.calculateMomentaryLUFS(loudnessBlocks);
+    const shortTermLUFS = this.calculateShortTermLUFS(loudnessBlocks);
     
     // Dynamic range / crest factor
     const { dynamicRange, crestFactor } = this.calculateDynamicRange(samples);
     
+    // True peak per 100ms sub-block (aligned with the loudness sub-blocks)
+    const peakBlocks = measureTruePeakBlocks(audioBuffer, loudnessBlocks.subBlockSize);
+    const truePeak = Math.max(ABSOLUTE_GATE_LUFS, linearToDBTP(peakBlocks.truePeak));
+    const samplePeak = Math.max(ABSOLUTE_GATE_LUFS, linearToDBTP(peakBlocks.samplePeak));
+    
+    // True peak (dBTP) per momentary window, aligned with momentaryLUFS.windows
+    const truePeakWindows = this.calculateWindowTruePeaks(peakBlocks.blocks, momentaryLUFS.windows.length);
+    
+    // Loudness Range (EBU Tech 3342)
+    const loudnessRange = this.calculateLoudnessRange(loudnessBlocks);
+    
+    // Peak-to-loudness ratio (true peak vs integrated loudness)
+    const plr = truePeak - integratedLUFS;
+    
+    // Long-term average spectrum (offline STFT over the whole buffer)
+    const { frequencies, average } = this.spectral.analyze(audioBuffer);
+    const spectrum = { frequencies, average };
+    
+    // Normalised 1/3-octave balance (compared against genre targets)
+    const tonalBalance = measureTonalBalance(spectrum);
+    
     // Spectral balance
-    const spectralBalance = this.calculateSpectralBalance(audioBuffer);
+    const spectralBalance = this.calculateSpectralBalance(spectrum);
     
     // Vocal dominance (1-4 kHz presence)
-    const vocalDominance = this.calculateVocalDominance(audioBuffer);
+    const vocalDominance = this.calculateVocalDominance(spectrum);
     
     // Harshness zones (2.5-6 kHz)
-    const harshness = this.calculateHarshness(audioBuffer);
+    const harshness = this.calculateHarshness(spectrum);
     
     // Mud zones (150-350 Hz)
-    const mud = this.calculateMud(audioBuffer);
+    const mud = this.calculateMud(spectrum);
     
     // Bass stability (30-120 Hz)
-    const bassStability = this.calculateBassStability(audioBuffer);
+    const bassStability = this.calculateBassStability(spectrum);
     
     // Stereo correlation / mono safety
     const stereoCorrelation = audioBuffer.numberOfChannels > 1 
       ? this.calculateStereoCorrelation(audioBuffer)
       : { correlation: 1.0, monoSafe: true };
     
-    this.analysisData = {
-      integratedLUFS,
-      shortTermLUFS,
-      dynamicRange,
-      crestFactor,
-      spectralBalance,
-      vocalDominance,
-      harshness,
-      mud,
-      bassStability,
-      stereoCorrelation,
-      sampleRate: this.sampleRate,
-      duration: audioBuffer.duration,
-      channels: audioBuffer.numberOfChannels
-    };
+    // Correlation over time and per band, mono fold-down loss (null for mono sources)
+    const stereoPhase = this.stereoAnalyzer.analyze(audioBuffer, loudnessBlocks);
     
-    return this.analysisData;
+    return {
+      measurements: {
+        integratedLUFS,
+        momentaryLUFS,
+        shortTermLUFS,
+        dynamicRange,
+        crestFactor,
+        truePeak,
+        samplePeak,
+        truePeakWindows,
+        loudnessRange,
+        plr,
+        spectrum,
+        tonalBalance,
+        spectralBalance,
+        vocalDominance,
+        harshness,
+        mud,
+        bassStability,
+        stereoCorrelation,
+        stereoPhase
+      },
+      loudnessBlocks,
+      peakBlocks
+    };
   }
 
   /**
-   * Calculate integrated LUFS using EBU R128 pre-filtering
+   * Calculate integrated LUFS (K-weighted, absolute and relative gating)
    */
-  calculateLUFS(samples) {
-    // Simplified LUFS calculation
-    // Full implementation would use proper K-weighting filter
-    let sumSquared = 0;
-    const length = samples.length;
-    
-    for (let i = 0; i < length; i++) {
-      const sample = samples[i];
-      sumSquared += sample * sample;
-    }
-    
-    const rms = Math.sqrt(sumSquared / length);
-    const lufs = rms > 0 ? -0.691 + 10 * Math.log10(rms) : -70;
-    
-    return Math.max(-70, Math.min(0, lufs));
+  calculateLUFS(loudnessBlocks) {
+    const lufs = this.loudness.integratedFromSubBlocks(loudnessBlocks);
+    return Math.max(ABSOLUTE_GATE_LUFS, lufs);
+  }
+
+  /**
+   * Momentary LUFS of consecutive 400ms windows (ungated)
+   */
+  calculateMomentaryLUFS(loudnessBlocks) {
+    return this.calculateLoudnessSeries(loudnessBlocks, MOMENTARY_WINDOW_SUB_BLOCKS);
   }
 
   /**
-   * Calculate short-term LUFS (400ms windows)
+   * Short-term LUFS of 3s windows starting every 400ms (ungated)
    */
-  calculateShortTermLUFS(samples) {
-    const windowSize = Math.floor(this.sampleRate * 0.4); // 400ms
-    const windows = [];
+  calculateShortTermLUFS(loudnessBlocks) {
+    return this.calculateLoudnessSeries(loudnessBlocks, SHORT_TERM_SUB_BLOCKS);
+  }
+
+  /**
+   * Loudness series of windows `windowSubBlocks` long, one every 400ms: window i starts at
+   * i * hopDuration seconds. Audio shorter than one window gives a single integrated value.
+   */
+  calculateLoudnessSeries(loudnessBlocks, windowSubBlocks) {
+    const powers = this.loudness.getWindowPowers(loudnessBlocks, windowSubBlocks, MOMENTARY_WINDOW_SUB_BLOCKS);
+    const windows = Array.from(powers, power => Math.max(ABSOLUTE_GATE_LUFS, powerToLUFS(power)));
     
-    for (let i = 0; i < samples.length; i += windowSize) {
-      const window = samples.slice(i, Math.min(i + windowSize, samples.length));
-      windows.push(this.calculateLUFS(window));
+    if (windows.length === 0) {
+      windows.push(this.calculateLUFS(loudnessBlocks));
     }
     
+    const subBlockDuration = loudnessBlocks.subBlockSize / loudnessBlocks.sampleRate;
     return {
       average: windows.reduce((a, b) => a + b, 0) / windows.length,
       min: Math.min(...windows),
       max: Math.max(...windows),
+      windowDuration: windowSubBlocks * subBlockDuration,
+      hopDuration: MOMENTARY_WINDOW_SUB_BLOCKS * subBlockDuration,
       windows
     };
   }
 
+  /**
+   * Max true peak (dBTP, floored at -70) of each consecutive 400ms window
+   */
+  calculateWindowTruePeaks(peakBlocks, windowCount) {
+    const peaks = [];
+    for (let w = 0; w < windowCount; w++) {
+      let peak = 0;
+      const start = w * MOMENTARY_WINDOW_SUB_BLOCKS;
+      for (let b = start; b < start + MOMENTARY_WINDOW_SUB_BLOCKS && b < peakBlocks.length; b++) {
+        if (peakBlocks[b] > peak) peak = peakBlocks[b];
+      }
+      peaks.push(Math.max(ABSOLUTE_GATE_LUFS, linearToDBTP(peak)));
+    }
+    return peaks;
+  }
+
+  /**
+   * Calculate Loudness Range (EBU Tech 3342) in LU with its 10th/95th percentile bounds
+   */
+  calculateLoudnessRange(loudnessBlocks) {
+    const { lra, low, high } = this.loudness.loudnessRangeFromSubBlocks(loudnessBlocks);
+    return {
+      lra,
+      low: Math.max(ABSOLUTE_GATE_LUFS, low),
+      high: Math.max(ABSOLUTE_GATE_LUFS, high)
+    };
+  }
+
+  /**
+   * Detect song sections and measure each one: loudness, true peak, dynamics, spectral and stereo stats
+   */
+  calculateSections(audioBuffer, loudnessBlocks, peakBlocks, tempo) {
+    const { sampleRate, length } = audioBuffer;
+    const { energies, subBlockSize } = loudnessBlocks;
+    
+    const sections = this.sectionDetector.detect(audioBuffer, loudnessBlocks, tempo).map(({ start, end, novelty, lowShare }) => {
+      const startSample = Math.round(start * sampleRate);
+      const endSample = Math.min(length, Math.round(end * sampleRate));
+      const view = createBufferView(audioBuffer, startSample, endSample);
+      
+      // Sub-blocks fully inside the section
+      const firstBlock = Math.ceil(startSample / subBlockSize);
+      const lastBlock = Math.max(firstBlock, Math.floor(endSample / subBlockSize));
+      const blocks = { energies: energies.subarray(firstBlock, lastBlock), subBlockSize, sampleRate };
+      const shortTerm = this.loudness.getShortTermLoudness(blocks);
+      
+      let peak = 0;
+      for (let b = firstBlock; b < lastBlock && b < peakBlocks.length; b++) {
+        if (peakBlocks[b] > peak) peak = peakBlocks[b];
+      }
+      
+      const sectionSpectrum = this.spectral.analyze(view);
+      const integrated = this.calculateLUFS(blocks);
+      
+      return {
+        start,
+        end,
+        novelty,
+        loudness: {
+          integrated,
+          shortTermMax: shortTerm.length > 0 ? Math.max(ABSOLUTE_GATE_LUFS, ...shortTerm) : integrated,
+          truePeak: Math.max(ABSOLUTE_GATE_LUFS, linearToDBTP(peak))
+        },
+        dynamics: this.calculateDynamicRange(view.getChannelData(0)),
+        spectral: {
+          spectralBalance: this.calculateSpectralBalance(sectionSpectrum),
+          vocalDominance: this.calculateVocalDominance(sectionSpectrum),
+          harshness: this.calculateHarshness(sectionSpectrum),
+          mud: this.calculateMud(sectionSpectrum),
+          bassStability: this.calculateBassStability(sectionSpectrum),
+          lowShare
+        },
+        stereo: view.numberOfChannels > 1
+          ? this.calculateStereoCorrelation(view)
+          : { correlation: 1.0, monoSafe: true }
+      };
+    });
+    
+    return this.sectionDetector.labelSections(sections);
+  }
+
+  /**
+   * Calculate PSR (true peak minus short-term loudness) for every 3s window, 100ms hop.
+   * Windows below the absolute gate are skipped so silence doesn't read as huge PSR.
+   * Per-section maxima use the song sections (by window start time).
+   */
+  calculatePSR(loudnessBlocks, peakBlocks, songSections) {
+    const shortTerm = this.loudness.getShortTermLoudness(loudnessBlocks);
+    const subBlockDuration = loudnessBlocks.subBlockSize / loudnessBlocks.sampleRate;
+    const duration = loudnessBlocks.energies.length * subBlockDuration;
+    const values = [];
+    const starts = [];
+    
+    for (let w = 0; w < shortTerm.length; w++) {
+      if (shortTerm[w] <= ABSOLUTE_GATE_LUFS) continue;
+      
+      let peak = 0;
+      for (let b = w; b < w + SHORT_TERM_SUB_BLOCKS; b++) {
+        if (peakBlocks[b] > peak) peak = peakBlocks[b];
+      }
+      values.push(linearToDBTP(peak) - shortTerm[w]);
+      starts.push(w * subBlockDuration);
+    }
+    
+    if (values.length === 0) {
+      return { min: 0, max: 0, mean: 0, median: 0, p10: 0, p90: 0, sections: [] };
+    }
+    
+    // Maximum PSR per song section, keyed by the window start time
+    const sections = [];
+    values.forEach((value, i) => {
+      let index = songSections.findIndex(section => starts[i] < section.end);
+      if (index === -1) index = songSections.length - 1;
+      const song = songSections[index];
+      if (!sections[index]) {
+        sections[index] = {
+          name: song.name,
+          start: song.start,
+          end: Math.min(duration, song.end),
+          max: value
+        };
+      } else if (value > sections[index].max) {
+        sections[index].max = value;
+      }
+    });
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    
+    return {
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: values.reduce((a, b) => a + b, 0) / values.length,
+      median: percentile(sorted, 0.5),
+      p10: percentile(sorted, 0.1),
+      p90: percentile(sorted, 0.9),
+      sections: sections.filter(Boolean)
+    };
+  }
+
   /**
    * Calculate dynamic range and crest factor
    */
@@ -129,36 +381,10 @@ export class AudioAnalysis {
   /**
    * Calculate spectral balance (low/mid/high)
    */
-  calculateSpectralBalance(audioBuffer) {
-    const fftSize = 2048;
-    const analyser = this.audioContext.createAnalyser();
-    analyser.fftSize = fftSize;
-    
-    const source = this.audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    
-    const nyquist = this.sampleRate / 2;
-    const binWidth = nyquist / analyser.frequencyBinCount;
-    
-    let low = 0, mid = 0, high = 0;
-    
-    for (let i = 0; i < dataArray.length; i++) {
-      const freq = i * binWidth;
-      const magnitude = dataArray[i] / 255;
-      
-      if (freq < 250) {
-        low += magnitude;
-      } else if (freq < 4000) {
-        mid += magnitude;
-      } else {
-        high += magnitude;
-      }
-    }
-    
+  calculateSpectralBalance(spectrum) {
+    const low = bandShare(spectrum, 0, 250);
+    const mid = bandShare(spectrum, 250, 4000);
+    const high = bandShare(spectrum, 4000, Infinity);
     const total = low + mid + high;
     
     return {
@@ -171,133 +397,29 @@ export class AudioAnalysis {
   /**
    * Calculate vocal dominance (1-4 kHz presence)
    */
-  calculateVocalDominance(audioBuffer) {
-    const analyser = this.audioContext.createAnalyser();
-    analyser.fftSize = 2048;
-    
-    const source = this.audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    
-    const nyquist = this.sampleRate / 2;
-    const binWidth = nyquist / analyser.frequencyBinCount;
-    
-    let vocalRange = 0;
-    let total = 0;
-    
-    for (let i = 0; i < dataArray.length; i++) {
-      const freq = i * binWidth;
-      const magnitude = dataArray[i] / 255;
-      
-      total += magnitude;
-      if (freq >= 1000 && freq <= 4000) {
-        vocalRange += magnitude;
-      }
-    }
-    
-    return total > 0 ? vocalRange / total : 0;
+  calculateVocalDominance(spectrum) {
+    return bandShare(spectrum, 1000, 4000);
   }
 
   /**
    * Calculate harshness in 2.5-6 kHz zone
    */
-  calculateHarshness(audioBuffer) {
-    const analyser = this.audioContext.createAnalyser();
-    analyser.fftSize = 2048;
-    
-    const source = this.audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    
-    const nyquist = this.sampleRate / 2;
-    const binWidth = nyquist / analyser.frequencyBinCount;
-    
-    let harshRange = 0;
-    let total = 0;
-    
-    for (let i = 0; i < dataArray.length; i++) {
-      const freq = i * binWidth;
-      const magnitude = dataArray[i] / 255;
-      
-      total += magnitude;
-      if (freq >= 2500 && freq <= 6000) {
-        harshRange += magnitude;
-      }
-    }
-    
-    return total > 0 ? harshRange / total : 0;
+  calculateHarshness(spectrum) {
+    return bandShare(spectrum, 2500, 6000);
   }
 
   /**
    * Calculate mud in 150-350 Hz zone
    */
-  calculateMud(audioBuffer) {
-    const analyser = this.audioContext.createAnalyser();
-    analyser.fftSize = 2048;
-    
-    const source = this.audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    
-    const nyquist = this.sampleRate / 2;
-    const binWidth = nyquist / analyser.frequencyBinCount;
-    
-    let mudRange = 0;
-    let total = 0;
-    
-    for (let i = 0; i < dataArray.length; i++) {
-      const freq = i * binWidth;
-      const magnitude = dataArray[i] / 255;
-      
-      total += magnitude;
-      if (freq >= 150 && freq <= 350) {
-        mudRange += magnitude;
-      }
-    }
-    
-    return total > 0 ? mudRange / total : 0;
+  calculateMud(spectrum) {
+    return bandShare(spectrum, 150, 350);
   }
 
   /**
    * Calculate bass stability (30-120 Hz)
    */
-  calculateBassStability(audioBuffer) {
-    const analyser = this.audioContext.createAnalyser();
-    analyser.fftSize = 2048;
-    
-    const source = this.audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(analyser);
-    
-    const dataArray = new Uint8Array(analyser.frequencyBinCount);
-    analyser.getByteFrequencyData(dataArray);
-    
-    const nyquist = this.sampleRate / 2;
-    const binWidth = nyquist / analyser.frequencyBinCount;
-    
-    let bassRange = 0;
-    let total = 0;
-    
-    for (let i = 0; i < dataArray.length; i++) {
-      const freq = i * binWidth;
-      const magnitude = dataArray[i] / 255;
-      
-      total += magnitude;
-      if (freq >= 30 && freq <= 120) {
-        bassRange += magnitude;
-      }
-    }
-    
-    return total > 0 ? bassRange / total : 0;
+  calculateBassStability(spectrum) {
+    return bandShare(spectrum, 30, 120);
   }
 
   /**
@@ -4,10 +4,21 @@
  */
 
 import { AudioAnalysis } from './audioAnalysis.js';
-import { PresetEngine } from './presets.js';
+import { PresetEngine, PRESET_DRAFT_NAME } from './presets.js';
 import { RealtimeProcessor } from './realtimeProcessor.js';
 import { LosslessSampleRateConverter, ProfessionalDither, LosslessTruePeakLimiter, LosslessNormalizer } from './losslessProcessor.js';
 import { ExportValidator } from './exportValidator.js';
+import { ReferenceMatcher } from './referenceMatcher.js';
+import { getGenreTarget, compareTonalBalance, deriveCorrectiveEQ, CORRECTION_Q } from './tonalBalance.js';
+import { AIPresetRecommender } from './aiPresetRecommender.js';
+import { GraphicEQ } from './dspModules.js';
+import { SourceDiagnostics, readSourceFormat, removeDCOffset, flipPolarity, declip } from './sourceDiagnostics.js';
+import { SpectrogramAnalyzer } from './spectrogram.js';
+import { createPeakCache } from './waveformPeaks.js';
+import { Transport } from './transport.js';
+import { ABComparison } from './abComparison.js';
+import { serializePresetFile, parsePresetFile, getPresetFileName, getPresetMetadata } from './presetFile.js';
+import AnalysisWorker from './analysisWorker.js?worker';
 
 export class TrapMasterProEngine {
   constructor() {
@@ -17,7 +28,27 @@ export class TrapMasterProEngine {
     this.originalBuffer = null;
     this.processedBuffer = null;
     this.analysisData = null;
+    this.processedAnalysis = null;
+    this.referenceBuffer = null;
+    this.referenceAnalysis = null;
+    this.referenceProfile = null;
+    this.referenceMatch = null;
+    this.genreTarget = null;
+    this.tonalCorrection = { enabled: false, strength: 1 };
+    this.correctiveEQ = null;
+    this.diagnostics = null;
+    this.sourceFixes = { dcOffset: false, polarity: false, declip: false };
+    this.repairedBuffer = null;
+    this.spectrogramCache = new WeakMap();
+    this.peakCache = new WeakMap();
+    this.transport = null;
+    this.onPlaybackEnded = null;
     this.currentPreset = null;
+    this.comparison = null;
+    this.comparisonEnabled = false;
+    this.analysisWorker = null;
+    this.analysisRequests = new Map();
+    this.analysisRequestId = 0;
   }
 
   /**
@@ -30,17 +61,37 @@ export class TrapMasterProEngine {
       
       this.analysisEngine = new AudioAnalysis(this.audioContext, sampleRate);
       this.presetEngine = new PresetEngine(this.audioContext, sampleRate);
+      this.referenceMatcher = new ReferenceMatcher(sampleRate);
+      this.recommender = new AIPresetRecommender();
+      this.sourceDiagnostics = new SourceDiagnostics();
+      this.spectrogramAnalyzer = new SpectrogramAnalyzer();
+      this.analysisWorker = this.createAnalysisWorker();
       
       // Create gain nodes for mixing original and processed
       this.originalGainNode = this.audioContext.createGain();
       this.processedGainNode = this.audioContext.createGain();
+      this.referenceGainNode = this.audioContext.createGain();
+      this.monitorGainNode = this.audioContext.createGain();
       this.masterGainNode = this.audioContext.createGain();
+      this.referenceGainNode.gain.value = 0;
       
-      // Connect gain nodes to master
-      this.originalGainNode.connect(this.masterGainNode);
-      this.processedGainNode.connect(this.masterGainNode);
+      // Connect gain nodes to master (through the monitor bus, muted while comparing slots)
+      this.originalGainNode.connect(this.monitorGainNode);
+      this.processedGainNode.connect(this.monitorGainNode);
+      this.referenceGainNode.connect(this.monitorGainNode);
+      this.monitorGainNode.connect(this.masterGainNode);
       this.masterGainNode.connect(this.audioContext.destination);
       
+      // A/B/C/D comparison slots, silent until enabled
+      this.comparison = new ABComparison(this.audioContext, this.masterGainNode);
+      this.comparison.output.gain.value = 0;
+      
+      // Real-time preset processing for playback
+      this.realtimeProcessor = new RealtimeProcessor(this.audioContext, null);
+      this.realtimeProcessor.setPresetSource(name => this.presetEngine.getPreset(name));
+      await this.realtimeProcessor.initialize();
+      this.transport = new Transport(this.audioContext);
+      
       return true;
     } catch (error) {
       console.error('Failed to initialize audio context:', error);
@@ -54,22 +105,38 @@ export class TrapMasterProEngine {
   async loadAudioFile(file) {
     try {
       const arrayBuffer = await file.arrayBuffer();
+      // Header first: decoding detaches the ArrayBuffer
+      const format = readSourceFormat(arrayBuffer);
       const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
       
+      this.stopRealtime();
+      this.comparison.clear();
+      this.setComparisonEnabled(false);
+      this.transport.setDuration(audioBuffer.duration);
       this.originalBuffer = audioBuffer;
       this.processedBuffer = null;
+      this.processedAnalysis = null;
       this.analysisData = null;
+      this.sourceFixes = { dcOffset: false, polarity: false, declip: false };
+      this.repairedBuffer = null;
+      this.clearReferenceMatch();
       
       // Perform analysis
       this.analysisData = await this.analysisEngine.analyze(audioBuffer);
       this.presetEngine.setAnalysis(this.analysisData);
+      this.realtimeProcessor.setAnalysisData(this.analysisData);
+      this.updateCorrectiveEQ();
+      
+      // Problems in the source mix itself
+      this.diagnostics = this.sourceDiagnostics.diagnose(audioBuffer, this.analysisData, format);
       
       return {
         success: true,
         duration: audioBuffer.duration,
         sampleRate: audioBuffer.sampleRate,
         channels: audioBuffer.numberOfChannels,
-        analysis: this.analysisData
+        analysis: this.analysisData,
+        diagnostics: this.diagnostics
       };
     } catch (error) {
       console.error('Failed to load audio file:', error);
@@ -80,6 +147,59 @@ export class TrapMasterProEngine {
     }
   }
 
+  /**
+   * Worker for render analysis, or null (renders are then analyzed on the main thread)
+   */
+  createAnalysisWorker() {
+    try {
+      const worker = new AnalysisWorker();
+      worker.onmessage = ({ data }) => {
+        const request = this.analysisRequests.get(data.id);
+        if (!request) return;
+        this.analysisRequests.delete(data.id);
+        if (data.error) {
+          request.reject(new Error(data.error));
+        } else {
+          request.resolve(data.analysis);
+        }
+      };
+      worker.onerror = (event) => {
+        console.warn('Analysis worker failed, analyzing on the main thread:', event.message);
+        worker.terminate();
+        this.analysisWorker = null;
+        this.analysisRequests.forEach(({ buffer, resolve, reject }) => {
+          this.analysisEngine.analyzeRender(buffer).then(resolve, reject);
+        });
+        this.analysisRequests.clear();
+      };
+      return worker;
+    } catch (error) {
+      console.warn('Analysis worker unavailable, analyzing on the main thread:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Loudness, true peak, spectrum and stereo analysis of a processed render, in the
+   * analysis worker so rendering doesn't freeze the UI
+   */
+  analyzeRender(buffer) {
+    if (!this.analysisWorker) {
+      return this.analysisEngine.analyzeRender(buffer);
+    }
+
+    const id = ++this.analysisRequestId;
+    // Copies are transferred: the render itself stays playable
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+    return new Promise((resolve, reject) => {
+      this.analysisRequests.set(id, { buffer, resolve, reject });
+      this.analysisWorker.postMessage(
+        { id, channels, sampleRate: buffer.sampleRate },
+        channels.map(channel => channel.buffer)
+      );
+    });
+  }
+
   /**
    * Process audio with preset
    */
@@ -90,19 +210,21 @@ export class TrapMasterProEngine {
 
     try {
       this.currentPreset = presetName;
+      this.clearReferenceMatch();
       this.processedBuffer = await this.presetEngine.process(
-        this.originalBuffer,
+        this.getCorrectedSource(),
         presetName
       );
       
-      // Analyze processed audio for loudness matching
-      const processedAnalysis = await this.analysisEngine.analyze(this.processedBuffer);
+      // Analyze processed audio for loudness matching and the timeline
+      this.processedAnalysis = await this.analyzeRender(this.processedBuffer);
       
       return {
         success: true,
         preset: presetName,
         originalLUFS: this.analysisData.integratedLUFS,
-        processedLUFS: processedAnalysis.integratedLUFS,
+        processedLUFS: this.processedAnalysis.integratedLUFS,
+        processedAnalysis: this.processedAnalysis,
         buffer: this.processedBuffer
       };
     } catch (error) {
@@ -114,6 +236,269 @@ export class TrapMasterProEngine {
     }
   }
 
+  /**
+   * Load a reference track to match against
+   */
+  async loadReferenceFile(file) {
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+      
+      this.referenceBuffer = audioBuffer;
+      this.referenceAnalysis = await this.analysisEngine.analyze(audioBuffer);
+      this.referenceProfile = this.referenceMatcher.createProfile(audioBuffer, this.referenceAnalysis);
+      this.clearReferenceMatch();
+      
+      return {
+        success: true,
+        duration: audioBuffer.duration,
+        analysis: this.referenceAnalysis,
+        stereo: this.referenceProfile.stereo
+      };
+    } catch (error) {
+      console.error('Failed to load reference file:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  clearReference() {
+    this.referenceBuffer = null;
+    this.referenceAnalysis = null;
+    this.referenceProfile = null;
+    this.clearReferenceMatch();
+  }
+
+  clearReferenceMatch() {
+    this.referenceMatch = null;
+    if (this.realtimeProcessor) {
+      this.realtimeProcessor.setReferenceMatch(null);
+    }
+  }
+
+  /**
+   * Process with the reference match, on top of a preset ('on-top') or instead of it ('instead')
+   */
+  async processReferenceMatch(presetName, { mode = 'on-top', strength = 1 } = {}) {
+    if (!this.originalBuffer) {
+      throw new Error('No audio loaded');
+    }
+    if (!this.referenceProfile) {
+      throw new Error('No reference loaded');
+    }
+
+    try {
+      const usePreset = mode === 'on-top' && presetName;
+      this.currentPreset = presetName;
+      
+      // The match is derived from whatever feeds the match stage.
+      // A corrected source is already a copy; the original itself must not be modified.
+      const source = this.getCorrectedSource();
+      const corrected = source !== this.originalBuffer;
+      let baseBuffer;
+      if (usePreset) {
+        baseBuffer = await this.presetEngine.process(source, presetName);
+      } else {
+        baseBuffer = corrected ? source : this.cloneBuffer(source);
+      }
+      const baseAnalysis = usePreset || corrected
+        ? await this.analyzeRender(baseBuffer)
+        : this.analysisData;
+      
+      const sourceProfile = this.referenceMatcher.createProfile(baseBuffer, baseAnalysis);
+      const match = this.referenceMatcher.deriveMatch(sourceProfile, this.referenceProfile, strength);
+      this.referenceMatch = { ...this.referenceMatcher.applyMatch(baseBuffer, match), mode, preset: presetName };
+      this.realtimeProcessor.setReferenceMatch(this.referenceMatch, mode);
+      
+      this.processedBuffer = baseBuffer;
+      this.processedAnalysis = await this.analyzeRender(this.processedBuffer);
+      
+      return {
+        success: true,
+        preset: presetName,
+        originalLUFS: this.analysisData.integratedLUFS,
+        processedLUFS: this.processedAnalysis.integratedLUFS,
+        processedAnalysis: this.processedAnalysis,
+        match: this.referenceMatch,
+        buffer: this.processedBuffer
+      };
+    } catch (error) {
+      console.error('Failed to process reference match:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Gain that plays the reference at the loudness of the processed render (or the original)
+   */
+  getReferenceLevelMatchGain() {
+    if (!this.referenceAnalysis || !this.analysisData) {
+      return 1.0;
+    }
+    const targetLUFS = this.processedAnalysis?.integratedLUFS ?? this.analysisData.integratedLUFS;
+    return Math.pow(10, (targetLUFS - this.referenceAnalysis.integratedLUFS) / 20);
+  }
+
+  /**
+   * Genre whose tonal-balance target the track is compared against (null for none)
+   */
+  setGenreTarget(genreId) {
+    this.genreTarget = genreId ? getGenreTarget(genreId) : null;
+    this.updateCorrectiveEQ();
+  }
+
+  /**
+   * Band-by-band deviation of an analysis (default: the original) from the genre target
+   */
+  getTonalDeviation(analysis = this.analysisData) {
+    if (!this.genreTarget || !analysis?.tonalBalance) {
+      return null;
+    }
+    return compareTonalBalance(analysis.tonalBalance, this.genreTarget);
+  }
+
+  /**
+   * Enable the corrective EQ stage (pulls the original towards the genre target before the preset)
+   */
+  setTonalCorrection(enabled, strength = 1) {
+    this.tonalCorrection = { enabled, strength };
+    this.updateCorrectiveEQ();
+  }
+
+  updateCorrectiveEQ() {
+    const deviation = this.tonalCorrection.enabled ? this.getTonalDeviation() : null;
+    this.correctiveEQ = deviation ? deriveCorrectiveEQ(deviation, this.tonalCorrection.strength) : null;
+    if (this.realtimeProcessor) {
+      this.realtimeProcessor.setCorrectiveEQ(this.correctiveEQ, CORRECTION_Q);
+    }
+    return this.correctiveEQ;
+  }
+
+  /**
+   * Enable source repairs, applied before the preset in playback and renders.
+   * Options: { dcOffset, polarity, declip }
+   */
+  setSourceFixes(options) {
+    this.sourceFixes = { ...this.sourceFixes, ...options };
+    const { dcOffset, polarity, declip: declipping } = this.sourceFixes;
+    
+    if (!this.originalBuffer || !(dcOffset || polarity || declipping)) {
+      this.repairedBuffer = null;
+      return this.sourceFixes;
+    }
+    
+    // Declip before DC removal so clipped runs still sit on the clip level
+    const repaired = this.cloneBuffer(this.originalBuffer);
+    if (declipping) declip(repaired);
+    if (dcOffset) removeDCOffset(repaired);
+    if (polarity) flipPolarity(repaired, 1);
+    this.repairedBuffer = repaired;
+    return this.sourceFixes;
+  }
+
+  /**
+   * Original buffer, or the repaired copy when source fixes are on
+   */
+  getRepairedSource() {
+    return this.repairedBuffer || this.originalBuffer;
+  }
+
+  /**
+   * Original buffer, or a copy with the source fixes and the corrective EQ stage applied
+   */
+  getCorrectedSource() {
+    if (!this.correctiveEQ) {
+      // The repaired buffer is shared with playback, so callers get their own copy
+      return this.repairedBuffer ? this.cloneBuffer(this.repairedBuffer) : this.originalBuffer;
+    }
+    
+    const corrected = this.cloneBuffer(this.getRepairedSource());
+    for (let ch = 0; ch < corrected.numberOfChannels; ch++) {
+      const eq = new GraphicEQ(this.correctiveEQ, CORRECTION_Q, corrected.sampleRate);
+      const data = corrected.getChannelData(ch);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = eq.process(data[i]);
+      }
+    }
+    return corrected;
+  }
+
+  /**
+   * Preset recommendations for the loaded track (including genre tonal deviation)
+   */
+  getRecommendations() {
+    if (!this.analysisData) {
+      return [];
+    }
+    return this.recommender.recommend(this.analysisData, { tonalDeviation: this.getTonalDeviation() });
+  }
+
+  /**
+   * Use the detected tempo and key in processing: compressor release snapped to a note value,
+   * pitch correction restricted to the song's scale. Options: { tempoRelease, keyAwarePitch }
+   */
+  setMusicalSync(options) {
+    this.presetEngine.setMusicalSync(options);
+    this.realtimeProcessor.setMusicalSync(options);
+  }
+
+  /**
+   * Adapt presets per song section in offline renders
+   */
+  setSectionAdaptive(enabled) {
+    this.presetEngine.setSectionAdaptive(enabled);
+  }
+
+  /**
+   * Spectrograms of the original and the current processed render (null until rendered).
+   * Computed on first request and cached per buffer.
+   */
+  getSpectrograms() {
+    if (!this.originalBuffer) {
+      return null;
+    }
+    return {
+      original: this.getSpectrogram(this.originalBuffer),
+      processed: this.processedBuffer ? this.getSpectrogram(this.processedBuffer) : null
+    };
+  }
+
+  getSpectrogram(buffer) {
+    let spectrogram = this.spectrogramCache.get(buffer);
+    if (!spectrogram) {
+      spectrogram = this.spectrogramAnalyzer.analyze(buffer);
+      this.spectrogramCache.set(buffer, spectrogram);
+    }
+    return spectrogram;
+  }
+
+  /**
+   * Waveform peak caches of the original and the current processed render (null until rendered)
+   */
+  getWaveformPeaks() {
+    if (!this.originalBuffer) {
+      return null;
+    }
+    return {
+      original: this.getPeakCache(this.originalBuffer),
+      processed: this.processedBuffer ? this.getPeakCache(this.processedBuffer) : null
+    };
+  }
+
+  getPeakCache(buffer) {
+    let peaks = this.peakCache.get(buffer);
+    if (!peaks) {
+      peaks = createPeakCache(buffer);
+      this.peakCache.set(buffer, peaks);
+    }
+    return peaks;
+  }
+
   /**
    * Get A/B comparison buffers with loudness matching
    */
@@ -127,8 +512,7 @@ export class TrapMasterProEngine {
     
     // Calculate loudness matching gain
     const originalLUFS = this.analysisData.integratedLUFS;
-    const processedAnalysis = this.analysisEngine.getAnalysis();
-    const processedLUFS = processedAnalysis?.integratedLUFS || originalLUFS;
+    const processedLUFS = this.processedAnalysis?.integratedLUFS || originalLUFS;
     
     const lufsDifference = originalLUFS - processedLUFS;
     const matchingGain = Math.pow(10, lufsDifference / 20);
@@ -170,6 +554,23 @@ export class TrapMasterProEngine {
     return matchedBuffer;
   }
 
+  /**
+   * Copy a buffer so it can be processed in place
+   */
+  cloneBuffer(buffer) {
+    const copy = this.audioContext.createBuffer(
+      buffer.numberOfChannels,
+      buffer.length,
+      buffer.sampleRate
+    );
+    
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+      copy.getChannelData(ch).set(buffer.getChannelData(ch));
+    }
+    
+    return copy;
+  }
+
   /**
    * Get current analysis data
    */
@@ -189,7 +590,115 @@ export class TrapMasterProEngine {
    */
   getPresetIntent(presetName) {
     const preset = this.presetEngine.getPreset(presetName);
-    return preset ? preset.getIntent() : '';
+    return preset ? preset.intent : '';
+  }
+
+  /**
+   * Preset definition ({ intent, loudnessTarget, category, tags, chain }) for the editor
+   */
+  getPresetDefinition(presetName) {
+    const definition = this.presetEngine.getPreset(presetName);
+    return definition ? { ...definition, ...getPresetMetadata(presetName, definition) } : null;
+  }
+
+  isCustomPreset(presetName) {
+    return this.presetEngine.isCustomPreset(presetName);
+  }
+
+  /**
+   * Set the editor draft; returns the name it plays and renders under.
+   * A draft already playing picks up the new parameters live.
+   */
+  setPresetDraft(definition) {
+    this.presetEngine.setDraft(definition);
+    if (this.realtimeProcessor.currentPreset === PRESET_DRAFT_NAME) {
+      this.realtimeProcessor.setPreset(PRESET_DRAFT_NAME);
+    }
+    return PRESET_DRAFT_NAME;
+  }
+
+  /**
+   * Set the morph between two presets (amount 0-1 towards `toName`); returns the name it
+   * plays and renders under. A morph already playing follows the new amount live.
+   */
+  setPresetMorph(fromName, toName, amount) {
+    const name = this.presetEngine.setMorph(fromName, toName, amount);
+    if (this.realtimeProcessor.currentPreset === name) {
+      this.realtimeProcessor.setPreset(name);
+    }
+    return name;
+  }
+
+  /**
+   * Save a definition as a named custom preset
+   */
+  saveCustomPreset(name, definition) {
+    return this.presetEngine.saveCustomPreset(name, definition);
+  }
+
+  deleteCustomPreset(name) {
+    this.presetEngine.deleteCustomPreset(name);
+  }
+
+  /**
+   * Preset intensity macro (0-1.5, 1 = as designed)
+   */
+  getPresetIntensity(presetName) {
+    return this.presetEngine.getIntensity(presetName);
+  }
+
+  /**
+   * Set a preset's intensity; a preset that is playing picks it up live
+   */
+  setPresetIntensity(presetName, intensity) {
+    const value = this.presetEngine.setIntensity(presetName, intensity);
+    if (this.realtimeProcessor.currentPreset === presetName) {
+      this.realtimeProcessor.setPreset(presetName);
+    }
+    return value;
+  }
+
+  /**
+   * Download a preset (built-in or custom) as a .tmpreset file
+   */
+  exportPresetFile(presetName) {
+    const definition = this.presetEngine.getPreset(presetName);
+    if (!definition) {
+      return { success: false, error: `Preset "${presetName}" not found` };
+    }
+
+    const filename = getPresetFileName(presetName);
+    const blob = new Blob([serializePresetFile(presetName, definition)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    return { success: true, filename };
+  }
+
+  /**
+   * Import a .tmpreset file as a custom preset (older versions are migrated).
+   * Nothing is replaced: a name already taken by a built-in or custom preset is saved as
+   * "<name> (imported)", numbered ("<name> (imported 2)") if that is taken too.
+   */
+  async importPresetFile(file) {
+    try {
+      const { name, definition } = parsePresetFile(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+      const isTaken = (candidate) => this.presetEngine.isReservedPresetName(candidate)
+        || this.presetEngine.isCustomPreset(candidate);
+      let savedName = name;
+      for (let copy = 1; isTaken(savedName); copy++) {
+        savedName = copy === 1 ? `${name} (imported)` : `${name} (imported ${copy})`;
+      }
+      this.presetEngine.saveCustomPreset(savedName, definition);
+      return { success: true, name: savedName };
+    } catch (error) {
+      console.error('Failed to import preset:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
@@ -200,6 +709,7 @@ export class TrapMasterProEngine {
       bitDepth = 24,
       sampleRate = null,
       targetLUFS = null,
+      truePeakCeiling = null,
       dither = true,
       normalize = false
     } = options;
@@ -222,14 +732,18 @@ export class TrapMasterProEngine {
     // True peak limiting (if ceiling specified)
     if (truePeakCeiling !== null) {
       const limiter = new LosslessTruePeakLimiter(truePeakCeiling, workingBuffer.sampleRate);
-      for (let ch = 0; ch < workingBuffer.numberOfChannels; ch++) {
-        const data = workingBuffer.getChannelData(ch);
-        for (let i = 0; i < data.length; i++) {
-          data[i] = limiter.process(data[i]);
-        }
-      }
+      limiter.processBuffer(workingBuffer);
     }
     
+    // Measure what is actually being written (oversampled true peak, BS.1770 loudness)
+    const validator = new ExportValidator();
+    validator.validate(workingBuffer, {
+      sampleRate: sampleRate || workingBuffer.sampleRate,
+      targetLUFS: targetLUFS !== null ? targetLUFS : undefined,
+      truePeakCeiling: truePeakCeiling !== null ? truePeakCeiling : undefined
+    });
+    validator.logResults();
+    
     const numChannels = workingBuffer.numberOfChannels;
     const length = workingBuffer.length;
     const finalSampleRate = workingBuffer.sampleRate;
@@ -353,7 +867,6 @@ export class TrapMasterProEngine {
     const blob = new Blob([buffer], { type: 'audio/wav' });
     
     // Validate exported file header (read back the buffer we just created)
-    const validator = new ExportValidator();
     const fileValidation = await validator.validateExportedFile(blob, {
       sampleRate: finalSampleRate,
       bitDepth: bitDepth,
@@ -382,6 +895,7 @@ export class TrapMasterProEngine {
       bitDepth,
       sampleRate: finalSampleRate,
       lossless: true,
+      validation: validator.getSummary(),
       fileValidation: fileValidation,
       cliVerification: {
         ffprobe: `ffprobe -hide_banner -show_streams -select_streams a:0 "${filename}"`,
@@ -392,7 +906,7 @@ export class TrapMasterProEngine {
 
   /**
    * Export to Apple Music Lossless-compatible format
-   * 24-bit/48kHz PCM WAV with -0.5 dBTP ceiling (conservative true-peak estimate)
+   * 24-bit/48kHz PCM WAV with -0.5 dBTP ceiling (4x oversampled true peak)
    * ALAC conversion supported via Apple Music/iTunes
    * Optional loudness target for competitive masters (not part of Apple Music compatibility)
    */
@@ -404,15 +918,6 @@ export class TrapMasterProEngine {
       truePeakCeiling = -0.5
     } = options;
 
-    // Validate before export
-    const validator = new ExportValidator();
-    const validation = validator.validate(audioBuffer, {
-      sampleRate: 48000,
-      bitDepth: 24,
-      targetLUFS: targetLUFS,
-      truePeakCeiling: truePeakCeiling
-    });
-
     // Export as 24-bit/48kHz WAV
     const wavFilename = filename.replace('.m4a', '_AppleLossless.wav');
     
@@ -425,20 +930,17 @@ export class TrapMasterProEngine {
       normalize: true
     });
 
-    // Log validation results
-    validator.logResults();
-
+    // Validation is measured on the limited 48kHz render inside exportToWAV
     return {
       ...result,
       format: 'WAV (ALAC-compatible)',
       note: 'Apple Music Lossless-compatible: 24-bit/48kHz PCM WAV with -0.5 dBTP ceiling. ALAC conversion supported via Apple Music/iTunes. No official Apple certification claimed.',
       appleMusicCompatible: true,
-      validation: validator.getSummary(),
       specifications: {
         sampleRate: '48 kHz',
         bitDepth: '24-bit',
         format: 'PCM WAV',
-        truePeakCeiling: `${truePeakCeiling} dBTP (conservative true-peak estimate)`,
+        truePeakCeiling: `${truePeakCeiling} dBTP (4x oversampled true peak, ITU-R BS.1770-4)`,
         lossless: true,
         disclaimer: 'No official Apple certification claimed'
       }
@@ -465,12 +967,8 @@ export class TrapMasterProEngine {
     
     // True peak limiting
     const limiter = new LosslessTruePeakLimiter(-1.0, workingBuffer.sampleRate);
-    for (let ch = 0; ch < workingBuffer.numberOfChannels; ch++) {
-      const data = workingBuffer.getChannelData(ch);
-      for (let i = 0; i < data.length; i++) {
-        data[i] = limiter.process(data[i]);
-      }
-    }
+    limiter.processBuffer(workingBuffer);
+    
     try {
       // Dynamic import for lamejs
       const lamejs = await import('lamejs');
@@ -561,19 +1059,17 @@ export class TrapMasterProEngine {
   }
 
   /**
-   * Play audio with real-time preset processing
+   * Play audio with real-time preset processing.
+   * Options: { offset } start position (seconds), { loop: { start, end } | null } region to repeat
+   * (omitted: keep the transport's current loop)
    */
-  playRealtime(presetName, originalVolume = 0, processedVolume = 1, onEnded) {
+  playRealtime(presetName, originalVolume = 0, processedVolume = 1, onEnded, referenceVolume = 0, { offset = 0, loop } = {}) {
     if (!this.originalBuffer) {
       throw new Error('No audio loaded');
     }
 
     // Stop any existing playback
     this.stopRealtime();
-
-    // Create source
-    const source = this.audioContext.createBufferSource();
-    source.buffer = this.originalBuffer;
     
     // Set preset
     if (presetName) {
@@ -581,39 +1077,192 @@ export class TrapMasterProEngine {
       this.currentPreset = presetName;
     }
     
-    // Create splitter for original path
-    const originalSplitter = this.audioContext.createChannelSplitter(2);
-    source.connect(originalSplitter);
+    // Set volumes
+    this.setVolumeMix(originalVolume, processedVolume, referenceVolume);
     
-    // Connect original to gain node (stereo)
-    originalSplitter.connect(this.originalGainNode, 0, 0);
-    originalSplitter.connect(this.originalGainNode, 1, 0);
+    if (loop !== undefined) {
+      this.transport.setLoop(loop);
+    }
+    this.onPlaybackEnded = onEnded;
+    this.realtimeProcessor.resetMeters();
     
-    // Create splitter for processed path  
-    const processedSplitter = this.audioContext.createChannelSplitter(2);
-    source.connect(processedSplitter);
+    return this.startSources(offset);
+  }
+
+  /**
+   * Start the buffer sources at a position (seconds) and mark the transport as playing
+   */
+  startSources(position) {
+    // Create source (repaired when source fixes are on, so both paths hear the fixes)
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.getRepairedSource();
     
-    // Connect through real-time processor
-    // ScriptProcessorNode will receive input from splitter
-    processedSplitter.connect(this.realtimeProcessor.processorNode);
-    // Processor outputs to processed gain
+    // Original path goes straight to its gain node (stereo preserved)
+    source.connect(this.originalGainNode);
+    
+    // Processed path runs through the real-time processor
+    source.connect(this.realtimeProcessor.processorNode);
     this.realtimeProcessor.processorNode.connect(this.processedGainNode);
     
-    // Set volumes
-    this.originalGainNode.gain.value = originalVolume;
-    this.processedGainNode.gain.value = processedVolume;
+    // One start time for every source, so they stay sample-aligned
+    const when = this.audioContext.currentTime;
+    const offset = this.transport.start(position, when);
+    const { loop } = this.transport;
     
-    // Handle end
-    if (onEnded) {
-      source.onended = onEnded;
+    // Reference slot plays alongside, level-matched
+    if (this.referenceBuffer) {
+      const referenceSource = this.audioContext.createBufferSource();
+      referenceSource.buffer = this.referenceBuffer;
+      referenceSource.connect(this.referenceGainNode);
+      this.applyLoop(referenceSource, loop);
+      referenceSource.start(when, Math.min(offset, this.referenceBuffer.duration));
+      this.referenceSource = referenceSource;
     }
     
-    source.start(0);
+    // Comparison slots run underneath all the time, so switching to them is gapless
+    this.comparison.start(when, offset, loop);
+    
+    // Handle end (a replaced or stopped source must not end the new session).
+    // The reference and comparison slots may be longer, so they are stopped with it.
+    source.onended = () => {
+      if (this.currentSource === source) {
+        this.stopSources();
+        this.stopMetering();
+        this.transport.stop();
+        if (this.onPlaybackEnded) {
+          this.onPlaybackEnded();
+        }
+      }
+    };
+    
+    this.applyLoop(source, loop);
+    source.start(when, offset);
     this.currentSource = source;
     
     return source;
   }
 
+  applyLoop(source, loop) {
+    source.loop = !!loop;
+    if (loop) {
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+  }
+
+  /**
+   * Stop the buffer sources, leaving the transport and meters alone
+   */
+  stopSources() {
+    // Cleared first so the stopped source's onended is ignored
+    const sources = [this.currentSource, this.referenceSource];
+    this.currentSource = null;
+    this.referenceSource = null;
+    this.comparison.stop();
+    sources.forEach(source => {
+      if (source) {
+        try {
+          source.stop();
+        } catch (e) {
+          // Already stopped
+        }
+      }
+    });
+  }
+
+  /**
+   * Pause at the rendered sample; returns the held position (seconds)
+   */
+  pauseRealtime() {
+    if (this.transport.state !== 'playing') {
+      return this.transport.getPosition();
+    }
+    const position = this.transport.pause();
+    this.stopSources();
+    this.stopMetering();
+    return position;
+  }
+
+  /**
+   * Resume a paused transport where it stopped (switching preset first if one is given)
+   */
+  resumeRealtime(presetName) {
+    if (this.transport.state !== 'paused') {
+      return null;
+    }
+    if (presetName && presetName !== this.currentPreset) {
+      this.realtimeProcessor.setPreset(presetName);
+      this.currentPreset = presetName;
+    }
+    return this.startSources(this.transport.offset);
+  }
+
+  /**
+   * Move the play position (seconds). Playing transports continue from there;
+   * returns the resolved position (inside the loop region when one is set)
+   */
+  seekRealtime(position) {
+    if (this.transport.state === 'playing') {
+      this.stopSources();
+      this.startSources(position);
+      return this.transport.offset;
+    }
+    return this.transport.seek(position);
+  }
+
+  /**
+   * Loop region { start, end } (seconds) or null. Applied to the running sources without
+   * a restart, unless the play position is outside the new region.
+   */
+  setLoopRegion(region) {
+    const loop = this.transport.setLoop(region);
+    if (this.transport.state !== 'playing') {
+      return loop;
+    }
+    
+    const position = this.transport.getRenderedPosition();
+    if (loop && (position < loop.start || position >= loop.end)) {
+      this.seekRealtime(loop.start);
+    } else {
+      [this.currentSource, this.referenceSource].forEach(source => {
+        if (source) this.applyLoop(source, loop);
+      });
+      this.comparison.setLoop(loop);
+    }
+    return loop;
+  }
+
+  /**
+   * Heard play position (seconds) from the AudioContext clock
+   */
+  getPlaybackPosition() {
+    return this.transport ? this.transport.getPosition() : 0;
+  }
+
+  /**
+   * 'playing', 'paused' or 'stopped'
+   */
+  getPlaybackState() {
+    return this.transport ? this.transport.state : 'stopped';
+  }
+
+  /**
+   * Push live meter readings ({ original, processed }) to a callback at a fixed interval
+   */
+  startMetering(onReadings, intervalMs = 100) {
+    this.stopMetering();
+    this.meterInterval = setInterval(() => {
+      onReadings(this.realtimeProcessor.getMeterReadings());
+    }, intervalMs);
+  }
+
+  stopMetering() {
+    if (this.meterInterval) {
+      clearInterval(this.meterInterval);
+      this.meterInterval = null;
+    }
+  }
+
   /**
    * Switch preset in real-time during playback
    */
@@ -625,26 +1274,104 @@ export class TrapMasterProEngine {
   }
 
   /**
-   * Set volume mix (original vs processed)
+   * Set volume mix (original vs processed, plus the level-matched reference)
    */
-  setVolumeMix(originalVolume, processedVolume) {
+  setVolumeMix(originalVolume, processedVolume, referenceVolume = 0) {
     if (this.originalGainNode && this.processedGainNode) {
       this.originalGainNode.gain.value = originalVolume;
       this.processedGainNode.gain.value = processedVolume;
+      this.referenceGainNode.gain.value = referenceVolume * this.getReferenceLevelMatchGain();
     }
   }
 
   /**
-   * Stop real-time playback
+   * Add a comparison slot: 'original', 'reference' or 'render' (the latest offline render,
+   * named by the caller). Returns the comparison state.
    */
-  stopRealtime() {
-    if (this.currentSource) {
-      try {
-        this.currentSource.stop();
-      } catch (e) {
-        // Already stopped
+  addComparisonSlot(kind, name) {
+    const slots = {
+      // What the transport plays: the repaired source when source fixes are on
+      original: () => this.originalBuffer && {
+        name: name || (this.repairedBuffer ? 'Original (repaired)' : 'Original'),
+        buffer: this.getRepairedSource(),
+        lufs: this.repairedBuffer
+          ? this.analysisEngine.calculateLUFS(this.analysisEngine.loudness.computeSubBlocks(this.repairedBuffer))
+          : this.analysisData.integratedLUFS
+      },
+      reference: () => this.referenceBuffer && {
+        name: name || 'Reference', buffer: this.referenceBuffer, lufs: this.referenceAnalysis.integratedLUFS
+      },
+      render: () => this.processedBuffer && {
+        name: name || this.currentPreset, buffer: this.processedBuffer, lufs: this.processedAnalysis.integratedLUFS
       }
-      this.currentSource = null;
+    };
+    const slot = slots[kind]?.();
+    if (!slot) {
+      throw new Error(kind === 'render' ? 'Render a preset first' : `No ${kind} audio loaded`);
+    }
+    
+    this.comparison.addSlot({ kind, ...slot });
+    this.restartComparisonSources();
+    return this.getComparisonState();
+  }
+
+  removeComparisonSlot(id) {
+    this.comparison.removeSlot(id);
+    this.restartComparisonSources();
+    return this.getComparisonState();
+  }
+
+  /**
+   * Slot sources are created at start; a running transport restarts to pick up new ones
+   */
+  restartComparisonSources() {
+    if (this.transport.state === 'playing') {
+      this.seekRealtime(this.transport.getRenderedPosition());
+    }
+  }
+
+  /**
+   * Monitor the comparison slots instead of the original/processed/reference mix
+   */
+  setComparisonEnabled(enabled) {
+    this.comparisonEnabled = enabled;
+    const now = this.audioContext.currentTime;
+    this.monitorGainNode.gain.setTargetAtTime(enabled ? 0 : 1, now, 0.005);
+    this.comparison.output.gain.setTargetAtTime(enabled ? 1 : 0, now, 0.005);
+  }
+
+  selectComparisonSlot(id) {
+    this.comparison.select(id);
+    return this.getComparisonState();
+  }
+
+  startBlindComparison() {
+    this.comparison.startBlind();
+    return this.getComparisonState();
+  }
+
+  pickBlindComparison(id) {
+    this.comparison.pickBlind(id);
+    return this.getComparisonState();
+  }
+
+  endBlindComparison() {
+    this.comparison.endBlind();
+    return this.getComparisonState();
+  }
+
+  getComparisonState() {
+    return { ...this.comparison.getState(), enabled: this.comparisonEnabled };
+  }
+
+  /**
+   * Stop real-time playback (the transport returns to the start)
+   */
+  stopRealtime() {
+    this.stopMetering();
+    this.stopSources();
+    if (this.transport) {
+      this.transport.stop();
     }
   }
 
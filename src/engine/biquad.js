@@ -0,0 +1,313 @@
+/**
+ * Biquad Filters
+ * RBJ Audio EQ Cookbook biquads (transposed direct form II) with per-channel state, block
+ * processing on Float32Arrays and click-free parameter changes: coefficients ramp linearly
+ * to their new targets, which stays stable throughout since the stable (a1, a2) region is
+ * convex. Butterworth cascades give higher orders; Linkwitz-Riley crossovers split a signal
+ * into bands that sum back flat. Every filtering DSP module builds on these.
+ */
+
+export const BIQUAD_TYPES = [
+  'lowpass', 'highpass', 'bandpass', 'notch', 'allpass', 'peaking', 'lowshelf', 'highshelf',
+  'lowpass1', 'highpass1'
+];
+
+// Parameter ramp (seconds) when a running filter is retuned
+const DEFAULT_SMOOTHING = 0.005;
+
+// Per-channel state: z1, z2, current b0 b1 b2 a1 a2, their per-sample steps, steps remaining
+const STATE_SIZE = 13;
+const COEFFICIENTS = 2;
+const STEPS = 7;
+const REMAINING = 12;
+
+/**
+ * Normalized coefficients [b0, b1, b2, a1, a2]. `gain` (dB) applies to peaking and shelf
+ * filters; shelves take `q` as their Q (1/√2 is the steepest without overshoot). lowpass1 and
+ * highpass1 are first-order sections (no q), used for odd Butterworth orders.
+ */
+export function designBiquad(type, frequency, q, gain, sampleRate) {
+  // Keep the frequency strictly between 0 and Nyquist
+  const f = Math.min(Math.max(frequency, 1), sampleRate * 0.499);
+  const w = 2 * Math.PI * f / sampleRate;
+  const cosw = Math.cos(w);
+  const alpha = Math.sin(w) / (2 * q);
+  const A = Math.pow(10, gain / 40);
+  const shelf = 2 * Math.sqrt(A) * alpha;
+  const k = Math.tan(w / 2);
+
+  let b;
+  let a;
+  switch (type) {
+    case 'lowpass':
+      b = [(1 - cosw) / 2, 1 - cosw, (1 - cosw) / 2];
+      a = [1 + alpha, -2 * cosw, 1 - alpha];
+      break;
+    case 'highpass':
+      b = [(1 + cosw) / 2, -(1 + cosw), (1 + cosw) / 2];
+      a = [1 + alpha, -2 * cosw, 1 - alpha];
+      break;
+    case 'bandpass':
+      // 0 dB at the center frequency
+      b = [alpha, 0, -alpha];
+      a = [1 + alpha, -2 * cosw, 1 - alpha];
+      break;
+    case 'notch':
+      b = [1, -2 * cosw, 1];
+      a = [1 + alpha, -2 * cosw, 1 - alpha];
+      break;
+    case 'allpass':
+      b = [1 - alpha, -2 * cosw, 1 + alpha];
+      a = [1 + alpha, -2 * cosw, 1 - alpha];
+      break;
+    case 'peaking':
+      b = [1 + alpha * A, -2 * cosw, 1 - alpha * A];
+      a = [1 + alpha / A, -2 * cosw, 1 - alpha / A];
+      break;
+    case 'lowshelf':
+      b = [
+        A * ((A + 1) - (A - 1) * cosw + shelf),
+        2 * A * ((A - 1) - (A + 1) * cosw),
+        A * ((A + 1) - (A - 1) * cosw - shelf)
+      ];
+      a = [(A + 1) + (A - 1) * cosw + shelf, -2 * ((A - 1) + (A + 1) * cosw), (A + 1) + (A - 1) * cosw - shelf];
+      break;
+    case 'highshelf':
+      b = [
+        A * ((A + 1) + (A - 1) * cosw + shelf),
+        -2 * A * ((A - 1) + (A + 1) * cosw),
+        A * ((A + 1) + (A - 1) * cosw - shelf)
+      ];
+      a = [(A + 1) - (A - 1) * cosw + shelf, 2 * ((A - 1) - (A + 1) * cosw), (A + 1) - (A - 1) * cosw - shelf];
+      break;
+    case 'lowpass1':
+      b = [k, k, 0];
+      a = [k + 1, k - 1, 0];
+      break;
+    case 'highpass1':
+      b = [1, -1, 0];
+      a = [k + 1, k - 1, 0];
+      break;
+    default:
+      throw new Error(`Unknown biquad type "${type}"`);
+  }
+
+  return [b[0] / a[0], b[1] / a[0], b[2] / a[0], a[1] / a[0], a[2] / a[0]];
+}
+
+export class Biquad {
+  constructor({ type, frequency, q = Math.SQRT1_2, gain = 0 }, sampleRate, { channels = 1, smoothing = DEFAULT_SMOOTHING } = {}) {
+    this.type = type;
+    this.frequency = frequency;
+    this.q = q;
+    this.gain = gain;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.smoothing = smoothing;
+    this.state = new Float64Array(channels * STATE_SIZE);
+    this.setParams({}, 0);
+  }
+
+  /**
+   * Change any of type, frequency, q and gain. Coefficients ramp to the new design over
+   * `smoothing` seconds (0 jumps straight there).
+   */
+  setParams(params, smoothing = this.smoothing) {
+    ['type', 'frequency', 'q', 'gain'].forEach(key => {
+      if (params[key] !== undefined) {
+        this[key] = params[key];
+      }
+    });
+    this.coefficients = designBiquad(this.type, this.frequency, this.q, this.gain, this.sampleRate);
+
+    const steps = Math.round(smoothing * this.sampleRate);
+    for (let channel = 0; channel < this.channels; channel++) {
+      const base = channel * STATE_SIZE;
+      for (let c = 0; c < 5; c++) {
+        const current = this.state[base + COEFFICIENTS + c];
+        this.state[base + STEPS + c] = steps > 0 ? (this.coefficients[c] - current) / steps : 0;
+        if (steps === 0) {
+          this.state[base + COEFFICIENTS + c] = this.coefficients[c];
+        }
+      }
+      this.state[base + REMAINING] = steps;
+    }
+  }
+
+  /**
+   * One sample through one channel
+   */
+  process(sample, channel = 0) {
+    const s = this.state;
+    const i = channel * STATE_SIZE;
+
+    if (s[i + REMAINING] > 0) {
+      this.step(i);
+    }
+
+    const y = s[i + COEFFICIENTS] * sample + s[i];
+    s[i] = s[i + COEFFICIENTS + 1] * sample - s[i + COEFFICIENTS + 3] * y + s[i + 1];
+    s[i + 1] = s[i + COEFFICIENTS + 2] * sample - s[i + COEFFICIENTS + 4] * y;
+    return y;
+  }
+
+  /**
+   * Filter a block of one channel (output may be the input array)
+   */
+  processBlock(input, output = input, channel = 0) {
+    for (let n = 0; n < input.length; n++) {
+      output[n] = this.process(input[n], channel);
+    }
+    return output;
+  }
+
+  step(i) {
+    const s = this.state;
+    if (--s[i + REMAINING] > 0) {
+      for (let c = 0; c < 5; c++) {
+        s[i + COEFFICIENTS + c] += s[i + STEPS + c];
+      }
+    } else {
+      // Land exactly on the target
+      for (let c = 0; c < 5; c++) {
+        s[i + COEFFICIENTS + c] = this.coefficients[c];
+      }
+    }
+  }
+
+  /**
+   * Clear the signal history of every channel (coefficients are kept)
+   */
+  reset() {
+    for (let channel = 0; channel < this.channels; channel++) {
+      this.state[channel * STATE_SIZE] = 0;
+      this.state[channel * STATE_SIZE + 1] = 0;
+    }
+  }
+
+  /**
+   * Magnitude response of the target design at a frequency (linear)
+   */
+  getMagnitude(frequency) {
+    const [b0, b1, b2, a1, a2] = this.coefficients;
+    const w = 2 * Math.PI * frequency / this.sampleRate;
+    const re = (c0, c1, c2) => c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w);
+    const im = (c1, c2) => -(c1 * Math.sin(w) + c2 * Math.sin(2 * w));
+    return Math.hypot(re(b0, b1, b2), im(b1, b2)) / Math.hypot(re(1, a1, a2), im(a1, a2));
+  }
+}
+
+/**
+ * Sections run in series (e.g. a higher-order Butterworth)
+ */
+export class BiquadCascade {
+  constructor(sections) {
+    this.sections = sections;
+  }
+
+  process(sample, channel = 0) {
+    let output = sample;
+    for (let s = 0; s < this.sections.length; s++) {
+      output = this.sections[s].process(output, channel);
+    }
+    return output;
+  }
+
+  processBlock(input, output = input, channel = 0) {
+    this.sections.forEach((section, s) => section.processBlock(s === 0 ? input : output, output, channel));
+    return output;
+  }
+
+  /**
+   * Move every section to a new frequency (each keeps its own Q)
+   */
+  setFrequency(frequency, smoothing) {
+    this.sections.forEach(section => section.setParams({ frequency }, smoothing));
+  }
+
+  reset() {
+    this.sections.forEach(section => section.reset());
+  }
+
+  getMagnitude(frequency) {
+    return this.sections.reduce((magnitude, section) => magnitude * section.getMagnitude(frequency), 1);
+  }
+}
+
+/**
+ * Butterworth lowpass or highpass of any order: second-order sections with the Butterworth
+ * pole Qs, plus a first-order section for odd orders
+ */
+export function createButterworth(type, frequency, order, sampleRate, options) {
+  if (type !== 'lowpass' && type !== 'highpass') {
+    throw new Error('Butterworth filters are lowpass or highpass');
+  }
+  if (!Number.isInteger(order) || order < 1) {
+    throw new Error('Butterworth order must be a positive whole number');
+  }
+
+  const sections = [];
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    const q = 1 / (2 * Math.sin(Math.PI * (2 * k + 1) / (2 * order)));
+    sections.push(new Biquad({ type, frequency, q }, sampleRate, options));
+  }
+  if (order % 2 === 1) {
+    sections.push(new Biquad({ type: `${type}1`, frequency }, sampleRate, options));
+  }
+  return new BiquadCascade(sections);
+}
+
+/**
+ * Linkwitz-Riley crossover (order 2, 4, 8, ...): each side is a squared Butterworth, so low
+ * and high are -6 dB at the crossover and sum to an all-pass (flat magnitude)
+ */
+export class LinkwitzRileyCrossover {
+  constructor(frequency, sampleRate, { order = 4, ...options } = {}) {
+    if (order < 2 || order % 2 !== 0) {
+      throw new Error('Linkwitz-Riley order must be even');
+    }
+    const butterworthOrder = order / 2;
+    const squared = (type) => new BiquadCascade([
+      ...createButterworth(type, frequency, butterworthOrder, sampleRate, options).sections,
+      ...createButterworth(type, frequency, butterworthOrder, sampleRate, options).sections
+    ]);
+
+    this.frequency = frequency;
+    this.order = order;
+    this.lowpass = squared('lowpass');
+    this.highpass = squared('highpass');
+    // Odd Butterworth orders leave the bands in antiphase at the crossover
+    this.highSign = butterworthOrder % 2 === 1 ? -1 : 1;
+    this.bands = { low: 0, high: 0 };
+  }
+
+  /**
+   * Low and high band of one sample, in the crossover's own { low, high } (no allocation per
+   * sample; the next call overwrites it)
+   */
+  split(sample, channel = 0) {
+    this.bands.low = this.lowpass.process(sample, channel);
+    this.bands.high = this.highSign * this.highpass.process(sample, channel);
+    return this.bands;
+  }
+
+  /**
+   * The crossover's all-pass (low + high): delays bands split elsewhere to stay phase-aligned
+   * with the bands this crossover produces
+   */
+  process(sample, channel = 0) {
+    const bands = this.split(sample, channel);
+    return bands.low + bands.high;
+  }
+
+  setFrequency(frequency, smoothing) {
+    this.frequency = frequency;
+    this.lowpass.setFrequency(frequency, smoothing);
+    this.highpass.setFrequency(frequency, smoothing);
+  }
+
+  reset() {
+    this.lowpass.reset();
+    this.highpass.reset();
+  }
+}
@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BIQUAD_TYPES,
+  Biquad,
+  createButterworth,
+  designBiquad,
+  LinkwitzRileyCrossover
+} from './biquad.js';
+
+const SAMPLE_RATE = 48000;
+
+const toDB = (magnitude) => 20 * Math.log10(magnitude);
+
+/**
+ * Magnitude (dB) of [b0, b1, b2, a1, a2] at a frequency
+ */
+function responseDB(coefficients, frequency, sampleRate = SAMPLE_RATE) {
+  const [b0, b1, b2, a1, a2] = coefficients;
+  const w = 2 * Math.PI * frequency / sampleRate;
+  const re = (c0, c1, c2) => c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w);
+  const im = (c1, c2) => -(c1 * Math.sin(w) + c2 * Math.sin(2 * w));
+  return toDB(Math.hypot(re(b0, b1, b2), im(b1, b2)) / Math.hypot(re(1, a1, a2), im(a1, a2)));
+}
+
+/**
+ * Magnitude (dB) of a measured impulse response at a frequency (single-bin DFT)
+ */
+function impulseResponseDB(impulse, frequency, sampleRate = SAMPLE_RATE) {
+  let re = 0;
+  let im = 0;
+  for (let n = 0; n < impulse.length; n++) {
+    const phase = 2 * Math.PI * frequency * n / sampleRate;
+    re += impulse[n] * Math.cos(phase);
+    im -= impulse[n] * Math.sin(phase);
+  }
+  return toDB(Math.hypot(re, im));
+}
+
+function impulseResponse(processSample, length = 16384) {
+  const output = new Float64Array(length);
+  for (let n = 0; n < length; n++) {
+    output[n] = processSample(n === 0 ? 1 : 0);
+  }
+  return output;
+}
+
+function assertDB(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual.toFixed(3)} dB, expected ${expected} dB`);
+}
+
+test('designBiquad magnitudes match the RBJ designs', () => {
+  const f = 1000;
+  const q = Math.SQRT1_2;
+
+  assertDB(responseDB(designBiquad('lowpass', f, q, 0, SAMPLE_RATE), f), -3.01, 0.01, 'lowpass at cutoff');
+  assertDB(responseDB(designBiquad('lowpass', f, q, 0, SAMPLE_RATE), 0), 0, 1e-9, 'lowpass at DC');
+  assertDB(responseDB(designBiquad('highpass', f, q, 0, SAMPLE_RATE), f), -3.01, 0.01, 'highpass at cutoff');
+  assertDB(responseDB(designBiquad('highpass', f, q, 0, SAMPLE_RATE), SAMPLE_RATE / 2), 0, 1e-9, 'highpass at Nyquist');
+  assertDB(responseDB(designBiquad('bandpass', f, 2, 0, SAMPLE_RATE), f), 0, 1e-9, 'bandpass at center');
+  assert.ok(responseDB(designBiquad('notch', f, 2, 0, SAMPLE_RATE), f) < -100, 'notch at center');
+  [50, 1000, 8000, 20000].forEach(frequency => {
+    assertDB(responseDB(designBiquad('allpass', f, q, 0, SAMPLE_RATE), frequency), 0, 1e-9, `allpass at ${frequency} Hz`);
+  });
+  assertDB(responseDB(designBiquad('peaking', f, 1, 6, SAMPLE_RATE), f), 6, 1e-9, 'peaking at center');
+  assertDB(responseDB(designBiquad('peaking', f, 1, 6, SAMPLE_RATE), 20), 0, 0.01, 'peaking far below');
+  assertDB(responseDB(designBiquad('lowshelf', f, q, 6, SAMPLE_RATE), 0), 6, 1e-9, 'low shelf at DC');
+  assertDB(responseDB(designBiquad('lowshelf', f, q, 6, SAMPLE_RATE), f), 3, 1e-9, 'low shelf at midpoint');
+  assertDB(responseDB(designBiquad('lowshelf', f, q, 6, SAMPLE_RATE), SAMPLE_RATE / 2), 0, 1e-9, 'low shelf at Nyquist');
+  assertDB(responseDB(designBiquad('highshelf', f, q, -6, SAMPLE_RATE), SAMPLE_RATE / 2), -6, 1e-9, 'high shelf at Nyquist');
+  assertDB(responseDB(designBiquad('highshelf', f, q, -6, SAMPLE_RATE), f), -3, 1e-9, 'high shelf at midpoint');
+  assertDB(responseDB(designBiquad('highshelf', f, q, -6, SAMPLE_RATE), 0), 0, 1e-9, 'high shelf at DC');
+  assertDB(responseDB(designBiquad('lowpass1', f, q, 0, SAMPLE_RATE), f), -3.01, 0.01, 'first-order lowpass at cutoff');
+  assertDB(responseDB(designBiquad('highpass1', f, q, 0, SAMPLE_RATE), f), -3.01, 0.01, 'first-order highpass at cutoff');
+});
+
+test('designBiquad rejects unknown types', () => {
+  assert.throws(() => designBiquad('bell', 1000, 1, 0, SAMPLE_RATE), /Unknown biquad type/);
+});
+
+test('Biquad filtering matches its designed response', () => {
+  BIQUAD_TYPES.forEach(type => {
+    const filter = new Biquad({ type, frequency: 2000, q: 1.2, gain: 4 }, SAMPLE_RATE);
+    const impulse = impulseResponse(sample => filter.process(sample));
+    [100, 2000, 9000].forEach(frequency => {
+      // Linear, so a notch's near-zero doesn't turn rounding noise into dB
+      const measured = Math.pow(10, impulseResponseDB(impulse, frequency) / 20);
+      assert.ok(Math.abs(measured - filter.getMagnitude(frequency)) < 1e-6, `${type} at ${frequency} Hz`);
+    });
+  });
+});
+
+test('Biquad block processing equals per-sample processing, channels independent', () => {
+  const input = Float32Array.from({ length: 512 }, (_, n) => Math.sin(n * 0.3) + 0.5 * Math.sin(n * 0.05));
+  const single = new Biquad({ type: 'peaking', frequency: 800, q: 2, gain: -5 }, SAMPLE_RATE);
+  const expected = Float32Array.from(input, sample => single.process(sample));
+
+  const stereo = new Biquad({ type: 'peaking', frequency: 800, q: 2, gain: -5 }, SAMPLE_RATE, { channels: 2 });
+  stereo.processBlock(new Float32Array(512).fill(0.25), new Float32Array(512), 0);
+  const block = stereo.processBlock(input, new Float32Array(512), 1);
+  assert.deepEqual(block, expected);
+});
+
+test('createButterworth is -3 dB at the cutoff for every order', () => {
+  for (let order = 1; order <= 8; order++) {
+    ['lowpass', 'highpass'].forEach(type => {
+      const filter = createButterworth(type, 1000, order, SAMPLE_RATE);
+      assert.equal(filter.sections.length, Math.ceil(order / 2));
+      assertDB(toDB(filter.getMagnitude(1000)), -3.01, 0.01, `order ${order} ${type} at cutoff`);
+
+      // Roll-off an octave into the stopband follows the analog prototype (1 + 2^2N)
+      const stopband = type === 'lowpass' ? 2000 : 500;
+      assertDB(toDB(filter.getMagnitude(stopband)), -10 * Math.log10(1 + Math.pow(2, 2 * order)), 0.5, `order ${order} ${type} an octave out`);
+    });
+  }
+});
+
+test('createButterworth filters the signal as designed', () => {
+  const filter = createButterworth('highpass', 120, 3, SAMPLE_RATE);
+  const impulse = impulseResponse(sample => filter.process(sample));
+  assertDB(impulseResponseDB(impulse, 120), -3.01, 0.01, 'measured at cutoff');
+});
+
+test('createButterworth rejects bad types and orders', () => {
+  assert.throws(() => createButterworth('bandpass', 1000, 2, SAMPLE_RATE), /lowpass or highpass/);
+  assert.throws(() => createButterworth('lowpass', 1000, 0, SAMPLE_RATE), /positive whole number/);
+  assert.throws(() => createButterworth('lowpass', 1000, 2.5, SAMPLE_RATE), /positive whole number/);
+});
+
+test('LinkwitzRileyCrossover bands sum flat (LR2, LR4, LR8)', () => {
+  [2, 4, 8].forEach(order => {
+    const crossover = new LinkwitzRileyCrossover(250, SAMPLE_RATE, { order });
+    const lows = [];
+    const highs = [];
+    const sums = impulseResponse(sample => {
+      const { low, high } = crossover.split(sample);
+      lows.push(low);
+      highs.push(high);
+      return low + high;
+    });
+
+    [20, 100, 250, 600, 2000, 10000, 20000].forEach(frequency => {
+      assertDB(impulseResponseDB(sums, frequency), 0, 0.01, `LR${order} sum at ${frequency} Hz`);
+    });
+    assertDB(impulseResponseDB(lows, 250), -6.02, 0.01, `LR${order} low at crossover`);
+    assertDB(impulseResponseDB(highs, 250), -6.02, 0.01, `LR${order} high at crossover`);
+  });
+});
+
+test('LinkwitzRileyCrossover only takes even orders', () => {
+  assert.throws(() => new LinkwitzRileyCrossover(250, SAMPLE_RATE, { order: 3 }), /must be even/);
+});
+
+test('coefficient ramp lands exactly on the target', () => {
+  // Current coefficients live at state[2..6] of each channel's 13-value block
+  const current = (filter, channel) => Array.from(filter.state.subarray(channel * 13 + 2, channel * 13 + 7));
+  const smoothing = 0.005;
+  const steps = Math.round(smoothing * SAMPLE_RATE);
+  const filter = new Biquad({ type: 'peaking', frequency: 200, q: 1, gain: 0 }, SAMPLE_RATE, { channels: 2 });
+  const start = current(filter, 0);
+
+  filter.setParams({ frequency: 3000, gain: 9 }, smoothing);
+  const target = Array.from(filter.coefficients);
+  for (let n = 0; n < steps - 1; n++) {
+    filter.process(0.1, 0);
+  }
+  const almost = current(filter, 0);
+  almost.forEach((value, c) => {
+    const low = Math.min(start[c], target[c]);
+    const high = Math.max(start[c], target[c]);
+    assert.ok(value >= low - 1e-12 && value <= high + 1e-12, 'mid-ramp coefficients stay between start and target');
+  });
+  assert.notDeepEqual(almost, target);
+
+  filter.process(0.1, 0);
+  assert.deepEqual(current(filter, 0), target);
+
+  // Further samples hold the target; the untouched channel still has its whole ramp ahead
+  filter.process(0.1, 0);
+  assert.deepEqual(current(filter, 0), target);
+  assert.deepEqual(current(filter, 1), start);
+  for (let n = 0; n < steps; n++) {
+    filter.process(0.1, 1);
+  }
+  assert.deepEqual(current(filter, 1), target);
+});
+
+test('retuning mid-ramp lands exactly on the newest target', () => {
+  const current = (filter) => Array.from(filter.state.subarray(2, 7));
+  const filter = new Biquad({ type: 'lowpass', frequency: 500 }, SAMPLE_RATE);
+
+  filter.setParams({ frequency: 5000 }, 0.01);
+  for (let n = 0; n < 100; n++) {
+    filter.process(0.1);
+  }
+  filter.setParams({ frequency: 1500, q: 2 }, 0.002);
+  for (let n = 0; n < Math.round(0.002 * SAMPLE_RATE); n++) {
+    filter.process(0.1);
+  }
+  assert.deepEqual(current(filter), Array.from(filter.coefficients));
+
+  filter.setParams({ frequency: 8000 }, 0);
+  assert.deepEqual(current(filter), Array.from(filter.coefficients));
+});
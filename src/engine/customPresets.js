@@ -0,0 +1,62 @@
+/**
+ * Custom Preset Store
+ * User presets built in the preset editor, kept in localStorage by name (a Map, so any
+ * name a user types, "constructor" or "__proto__" included, is just a name)
+ */
+
+const STORAGE_KEY = 'trapmasterpro_custom_presets';
+
+export class CustomPresetStore {
+  constructor() {
+    this.presets = this.load();
+  }
+
+  /**
+   * Load saved presets from localStorage
+   */
+  load() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        return new Map(Object.entries(JSON.parse(stored)));
+      }
+    } catch (e) {
+      console.error('Failed to load custom presets:', e);
+    }
+    return new Map();
+  }
+
+  /**
+   * Save presets to localStorage
+   */
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.presets)));
+    } catch (e) {
+      console.error('Failed to save custom presets:', e);
+    }
+  }
+
+  getNames() {
+    return [...this.presets.keys()];
+  }
+
+  get(name) {
+    return this.presets.get(name) || null;
+  }
+
+  /**
+   * Store a definition ({ intent, loudnessTarget, category, tags, chain }) under a name, replacing any preset of that name
+   */
+  save(name, definition) {
+    const preset = { ...definition, custom: true };
+    this.presets.set(name, preset);
+    this.persist();
+    return preset;
+  }
+
+  remove(name) {
+    this.presets.delete(name);
+    this.persist();
+  }
+}
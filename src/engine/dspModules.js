@@ -1,10 +1,18 @@
 /**
  * DSP Processing Modules
- * Core audio processing building blocks
+ * Core audio processing building blocks (filters from biquad.js)
  */
 
+import { Biquad, LinkwitzRileyCrossover } from './biquad.js';
+
+// Dynamic EQ gain is recomputed every this many samples; the band's coefficients ramp in between
+const DYNAMIC_EQ_CONTROL_INTERVAL = 32;
+
 /**
- * Dynamic EQ - Frequency-dependent gain that adapts to input level
+ * Dynamic EQ - A peaking band whose gain follows the level in that band. Once the band
+ * (bandpass-detected) passes the threshold, the EQ moves toward `gain` by excess / ratio dB:
+ * negative gains cut what gets too loud, positive gains lift it. Filter state is per channel;
+ * the detector is linked across channels.
  */
 export class DynamicEQ {
   constructor(frequency, q, threshold, ratio, attack, release, gain) {
@@ -14,54 +22,86 @@ export class DynamicEQ {
     this.ratio = ratio; // Compression ratio
     this.attack = attack; // Attack time in seconds
     this.release = release; // Release time in seconds
-    this.gain = gain; // Maximum gain reduction in dB
+    this.gain = gain; // Maximum EQ gain in dB (negative = cut)
     
     // State
     this.envelope = 0;
-    this.sampleRate = 44100;
+    this.appliedGain = 0;
+    this.controlCounter = 0;
+    this.setSampleRate(44100);
   }
 
   setSampleRate(sampleRate) {
     this.sampleRate = sampleRate;
+    this.detector = new Biquad({ type: 'bandpass', frequency: this.frequency, q: this.q }, sampleRate, { channels: 2 });
+    this.eq = new Biquad(
+      { type: 'peaking', frequency: this.frequency, q: this.q, gain: this.appliedGain },
+      sampleRate,
+      { channels: 2, smoothing: DYNAMIC_EQ_CONTROL_INTERVAL / sampleRate }
+    );
+    this.updateTimeConstants();
   }
 
   /**
-   * Process a single sample
+   * New parameters (any of the constructor's); the band glides to a new frequency or Q
    */
-  process(sample, inputLevel) {
-    // Calculate envelope follower
-    const target = Math.abs(inputLevel);
-    const coeff = target > this.envelope 
-      ? Math.exp(-1 / (this.attack * this.sampleRate))
-      : Math.exp(-1 / (this.release * this.sampleRate));
-    
+  setParams(params) {
+    Object.assign(this, params);
+    this.detector.setParams({ frequency: this.frequency, q: this.q });
+    this.eq.setParams({ frequency: this.frequency, q: this.q });
+    this.updateTimeConstants();
+  }
+
+  updateTimeConstants() {
+    this.attackCoeff = Math.exp(-1 / (this.attack * this.sampleRate));
+    this.releaseCoeff = Math.exp(-1 / (this.release * this.sampleRate));
+  }
+
+  /**
+   * Process a single sample of one channel, detecting on inputLevel
+   */
+  process(sample, inputLevel, channel = 0) {
+    // Envelope follower on the band
+    const target = Math.abs(this.detector.process(inputLevel, channel));
+    const coeff = target > this.envelope ? this.attackCoeff : this.releaseCoeff;
     this.envelope = target + (this.envelope - target) * coeff;
     
-    // Calculate gain reduction
+    if (channel === 0 && ++this.controlCounter >= DYNAMIC_EQ_CONTROL_INTERVAL) {
+      this.controlCounter = 0;
+      this.updateGain();
+    }
+    
+    return this.eq.process(sample, channel);
+  }
+
+  updateGain() {
     const dbLevel = 20 * Math.log10(this.envelope + 1e-10);
-    let gainReduction = 0;
+    const depth = dbLevel > this.threshold
+      ? Math.min((dbLevel - this.threshold) / this.ratio, Math.abs(this.gain))
+      : 0;
+    const applied = Math.sign(this.gain) * depth;
     
-    if (dbLevel > this.threshold) {
-      const excess = dbLevel - this.threshold;
-      gainReduction = excess / this.ratio;
-      gainReduction = Math.min(gainReduction, this.gain);
+    if (applied !== this.appliedGain) {
+      this.appliedGain = applied;
+      this.eq.setParams({ gain: applied });
     }
-    
-    // Apply gain reduction
-    const gainLinear = Math.pow(10, -gainReduction / 20);
-    return sample * gainLinear;
   }
 }
 
+// Tempo-synced release candidates, in beats (quarter note down to 1/128 note)
+const RELEASE_NOTE_VALUES = [1, 0.5, 0.25, 0.125, 0.0625, 0.03125];
+
 /**
  * Adaptive Compressor - Compression with adaptive threshold based on analysis
  */
 export class AdaptiveCompressor {
   constructor(threshold, ratio, attack, release, knee, makeupGain) {
     this.threshold = threshold;
+    this.baseThreshold = threshold;
     this.ratio = ratio;
     this.attack = attack;
     this.release = release;
+    this.baseRelease = release; // Configured release, kept so tempo sync can be undone
     this.knee = knee;
     this.makeupGain = makeupGain;
     
@@ -73,6 +113,27 @@ export class AdaptiveCompressor {
     this.sampleRate = sampleRate;
   }
 
+  /**
+   * Snap release to the note value (in beats) at `bpm` closest to the configured release
+   * Pass null to go back to the configured release
+   */
+  syncRelease(bpm) {
+    if (!bpm) {
+      this.release = this.baseRelease;
+      return this.release;
+    }
+    
+    const beat = 60 / bpm;
+    this.release = RELEASE_NOTE_VALUES
+      .map(value => value * beat)
+      .reduce((best, candidate) =>
+        Math.abs(Math.log(candidate / this.baseRelease)) < Math.abs(Math.log(best / this.baseRelease))
+          ? candidate
+          : best
+      );
+    return this.release;
+  }
+
   adaptThreshold(analysisData) {
     // Adapt threshold based on dynamic range
     const dynamicRange = analysisData.dynamicRange || 12;
@@ -81,6 +142,9 @@ export class AdaptiveCompressor {
     if (dynamicRange > targetRange) {
       // Reduce threshold to compress more
       this.threshold = -12 - (dynamicRange - targetRange) * 0.5;
+    } else {
+      // Back to the configured threshold (adaptation can run again per section)
+      this.threshold = this.baseThreshold;
     }
   }
 
@@ -174,24 +238,53 @@ export class Limiter {
   }
 }
 
+/**
+ * Graphic EQ - Fixed peaking bands ({ frequency, gain } in Hz/dB), one channel per instance
+ */
+export class GraphicEQ {
+  constructor(bands, q, sampleRate) {
+    this.q = q;
+    this.sampleRate = sampleRate;
+    
+    // Skip flat bands and anything at or above Nyquist
+    this.filters = bands
+      .filter(band => Math.abs(band.gain) >= 0.1 && band.frequency < sampleRate / 2)
+      .map(band => new Biquad({ type: 'peaking', frequency: band.frequency, q, gain: band.gain }, sampleRate));
+  }
+
+  process(sample) {
+    let output = sample;
+    
+    for (let i = 0; i < this.filters.length; i++) {
+      output = this.filters[i].process(output);
+    }
+    
+    return output;
+  }
+}
+
 /**
  * Mid/Side Processor - Stereo width control
  */
 export class MidSideProcessor {
   constructor(width) {
     this.width = width; // Width control (0 = mono, 1 = stereo, >1 = wider)
+    this.output = { left: 0, right: 0 };
   }
 
+  /**
+   * One stereo frame, returned in this processor's own { left, right } (overwritten by the
+   * next call, so nothing is allocated per sample)
+   */
   process(left, right) {
     const mid = (left + right) * 0.5;
     const side = (left - right) * 0.5;
     
     const processedSide = side * this.width;
     
-    return {
-      left: mid + processedSide,
-      right: mid - processedSide
-    };
+    this.output.left = mid + processedSide;
+    this.output.right = mid - processedSide;
+    return this.output;
   }
 }
 
@@ -203,28 +296,35 @@ export class MonoBassProcessor {
     this.cutoff = cutoff; // Frequency cutoff (typically 120 Hz)
     this.sampleRate = sampleRate;
     
-    // Simple low-pass filter coefficients
-    const rc = 1.0 / (cutoff * 2 * Math.PI);
-    const dt = 1.0 / sampleRate;
-    this.alpha = dt / (rc + dt);
-    
-    this.leftLP = 0;
-    this.rightLP = 0;
+    // Linkwitz-Riley split: the bands sum back flat, so only the bass image changes
+    this.crossover = new LinkwitzRileyCrossover(cutoff, sampleRate, { channels: 2 });
+    this.output = { left: 0, right: 0 };
+  }
+
+  /**
+   * Move the cutoff (the crossover glides there, keeping its state)
+   */
+  setCutoff(cutoff) {
+    this.cutoff = cutoff;
+    this.crossover.setFrequency(cutoff);
   }
 
+  /**
+   * One stereo frame, returned in this processor's own { left, right } (overwritten by the
+   * next call)
+   */
   process(left, right) {
-    // Low-pass filter
-    this.leftLP += this.alpha * (left - this.leftLP);
-    this.rightLP += this.alpha * (right - this.rightLP);
-    
-    // Make mono
-    const mono = (this.leftLP + this.rightLP) * 0.5;
+    // The crossover reuses its bands object, so take the left bands before splitting the right
+    const l = this.crossover.split(left, 0);
+    const leftLow = l.low;
+    const leftHigh = l.high;
+    const r = this.crossover.split(right, 1);
     
-    // Subtract low-passed from original, add mono
-    return {
-      left: left - this.leftLP + mono,
-      right: right - this.rightLP + mono
-    };
+    // Lows summed to mono under the untouched highs
+    const mono = (leftLow + r.low) * 0.5;
+    this.output.left = leftHigh + mono;
+    this.output.right = r.high + mono;
+    return this.output;
   }
 }
 
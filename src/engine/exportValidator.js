@@ -4,6 +4,9 @@
  * Logs measurements for verification
  */
 
+import { LoudnessMeasurement, ABSOLUTE_GATE_LUFS } from './loudnessMeasurement.js';
+import { measureTruePeak } from './truePeakDetector.js';
+
 export class ExportValidator {
   constructor() {
     this.validationResults = null;
@@ -59,63 +62,23 @@ export class ExportValidator {
   }
 
   /**
-   * Measure peak levels (sample peak and true peak)
+   * Measure peak levels (sample peak and oversampled true peak)
    */
   measurePeaks(audioBuffer) {
-    let peak = -Infinity;
-    let truePeak = -Infinity;
-
-    // Simple true peak approximation using interpolation
-    // For accurate true peak, would need proper oversampling + reconstruction
-    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
-      const data = audioBuffer.getChannelData(ch);
-      
-      for (let i = 0; i < data.length; i++) {
-        const absSample = Math.abs(data[i]);
-        peak = Math.max(peak, absSample);
-
-        // Approximate true peak with simple interpolation
-        // This is a simplified version - full implementation would use proper oversampling
-        if (i > 0 && i < data.length - 1) {
-          // Simple peak interpolation
-          const prev = Math.abs(data[i - 1]);
-          const curr = absSample;
-          const next = Math.abs(data[i + 1]);
-          
-          // Estimate inter-sample peak
-          const interpPeak = Math.max(prev, curr, next);
-          truePeak = Math.max(truePeak, interpPeak);
-        } else {
-          truePeak = Math.max(truePeak, absSample);
-        }
-      }
-    }
+    const { samplePeakDB, truePeakDB } = measureTruePeak(audioBuffer);
 
     return {
-      peak: peak > 0 ? 20 * Math.log10(peak) : -Infinity,
-      truePeak: truePeak > 0 ? 20 * Math.log10(truePeak) : -Infinity
+      peak: samplePeakDB,
+      truePeak: truePeakDB
     };
   }
 
   /**
-   * Measure LUFS (simplified)
+   * Measure integrated LUFS (ITU-R BS.1770-4, gated)
    */
   measureLUFS(audioBuffer) {
-    let sumSquared = 0;
-    const length = audioBuffer.length;
-    const channels = audioBuffer.numberOfChannels;
-
-    for (let ch = 0; ch < channels; ch++) {
-      const data = audioBuffer.getChannelData(ch);
-      for (let i = 0; i < length; i++) {
-        sumSquared += data[i] * data[i];
-      }
-    }
-
-    const rms = Math.sqrt(sumSquared / (length * channels));
-    const lufs = rms > 0 ? -0.691 + 10 * Math.log10(rms) : -70;
-
-    return Math.max(-70, Math.min(0, lufs));
+    const lufs = new LoudnessMeasurement().measureIntegrated(audioBuffer);
+    return Math.max(ABSOLUTE_GATE_LUFS, lufs);
   }
 
   /**
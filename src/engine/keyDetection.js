@@ -0,0 +1,110 @@
+/**
+ * Key and Scale Estimation
+ * Chromagram from a long-term, high-resolution spectrum, correlated against
+ * Krumhansl-Kessler major/minor key profiles in all 12 transpositions
+ */
+
+import { SpectralAnalyzer } from './spectralAnalysis.js';
+
+// Long frames so low notes resolve to separate semitones (2.7 Hz bins at 44.1 kHz)
+const KEY_FFT_SIZE = 16384;
+
+// Pitch range folded into the chromagram (Hz): C2 to about C8, below that bins are wider than semitones
+const MIN_FREQUENCY = 65;
+const MAX_FREQUENCY = 4200;
+
+// Bins quieter than this carry no pitch information
+const EMPTY_BIN_DB = -120;
+
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const SCALE_INTERVALS = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10]
+};
+
+// Krumhansl-Kessler probe-tone ratings, tonic first
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+/**
+ * Pitch classes (0 = C) of a scale
+ */
+export function getScale(tonic, mode) {
+  return SCALE_INTERVALS[mode].map(interval => (tonic + interval) % 12);
+}
+
+function correlate(a, b) {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) * (a[i] - meanA);
+    denB += (b[i] - meanB) * (b[i] - meanB);
+  }
+  return denA > 0 && denB > 0 ? num / Math.sqrt(denA * denB) : 0;
+}
+
+export class KeyDetector {
+  constructor() {
+    // Only the long-term average is used, so frames need no overlap
+    this.analyzer = new SpectralAnalyzer(KEY_FFT_SIZE, KEY_FFT_SIZE);
+  }
+
+  /**
+   * 12-bin chroma vector (normalised to a maximum of 1)
+   * Bin amplitudes are weighted towards semitone centres so energy between notes counts less
+   */
+  computeChroma(audioBuffer) {
+    const { frequencies, average } = this.analyzer.analyze(audioBuffer);
+    const chroma = new Array(12).fill(0);
+
+    for (let k = 0; k < frequencies.length; k++) {
+      const frequency = frequencies[k];
+      if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY || average[k] <= EMPTY_BIN_DB) continue;
+
+      const midi = 69 + 12 * Math.log2(frequency / 440);
+      const note = Math.round(midi);
+      const weight = Math.pow(Math.cos(Math.PI * (midi - note)), 2);
+      chroma[((note % 12) + 12) % 12] += weight * Math.pow(10, average[k] / 20);
+    }
+
+    const max = Math.max(...chroma);
+    return max > 0 ? chroma.map(v => v / max) : chroma;
+  }
+
+  /**
+   * Most likely key. confidence is the correlation margin over the runner-up key (0-1).
+   */
+  detect(audioBuffer) {
+    const chroma = this.computeChroma(audioBuffer);
+
+    const candidates = [];
+    for (const mode of ['major', 'minor']) {
+      for (let tonic = 0; tonic < 12; tonic++) {
+        // Rotate the profile so its tonic sits on `tonic`
+        const profile = chroma.map((_, pc) => KEY_PROFILES[mode][(pc - tonic + 12) % 12]);
+        candidates.push({ tonic, mode, correlation: correlate(chroma, profile) });
+      }
+    }
+    candidates.sort((a, b) => b.correlation - a.correlation);
+
+    const best = candidates[0];
+    const silent = chroma.every(v => v === 0);
+
+    return {
+      tonic: best.tonic,
+      mode: best.mode,
+      name: silent ? 'Unknown' : `${PITCH_CLASSES[best.tonic]} ${best.mode}`,
+      scale: getScale(best.tonic, best.mode),
+      correlation: best.correlation,
+      confidence: silent ? 0 : Math.max(0, Math.min(1, (best.correlation - candidates[1].correlation) * 5)),
+      chroma
+    };
+  }
+}
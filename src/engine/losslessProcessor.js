@@ -4,6 +4,9 @@
  * Maintains 32-bit float precision until final export
  */
 
+import { LoudnessMeasurement, ABSOLUTE_GATE_LUFS } from './loudnessMeasurement.js';
+import { TruePeakDetector, TRUE_PEAK_HEADROOM_DB } from './truePeakDetector.js';
+
 /**
  * High-quality sample rate converter
  * Custom implementation for sample rate conversion when needed
@@ -160,52 +163,137 @@ export class ProfessionalDither {
 
 /**
  * True Peak Limiter for Lossless Export
- * True-peak ceiling target with conservative true-peak estimate
- * Note: Not full ITU-R BS.1770-grade true peak - uses simplified interpolation-based estimate
+ * True-peak ceiling using the BS.1770 oversampled detector with matching look-ahead,
+ * so the reduced gain is already in place when an inter-sample over reaches the output.
+ * Channels share one gain; it recovers with an exponential release once no over is in reach.
  */
 export class LosslessTruePeakLimiter {
-  constructor(ceiling, sampleRate) {
-    this.ceiling = ceiling; // In dB
+  constructor(ceiling, sampleRate, release = 0.05) {
+    this.ceiling = ceiling; // In dBTP
+    // Limits slightly below the ceiling: the detector can read a peak between its points low
+    this.ceilingLinear = Math.pow(10, (ceiling - TRUE_PEAK_HEADROOM_DB) / 20);
     this.sampleRate = sampleRate;
+    this.release = release; // Release time in seconds
+    this.releaseCoeff = Math.exp(-1 / (release * sampleRate));
     this.gainReduction = 1.0;
-    this.lastSample = 0;
+    
+    // Per-channel detector state and look-ahead delay lines
+    this.detectors = [];
+    this.delayLines = [];
+    this.lookahead = new TruePeakDetector(sampleRate).tapsPerPhase;
+    
+    // Gain each frame still in the look-ahead needs (the delayed output must honour them all)
+    this.requiredGains = new Float32Array(this.lookahead + 1).fill(1);
+    this.requiredIndex = 0;
+    this.monoFrame = [0];
+  }
+
+  getChannelState(channel) {
+    if (!this.detectors[channel]) {
+      this.detectors[channel] = new TruePeakDetector(this.sampleRate);
+      this.delayLines[channel] = { buffer: new Float32Array(this.lookahead), index: 0 };
+    }
+    return { detector: this.detectors[channel], delayLine: this.delayLines[channel] };
+  }
+
+  /**
+   * Detect true peak (linear) of the oversampled signal around the newest sample
+   */
+  detectTruePeak(sample, channel = 0) {
+    return this.getChannelState(channel).detector.process(sample);
+  }
+
+  /**
+   * Move the shared gain for a new frame: straight down to the lowest gain required within
+   * the look-ahead, otherwise released towards it
+   */
+  updateGain(required) {
+    this.requiredGains[this.requiredIndex] = required;
+    this.requiredIndex = (this.requiredIndex + 1) % this.requiredGains.length;
+    
+    let target = 1.0;
+    for (let i = 0; i < this.requiredGains.length; i++) {
+      if (this.requiredGains[i] < target) target = this.requiredGains[i];
+    }
+    
+    if (target < this.gainReduction) {
+      this.gainReduction = target;
+    } else {
+      this.gainReduction = target + (this.gainReduction - target) * this.releaseCoeff;
+    }
+    return this.gainReduction;
   }
 
   /**
-   * Detect true peak with interpolation
-   * Simplified version - estimates inter-sample peaks
+   * Process one frame (a sample per channel) in place; output is delayed by getLatency() samples
    */
-  detectTruePeak(currentSample, previousSample) {
-    const absCurrent = Math.abs(currentSample);
-    const absPrevious = Math.abs(previousSample);
+  processFrame(frame) {
+    let required = 1.0;
+    for (let ch = 0; ch < frame.length; ch++) {
+      const truePeak = this.detectTruePeak(frame[ch], ch);
+      if (truePeak > this.ceilingLinear) {
+        required = Math.min(required, this.ceilingLinear / truePeak);
+      }
+    }
     
-    // Estimate inter-sample peak using linear interpolation
-    // This is a simplified approximation
-    // Full true peak would require proper oversampling + sinc reconstruction
-    const interpPeak = Math.max(absCurrent, absPrevious);
+    const gain = this.updateGain(required);
     
-    // Add small margin for safety (conservative approach)
-    return interpPeak * 1.01; // 1% safety margin
+    for (let ch = 0; ch < frame.length; ch++) {
+      const { delayLine } = this.getChannelState(ch);
+      const delayed = delayLine.buffer[delayLine.index];
+      delayLine.buffer[delayLine.index] = frame[ch];
+      delayLine.index = (delayLine.index + 1) % this.lookahead;
+      frame[ch] = delayed * gain;
+    }
+    return frame;
   }
 
+  /**
+   * Process one mono sample; output is delayed by getLatency() samples
+   */
   process(sample) {
-    // Detect true peak
-    const truePeak = this.detectTruePeak(sample, this.lastSample);
-    const peakDB = 20 * Math.log10(truePeak + 1e-10);
+    this.monoFrame[0] = sample;
+    return this.processFrame(this.monoFrame)[0];
+  }
+
+  getLatency() {
+    return this.lookahead;
+  }
+
+  /**
+   * Limit a whole buffer in place (channels linked, latency compensated)
+   */
+  processBuffer(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const latency = this.getLatency();
+    const data = [];
+    for (let ch = 0; ch < channels; ch++) {
+      data.push(audioBuffer.getChannelData(ch));
+    }
     
-    // Apply gain reduction if needed
-    if (peakDB > this.ceiling) {
-      const targetGain = Math.pow(10, (this.ceiling - peakDB) / 20);
-      this.gainReduction = Math.min(this.gainReduction, targetGain);
+    const frame = new Array(channels);
+    for (let i = 0; i < length + latency; i++) {
+      for (let ch = 0; ch < channels; ch++) {
+        frame[ch] = i < length ? data[ch][i] : 0;
+      }
+      this.processFrame(frame);
+      if (i >= latency) {
+        for (let ch = 0; ch < channels; ch++) {
+          data[ch][i - latency] = frame[ch];
+        }
+      }
     }
     
-    this.lastSample = sample;
-    return sample * this.gainReduction;
+    return audioBuffer;
   }
 
   reset() {
     this.gainReduction = 1.0;
-    this.lastSample = 0;
+    this.detectors = [];
+    this.delayLines = [];
+    this.requiredGains.fill(1);
+    this.requiredIndex = 0;
   }
 }
 
@@ -223,21 +311,12 @@ export class LosslessNormalizer {
    * Calculate normalization gain
    */
   calculateGain(audioBuffer) {
-    // Calculate RMS for LUFS approximation
-    let sumSquared = 0;
-    const length = audioBuffer.length;
-    const channels = audioBuffer.numberOfChannels;
-    
-    for (let ch = 0; ch < channels; ch++) {
-      const data = audioBuffer.getChannelData(ch);
-      for (let i = 0; i < length; i++) {
-        sumSquared += data[i] * data[i];
-      }
+    // Integrated loudness (ITU-R BS.1770-4, gated)
+    const currentLUFS = new LoudnessMeasurement().measureIntegrated(audioBuffer);
+    if (currentLUFS <= ABSOLUTE_GATE_LUFS) {
+      return 1.0; // Silence - nothing to normalize
     }
     
-    const rms = Math.sqrt(sumSquared / (length * channels));
-    const currentLUFS = rms > 0 ? -0.691 + 10 * Math.log10(rms) : -70;
-    
     // Calculate gain needed
     const lufsDifference = this.targetLUFS - currentLUFS;
     const gain = Math.pow(10, lufsDifference / 20);
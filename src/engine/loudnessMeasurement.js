@@ -0,0 +1,280 @@
+/**
+ * ITU-R BS.1770-4 Loudness Measurement
+ * K-weighted, channel-weighted, gated loudness shared by analysis, validation and normalization
+ * Matches ffmpeg's ebur128 filter / libebur128 to within measurement noise
+ */
+
+export const ABSOLUTE_GATE_LUFS = -70;
+export const RELATIVE_GATE_LU = -10;
+export const LRA_RELATIVE_GATE_LU = -20;
+
+// Gating block and step from BS.1770-4 (400 ms blocks, 75% overlap)
+export const SUB_BLOCK_DURATION = 0.1;
+const SUB_BLOCKS_PER_BLOCK = 4;
+
+// Short-term window (3 s) from EBU Tech 3342, evaluated every 100 ms
+export const SHORT_TERM_SUB_BLOCKS = 30;
+
+/**
+ * Convert channel-weighted mean square power to LUFS
+ */
+export function powerToLUFS(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Convert LUFS back to channel-weighted mean square power
+ */
+export function lufsToPower(lufs) {
+  return Math.pow(10, (lufs + 0.691) / 10);
+}
+
+/**
+ * Nearest-rank percentile of an ascending sorted array (p in 0-1)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return -Infinity;
+  const index = Math.round((sorted.length - 1) * p);
+  return sorted[Math.max(0, Math.min(sorted.length - 1, index))];
+}
+
+/**
+ * Channel weights (G_i) for the Web Audio channel order L, R, C, LFE, Ls, Rs
+ */
+export function getChannelWeights(numberOfChannels) {
+  const weights = [1.0, 1.0, 1.0, 0.0, 1.41, 1.41];
+  if (numberOfChannels < 6) {
+    return new Array(numberOfChannels).fill(1.0);
+  }
+  return Array.from({ length: numberOfChannels }, (_, i) => (i < weights.length ? weights[i] : 1.0));
+}
+
+/**
+ * K-weighting pre-filter
+ * Stage 1: high shelf (head acoustics), Stage 2: RLB high-pass
+ * Coefficients derived for any sample rate (identical to the 48 kHz tables in BS.1770)
+ */
+export class KWeightingFilter {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+
+    // Stage 1 - high shelf
+    const f0 = 1681.974450955533;
+    const G = 3.999843853973347;
+    const Q = 0.7071752369554196;
+    const K = Math.tan(Math.PI * f0 / sampleRate);
+    const Vh = Math.pow(10, G / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    const a0 = 1 + K / Q + K * K;
+
+    this.shelf = {
+      b0: (Vh + Vb * K / Q + K * K) / a0,
+      b1: 2 * (K * K - Vh) / a0,
+      b2: (Vh - Vb * K / Q + K * K) / a0,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+
+    // Stage 2 - RLB high-pass
+    const f1 = 38.13547087602444;
+    const Q1 = 0.5003270373238773;
+    const K1 = Math.tan(Math.PI * f1 / sampleRate);
+    const a01 = 1 + K1 / Q1 + K1 * K1;
+
+    this.highpass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (K1 * K1 - 1) / a01,
+      a2: (1 - K1 / Q1 + K1 * K1) / a01
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.s1 = { x1: 0, x2: 0, y1: 0, y2: 0 };
+    this.s2 = { x1: 0, x2: 0, y1: 0, y2: 0 };
+  }
+
+  process(sample) {
+    const f = this.shelf;
+    const s = this.s1;
+    const y = f.b0 * sample + f.b1 * s.x1 + f.b2 * s.x2 - f.a1 * s.y1 - f.a2 * s.y2;
+    s.x2 = s.x1;
+    s.x1 = sample;
+    s.y2 = s.y1;
+    s.y1 = y;
+
+    const h = this.highpass;
+    const t = this.s2;
+    const out = h.b0 * y + h.b1 * t.x1 + h.b2 * t.x2 - h.a1 * t.y1 - h.a2 * t.y2;
+    t.x2 = t.x1;
+    t.x1 = y;
+    t.y2 = t.y1;
+    t.y1 = out;
+
+    return out;
+  }
+}
+
+/**
+ * Offline loudness measurement over complete audio buffers
+ */
+export class LoudnessMeasurement {
+  /**
+   * K-weight every channel and sum channel-weighted energy in 100 ms sub-blocks.
+   * Gating blocks (400 ms), momentary windows and short-term windows are all
+   * built from these sums, so the filters only run once per buffer.
+   */
+  computeSubBlocks(audioBuffer) {
+    const sampleRate = audioBuffer.sampleRate;
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const subBlockSize = Math.round(sampleRate * SUB_BLOCK_DURATION);
+    const count = Math.floor(length / subBlockSize);
+    const energies = new Float64Array(count);
+    const weights = getChannelWeights(channels);
+
+    for (let ch = 0; ch < channels; ch++) {
+      if (weights[ch] === 0) continue;
+
+      const data = audioBuffer.getChannelData(ch);
+      const filter = new KWeightingFilter(sampleRate);
+      const weight = weights[ch];
+
+      for (let b = 0; b < count; b++) {
+        const start = b * subBlockSize;
+        const end = start + subBlockSize;
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+          const y = filter.process(data[i]);
+          sum += y * y;
+        }
+        energies[b] += weight * sum;
+      }
+    }
+
+    return { energies, subBlockSize, sampleRate };
+  }
+
+  /**
+   * Mean square power of sliding windows made of whole sub-blocks
+   */
+  getWindowPowers(subBlocks, windowSubBlocks = SUB_BLOCKS_PER_BLOCK, hopSubBlocks = 1) {
+    const { energies, subBlockSize } = subBlocks;
+    if (energies.length < windowSubBlocks) {
+      return new Float64Array(0);
+    }
+
+    const count = Math.floor((energies.length - windowSubBlocks) / hopSubBlocks) + 1;
+    const powers = new Float64Array(count);
+    const windowLength = windowSubBlocks * subBlockSize;
+
+    for (let w = 0; w < count; w++) {
+      const start = w * hopSubBlocks;
+      let sum = 0;
+      for (let b = start; b < start + windowSubBlocks; b++) {
+        sum += energies[b];
+      }
+      powers[w] = sum / windowLength;
+    }
+
+    return powers;
+  }
+
+  /**
+   * Apply absolute and relative gates to block powers and return loudness in LUFS
+   */
+  gate(powers, relativeGate = RELATIVE_GATE_LU) {
+    const absoluteThreshold = lufsToPower(ABSOLUTE_GATE_LUFS);
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < powers.length; i++) {
+      if (powers[i] > absoluteThreshold) {
+        sum += powers[i];
+        count++;
+      }
+    }
+    if (count === 0) return -Infinity;
+
+    const relativeThreshold = (sum / count) * Math.pow(10, relativeGate / 10);
+
+    sum = 0;
+    count = 0;
+    for (let i = 0; i < powers.length; i++) {
+      if (powers[i] > absoluteThreshold && powers[i] > relativeThreshold) {
+        sum += powers[i];
+        count++;
+      }
+    }
+
+    return count > 0 ? powerToLUFS(sum / count) : -Infinity;
+  }
+
+  /**
+   * Gated integrated loudness from pre-computed sub-blocks
+   */
+  integratedFromSubBlocks(subBlocks) {
+    const powers = this.getWindowPowers(subBlocks);
+    if (powers.length === 0) {
+      // Shorter than one gating block - measure what we have, ungated
+      const { energies, subBlockSize } = subBlocks;
+      const total = energies.reduce((a, b) => a + b, 0);
+      return energies.length > 0 ? powerToLUFS(total / (energies.length * subBlockSize)) : -Infinity;
+    }
+    return this.gate(powers);
+  }
+
+  /**
+   * Integrated loudness (LUFS) of a complete buffer
+   */
+  measureIntegrated(audioBuffer) {
+    return this.integratedFromSubBlocks(this.computeSubBlocks(audioBuffer));
+  }
+
+  /**
+   * Short-term loudness (3 s windows, 100 ms hop) in LUFS
+   */
+  getShortTermLoudness(subBlocks) {
+    const powers = this.getWindowPowers(subBlocks, SHORT_TERM_SUB_BLOCKS, 1);
+    return Array.from(powers, powerToLUFS);
+  }
+
+  /**
+   * Loudness Range (EBU Tech 3342)
+   * Short-term loudness, -70 LUFS absolute gate, -20 LU relative gate,
+   * LRA = 95th percentile - 10th percentile
+   */
+  loudnessRangeFromSubBlocks(subBlocks) {
+    const powers = this.getWindowPowers(subBlocks, SHORT_TERM_SUB_BLOCKS, 1);
+    const absoluteThreshold = lufsToPower(ABSOLUTE_GATE_LUFS);
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < powers.length; i++) {
+      if (powers[i] > absoluteThreshold) {
+        sum += powers[i];
+        count++;
+      }
+    }
+    if (count === 0) {
+      return { lra: 0, low: -Infinity, high: -Infinity };
+    }
+
+    const relativeThreshold = (sum / count) * Math.pow(10, LRA_RELATIVE_GATE_LU / 10);
+    const gated = [];
+    for (let i = 0; i < powers.length; i++) {
+      if (powers[i] > absoluteThreshold && powers[i] > relativeThreshold) {
+        gated.push(powerToLUFS(powers[i]));
+      }
+    }
+    gated.sort((a, b) => a - b);
+
+    const low = percentile(gated, 0.10);
+    const high = percentile(gated, 0.95);
+
+    return { lra: Math.max(0, high - low), low, high };
+  }
+}
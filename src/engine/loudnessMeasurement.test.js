@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoudnessMeasurement } from './loudnessMeasurement.js';
+import { RealtimeLoudnessMeter } from './realtimeLoudnessMeter.js';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Just enough of the AudioBuffer interface for the meters
+ */
+function createBuffer(channels) {
+  return {
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    sampleRate: SAMPLE_RATE,
+    duration: channels[0].length / SAMPLE_RATE,
+    getChannelData: (channel) => channels[channel]
+  };
+}
+
+/**
+ * 997 Hz sine as consecutive segments of { seconds, dBFS } (peak level)
+ */
+function sine(segments) {
+  const length = segments.reduce((total, { seconds }) => total + Math.round(seconds * SAMPLE_RATE), 0);
+  const data = new Float32Array(length);
+  let n = 0;
+  segments.forEach(({ seconds, dBFS }) => {
+    const amplitude = Math.pow(10, dBFS / 20);
+    const end = n + Math.round(seconds * SAMPLE_RATE);
+    for (; n < end; n++) {
+      data[n] = amplitude * Math.sin(2 * Math.PI * 997 * n / SAMPLE_RATE);
+    }
+  });
+  return data;
+}
+
+function assertLUFS(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 0.1, `${message}: ${actual.toFixed(2)} LUFS, expected ${expected} LUFS`);
+}
+
+const measure = (channels) => new LoudnessMeasurement().measureIntegrated(createBuffer(channels));
+
+test('a 0 dBFS 997 Hz sine on both channels reads 0 LUFS', () => {
+  const data = sine([{ seconds: 10, dBFS: 0 }]);
+  assertLUFS(measure([data, data]), 0, 'stereo at 0 dBFS');
+});
+
+test('a -20 dBFS stereo sine reads -20 LUFS', () => {
+  const data = sine([{ seconds: 10, dBFS: -20 }]);
+  assertLUFS(measure([data, data]), -20, 'stereo at -20 dBFS');
+});
+
+test('a 0 dBFS mono sine reads -3.01 LUFS', () => {
+  assertLUFS(measure([sine([{ seconds: 10, dBFS: 0 }])]), -3.01, 'mono at 0 dBFS');
+});
+
+test('the absolute gate leaves out a tail below -70 LUFS', () => {
+  const data = sine([{ seconds: 10, dBFS: -20 }, { seconds: 10, dBFS: -80 }]);
+  assertLUFS(measure([data, data]), -20, 'with a -80 dBFS tail');
+});
+
+test('the relative gate leaves out a tail more than 10 LU under the ungated level', () => {
+  // Ungated, the -35 dBFS half pulls the level down to about -22.9 LUFS
+  const data = sine([{ seconds: 10, dBFS: -20 }, { seconds: 10, dBFS: -35 }]);
+  assertLUFS(measure([data, data]), -20, 'with a -35 dBFS tail');
+
+  // A tail inside the relative gate still counts
+  const inside = sine([{ seconds: 10, dBFS: -20 }, { seconds: 10, dBFS: -26 }]);
+  assertLUFS(measure([inside, inside]), -22.04, 'with a -26 dBFS tail');
+});
+
+test('the live meter reads momentary and short-term loudness like the offline measurement', () => {
+  const data = sine([{ seconds: 4, dBFS: -20 }]);
+  const meter = new RealtimeLoudnessMeter(SAMPLE_RATE, 2);
+  for (let start = 0; start < data.length; start += 128) {
+    const block = data.subarray(start, start + 128);
+    meter.process([block, block]);
+  }
+
+  const { momentary, shortTerm } = meter.getReadings();
+  assertLUFS(momentary, -20, 'momentary');
+  assertLUFS(shortTerm, -20, 'short-term');
+});
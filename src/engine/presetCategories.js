@@ -2,6 +2,8 @@
  * TrapMasterPro Preset Categories
  * Organized by: Creative, Genre, Stereo, Frequency, Loudness
  * Each category contains multiple presets optimized for Trap-Soul, Hip-Hop, Trap, R&B
+ * The one preset catalogue: the recommender lists it and the engine builds each entry from
+ * its chain in presetDefinitions.js
  */
 
 export const PRESET_CATEGORIES = {
@@ -0,0 +1,358 @@
+/**
+ * Preset Definitions
+ * The processing behind every preset in the catalogue (presetCategories.js): a chain of
+ * modules (see PRESET_MODULES in presetGraph.js) with parameters and analysis-driven
+ * adaptations, keyed by catalogue id. Name, intent and loudness target come from the
+ * catalogue, so the recommender and the engine offer the same presets.
+ * Offline renders and real-time playback are both built from these.
+ */
+
+import { getAllPresets } from './presetCategories.js';
+
+// Compressor threshold follows the track's dynamic range (more compression past 8 dB)
+const ADAPTIVE_THRESHOLD = { param: 'threshold', rule: 'excess', metric: 'dynamicRange', fallback: 12, above: 8, value: -12, scale: -0.5 };
+
+const dynamicEQ = (frequency, q, threshold, ratio, attack, release, gain, adapt) => ({
+  module: 'dynamicEQ',
+  params: { frequency, q, threshold, ratio, attack, release, gain },
+  adapt
+});
+
+const compressor = (threshold, ratio, attack, release, knee, makeupGain) => ({
+  module: 'compressor',
+  params: { threshold, ratio, attack, release, knee, makeupGain },
+  adapt: [ADAPTIVE_THRESHOLD]
+});
+
+const softClipper = (drive, threshold) => ({ module: 'softClipper', params: { drive, threshold } });
+const limiter = (ceiling, release) => ({ module: 'limiter', params: { ceiling, release } });
+const gain = (value, adapt) => ({ module: 'gain', params: { gain: value }, adapt });
+const midSide = (width) => ({ module: 'midSide', params: { width } });
+const monoBass = (cutoff = 120) => ({ module: 'monoBass', params: { cutoff } });
+const pitchCorrector = (threshold, retuneSpeed) => ({ module: 'pitchCorrector', params: { threshold, retuneSpeed } });
+
+const PRESET_CHAINS = {
+  // Remove harshness in 2.5-6 kHz zone without dulling
+  'de-harsh': [
+    dynamicEQ(3500, 2.0, -12, 3.0, 0.003, 0.1, -6, [
+      // More reduction if harsh
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -40, max: -3, min: -8 }
+    ]),
+    compressor(-10, 3.0, 0.003, 0.1, 2.0, 1.0),
+    softClipper(1.2, 0.8),
+    limiter(0.95, 0.05)
+  ],
+
+  // Clean up mud in 150-350 Hz zone
+  'mud-remover': [
+    monoBass(),
+    dynamicEQ(250, 1.5, -15, 4.0, 0.005, 0.15, -8, [
+      { param: 'gain', rule: 'linear', metric: 'mud', scale: -18, max: -4, min: -9 }
+    ]),
+    compressor(-12, 2.5, 0.003, 0.08, 1.5, 0.5),
+    limiter(0.95, 0.05)
+  ],
+
+  // Control and stabilize bass (30-120 Hz)
+  'bass-tamer': [
+    monoBass(),
+    dynamicEQ(60, 1.0, -10, 5.0, 0.01, 0.2, -3, [
+      { param: 'gain', rule: 'step', metric: 'bassStability', above: 0.55, value: -6 }
+    ]),
+    compressor(-8, 4.0, 0.01, 0.15, 2.0, 1.5),
+    limiter(0.95, 0.05)
+  ],
+
+  // Add analog warmth and character
+  'vintage-warmth': [
+    compressor(-14, 2.0, 0.01, 0.2, 3.0, 2.0),
+    softClipper(1.5, 0.7),
+    limiter(0.95, 0.08)
+  ],
+
+  // Enhance high frequencies for modern clarity
+  'modern-bright': [
+    // High-frequency emphasis (simplified): boost if highs are low
+    gain(1, [{ param: 'gain', rule: 'step', metric: 'spectralBalance.high', fallback: 0.06, below: 0.04, value: 1.15 }]),
+    compressor(-12, 3.0, 0.002, 0.05, 1.5, 1.0),
+    limiter(0.95, 0.05)
+  ],
+
+  // Add lo-fi character and vibe
+  'lo-fi-character': [
+    // Reduce highs slightly when the mix is bright
+    gain(1, [{ param: 'gain', rule: 'step', metric: 'spectralBalance.high', fallback: 0.06, above: 0.1, value: 0.92 }]),
+    compressor(-16, 1.8, 0.02, 0.3, 4.0, 1.5),
+    softClipper(2.0, 0.6),
+    limiter(0.92, 0.1)
+  ],
+
+  // Smooth, soulful character
+  'neo-soul': [
+    compressor(-13, 2.2, 0.005, 0.12, 2.5, 1.2),
+    softClipper(1.3, 0.75),
+    limiter(0.95, 0.06)
+  ],
+
+  // Maximum loudness and impact for festivals
+  'festival-banger': [
+    monoBass(),
+    compressor(-6, 4.0, 0.001, 0.03, 1.0, 3.0),
+    softClipper(1.8, 0.85),
+    limiter(0.98, 0.01)
+  ],
+
+  // Focus energy in center, reduce width
+  'focus-center': [
+    midSide(0.7),
+    compressor(-11, 2.8, 0.003, 0.08, 2.0, 1.0),
+    limiter(0.95, 0.05)
+  ],
+
+  // Create immersive, wide soundstage
+  'immersive': [
+    midSide(1.3),
+    compressor(-12, 2.5, 0.004, 0.1, 2.0, 1.2),
+    limiter(0.95, 0.05)
+  ],
+
+  // Maximum stereo width
+  'wide-spacious': [
+    monoBass(),
+    midSide(1.5),
+    compressor(-11, 2.6, 0.003, 0.09, 2.0, 1.0),
+    limiter(0.95, 0.05)
+  ],
+
+  // Bring vocals forward in the mix
+  'vocal-forward': [
+    dynamicEQ(2500, 1.8, -14, 2.5, 0.002, 0.06, 2, [
+      // Boost more if vocals are low
+      { param: 'gain', rule: 'step', metric: 'vocalDominance', below: 0.08, value: 4 }
+    ]),
+    compressor(-10, 3.0, 0.002, 0.05, 1.5, 1.5),
+    limiter(0.95, 0.05)
+  ],
+
+  // Smooth out midrange frequencies
+  'smooth-mids': [
+    dynamicEQ(2000, 2.0, -12, 3.5, 0.004, 0.12, -5),
+    compressor(-13, 2.3, 0.005, 0.1, 2.5, 1.0),
+    limiter(0.95, 0.06)
+  ],
+
+  // Preserve dynamics while adding clarity
+  'dynamic-clear': [
+    compressor(-16, 1.5, 0.01, 0.15, 4.0, 0.5),
+    limiter(0.95, 0.08)
+  ],
+
+  // Maximum loudness and punch
+  'maximum-impact': [
+    monoBass(),
+    compressor(-5, 4.5, 0.001, 0.02, 0.8, 4.0),
+    softClipper(2.0, 0.88),
+    limiter(0.99, 0.005)
+  ],
+
+  // Emotional trap-soul vocals, human and imperfect
+  'bigcappo': [
+    // Lower threshold (25 cents) helps more when off-key; slower retune (0.2) keeps it natural
+    pitchCorrector(25, 0.2),
+    // Emphasize emotional mids, then a slight mid boost
+    dynamicEQ(3000, 2.2, -13, 2.8, 0.004, 0.1, 2),
+    gain(1.08),
+    // Control harsh highs without dulling
+    gain(1, [{ param: 'gain', rule: 'step', metric: 'harshness', above: 0.1, value: 0.97 }]),
+    compressor(-12, 2.4, 0.005, 0.12, 2.5, 1.8),
+    softClipper(1.4, 0.75),
+    limiter(0.95, 0.06)
+  ],
+
+  // Dark, heavy trap: tucked highs, dense low end
+  'dark-trap': [
+    monoBass(100),
+    dynamicEQ(5000, 1.2, -18, 3.0, 0.003, 0.08, -4, [
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -50, max: -4, min: -9 }
+    ]),
+    compressor(-9, 3.5, 0.003, 0.06, 1.5, 2.5),
+    softClipper(1.6, 0.8),
+    limiter(0.97, 0.02)
+  ],
+
+  // Silky R&B: gentle glue, soft top end
+  'smooth-rnb': [
+    dynamicEQ(3200, 1.6, -16, 2.5, 0.003, 0.1, -3, [
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -40, max: -3, min: -8 }
+    ]),
+    compressor(-14, 2.0, 0.008, 0.15, 3.0, 1.2),
+    softClipper(1.15, 0.8),
+    limiter(0.95, 0.07)
+  ],
+
+  // Trap low end under soulful mids
+  'trap-soul': [
+    monoBass(),
+    dynamicEQ(250, 1.5, -16, 3.0, 0.005, 0.15, -4, [
+      { param: 'gain', rule: 'linear', metric: 'mud', scale: -15, max: -3, min: -8 }
+    ]),
+    compressor(-11, 2.8, 0.004, 0.1, 2.0, 1.5),
+    softClipper(1.4, 0.8),
+    limiter(0.96, 0.04)
+  ],
+
+  // Loud and punchy with the 808 held steady
+  'modern-trap': [
+    monoBass(),
+    dynamicEQ(60, 1.0, -8, 4.0, 0.01, 0.15, -3, [
+      { param: 'gain', rule: 'step', metric: 'bassStability', above: 0.55, value: -5 }
+    ]),
+    compressor(-7, 4.0, 0.002, 0.04, 1.0, 3.0),
+    softClipper(1.7, 0.85),
+    limiter(0.98, 0.01)
+  ],
+
+  // 90s boom-bap: slow attack for drum punch, warm saturation, rounded highs
+  'classic-hiphop': [
+    compressor(-12, 3.0, 0.01, 0.12, 2.0, 2.0),
+    softClipper(1.5, 0.75),
+    gain(1, [{ param: 'gain', rule: 'step', metric: 'spectralBalance.high', fallback: 0.06, above: 0.1, value: 0.94 }]),
+    limiter(0.95, 0.06)
+  ],
+
+  // Clean, polished R&B: vocal presence up, low-mid build-up down
+  'contemporary-rnb': [
+    dynamicEQ(250, 1.5, -16, 3.0, 0.005, 0.15, -3),
+    dynamicEQ(3000, 1.8, -14, 2.5, 0.002, 0.06, 2, [
+      { param: 'gain', rule: 'step', metric: 'vocalDominance', below: 0.06, value: 3 }
+    ]),
+    compressor(-12, 2.4, 0.004, 0.1, 2.5, 1.2),
+    limiter(0.95, 0.05)
+  ],
+
+  // Percussion-led groove: transients through, a little width
+  'afrobeat-fusion': [
+    monoBass(),
+    compressor(-11, 2.6, 0.008, 0.06, 2.0, 1.5),
+    midSide(1.15),
+    softClipper(1.3, 0.8),
+    limiter(0.96, 0.03)
+  ],
+
+  // Aggressive drill: heavy compression, sliding 808s kept mono, bite kept in check
+  'drill': [
+    monoBass(110),
+    compressor(-6, 5.0, 0.001, 0.03, 0.8, 3.5),
+    dynamicEQ(4000, 1.8, -14, 3.0, 0.002, 0.06, -4, [
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -50, max: -4, min: -9 }
+    ]),
+    softClipper(1.9, 0.85),
+    limiter(0.98, 0.008)
+  ],
+
+  // Mono-safe: bass mono up to 200 Hz, side energy halved
+  'mono-optimized': [
+    monoBass(200),
+    midSide(0.5),
+    compressor(-12, 2.5, 0.004, 0.1, 2.0, 1.0),
+    limiter(0.95, 0.05)
+  ],
+
+  // Wider image with the vocal lifted; bass stays centered
+  'wide-vocals': [
+    monoBass(150),
+    midSide(1.35),
+    dynamicEQ(2500, 1.8, -14, 2.5, 0.002, 0.06, 2, [
+      { param: 'gain', rule: 'step', metric: 'vocalDominance', below: 0.06, value: 3 }
+    ]),
+    compressor(-11, 2.5, 0.003, 0.08, 2.0, 1.2),
+    limiter(0.95, 0.05)
+  ],
+
+  // Kick and bass centered, fast-recovering compression keeps the groove tight
+  'tight-rhythm': [
+    monoBass(180),
+    midSide(1.1),
+    compressor(-10, 3.5, 0.008, 0.05, 1.5, 1.5),
+    limiter(0.95, 0.03)
+  ],
+
+  // Extra low-end weight, less when the bass is already unstable
+  'bass-boost': [
+    monoBass(),
+    dynamicEQ(70, 0.9, -30, 1.5, 0.01, 0.25, 4, [
+      { param: 'gain', rule: 'step', metric: 'bassStability', above: 0.55, value: 2 }
+    ]),
+    compressor(-12, 2.5, 0.01, 0.15, 2.0, 1.0),
+    softClipper(1.3, 0.8),
+    limiter(0.95, 0.05)
+  ],
+
+  // Intelligibility: clear low-mid mud, lift presence, tame sibilance
+  'vocal-clarity': [
+    dynamicEQ(250, 1.5, -16, 3.0, 0.005, 0.15, -3, [
+      { param: 'gain', rule: 'linear', metric: 'mud', scale: -15, max: -3, min: -8 }
+    ]),
+    dynamicEQ(3000, 1.5, -15, 2.5, 0.002, 0.05, 3, [
+      { param: 'gain', rule: 'step', metric: 'vocalDominance', below: 0.06, value: 4 }
+    ]),
+    dynamicEQ(6500, 3.0, -18, 3.0, 0.001, 0.05, -3, [
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -40, max: -3, min: -8 }
+    ]),
+    compressor(-12, 2.5, 0.003, 0.08, 2.0, 1.2),
+    limiter(0.95, 0.05)
+  ],
+
+  // -14 LUFS streaming: light compression, dynamics kept, sample peaks held near -1 dBFS
+  // (a true-peak ceiling is the export limiter's job)
+  'streaming-optimized': [
+    compressor(-18, 1.8, 0.01, 0.2, 4.0, 0.5),
+    limiter(0.89, 0.08)
+  ],
+
+  // Broadcast: dense and clean, mud and harshness controlled, mono-friendly image
+  'radio-ready': [
+    monoBass(),
+    midSide(0.9),
+    dynamicEQ(250, 1.5, -16, 3.0, 0.005, 0.15, -3),
+    dynamicEQ(3500, 2.0, -14, 3.0, 0.003, 0.1, -3, [
+      { param: 'gain', rule: 'linear', metric: 'harshness', scale: -40, max: -3, min: -8 }
+    ]),
+    compressor(-9, 3.5, 0.002, 0.05, 1.5, 2.5),
+    softClipper(1.5, 0.85),
+    limiter(0.97, 0.02)
+  ],
+
+  // As loud as it goes for competitive releases
+  'competitive-loud': [
+    monoBass(),
+    compressor(-5, 5.0, 0.001, 0.02, 0.8, 4.5),
+    softClipper(2.2, 0.9),
+    limiter(0.99, 0.005)
+  ]
+};
+
+/**
+ * Every implemented catalogue preset ({ intent, loudnessTarget, chain }), by name in catalogue order
+ */
+export const PRESET_DEFINITIONS = Object.fromEntries(getAllPresets()
+  .filter(preset => PRESET_CHAINS[preset.id])
+  .map(preset => [preset.name, {
+    intent: preset.intent,
+    loudnessTarget: preset.loudnessTarget,
+    chain: PRESET_CHAINS[preset.id]
+  }]));
+
+/**
+ * Catalogue entries with no processing chain (none, unless the catalogue gains an entry first)
+ */
+export function getUnimplementedPresets() {
+  return getAllPresets().filter(preset => !PRESET_CHAINS[preset.id]);
+}
+
+/**
+ * Definition for a preset name, or null
+ */
+export function getPresetDefinition(presetName) {
+  return Object.hasOwn(PRESET_DEFINITIONS, presetName) ? PRESET_DEFINITIONS[presetName] : null;
+}
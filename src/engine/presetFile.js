@@ -0,0 +1,270 @@
+/**
+ * Preset File Format
+ * Versioned `.tmpreset` JSON for sharing presets between machines:
+ *
+ * {
+ *   "format": "trapmasterpro-preset",
+ *   "version": 4,
+ *   "name": "Late Night Vocal",
+ *   "intent": "...",
+ *   "category": "Creative",            // a category name from presetCategories.js
+ *   "tags": ["vocal", "smooth"],
+ *   "loudnessTarget": -9,
+ *   "intensity": 1,                    // intensity macro, 0-1.5
+ *   "chain": [
+ *     { "module": "compressor", "enabled": true, "params": { ... }, "adapt": [ ... ] },
+ *     { "module": "limiter", "morph": { "amount": 0.3, "from": { stage }, "to": { stage } } },
+ *     { "module": "monoBass", "weight": 0.3, "params": { ... } }
+ *   ]
+ * }
+ *
+ * Version 1 is a bare preset definition ({ intent, loudnessTarget, chain }) as the preset
+ * editor stores it, with no format marker. Version 2 has no intensity and version 3 no morph
+ * stages or stage weights. All are migrated on import.
+ */
+
+import { PRESET_MODULES, ADAPTATION_RULES, PRESET_INTENSITY_RANGE } from './presetGraph.js';
+import { PRESET_CATEGORIES, getAllPresets } from './presetCategories.js';
+
+export const PRESET_FILE_FORMAT = 'trapmasterpro-preset';
+export const PRESET_FILE_VERSION = 4;
+export const PRESET_FILE_EXTENSION = '.tmpreset';
+
+const DEFAULT_CATEGORY = PRESET_CATEGORIES.CREATIVE.name;
+const CATEGORY_NAMES = Object.values(PRESET_CATEGORIES).map(category => category.name);
+const LOUDNESS_RANGE = { min: -30, max: 0 };
+
+/**
+ * Category and tags for a preset: its own, else its catalogue entry's, else the defaults
+ */
+export function getPresetMetadata(name, definition) {
+  const entry = getAllPresets().find(preset => preset.name === name);
+  return {
+    category: definition.category || entry?.category || DEFAULT_CATEGORY,
+    tags: definition.tags || entry?.tags || []
+  };
+}
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+  1: (file, fallbackName) => {
+    const metadata = getPresetMetadata(file.name || fallbackName, file);
+    return {
+      format: PRESET_FILE_FORMAT,
+      version: 2,
+      name: file.name || fallbackName,
+      intent: file.intent,
+      category: metadata.category,
+      tags: metadata.tags,
+      loudnessTarget: file.loudnessTarget,
+      intensity: file.intensity,
+      chain: file.chain
+    };
+  },
+  2: (file) => ({
+    ...file,
+    version: 3,
+    intensity: file.intensity ?? PRESET_INTENSITY_RANGE.default
+  }),
+  // Morph stages and weights are new; version 3 chains are valid as they are
+  3: (file) => ({ ...file, version: 4 })
+};
+
+function serializeStage(stage) {
+  return {
+    module: stage.module,
+    enabled: stage.enabled !== false,
+    ...(stage.weight !== undefined ? { weight: stage.weight } : {}),
+    ...(stage.morph
+      ? { morph: { amount: stage.morph.amount, from: serializeStage(stage.morph.from), to: serializeStage(stage.morph.to) } }
+      : { params: stage.params, ...(stage.adapt?.length ? { adapt: stage.adapt } : {}) })
+  };
+}
+
+/**
+ * File contents for a preset definition
+ */
+export function serializePresetFile(name, definition) {
+  const { category, tags } = getPresetMetadata(name, definition);
+
+  return JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    name,
+    intent: definition.intent || '',
+    category,
+    tags,
+    loudnessTarget: definition.loudnessTarget,
+    intensity: definition.intensity ?? PRESET_INTENSITY_RANGE.default,
+    chain: definition.chain.map(serializeStage)
+  }, null, 2);
+}
+
+/**
+ * File name for an exported preset
+ */
+export function getPresetFileName(name) {
+  const safeName = name.replace(/[^\w\- &]+/g, '').trim() || 'preset';
+  return `${safeName}${PRESET_FILE_EXTENSION}`;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Own keys only, so names like "constructor" from a file are unknown rather than Object's
+const lookup = (table, key) => (typeof key === 'string' && Object.hasOwn(table, key) ? table[key] : undefined);
+
+function validateStage(stage, where, errors) {
+  const module = lookup(PRESET_MODULES, stage?.module);
+  if (!module) {
+    errors.push(`${where}: unknown module "${stage?.module}"`);
+    return null;
+  }
+
+  if (stage.weight !== undefined && (!isNumber(stage.weight) || stage.weight < 0 || stage.weight > 1)) {
+    errors.push(`${where}: weight must be a number from 0 to 1`);
+  }
+  const shared = {
+    module: stage.module,
+    ...(stage.enabled === false ? { enabled: false } : {}),
+    ...(stage.weight !== undefined ? { weight: stage.weight } : {})
+  };
+
+  // Morph stage: both sides are stages of the same module
+  if (stage.morph !== undefined) {
+    const { amount, from, to } = stage.morph || {};
+    if (!isNumber(amount) || amount < 0 || amount > 1) {
+      errors.push(`${where}.morph: amount must be a number from 0 to 1`);
+    }
+    [['from', from], ['to', to]].forEach(([side, sideStage]) => {
+      if (sideStage?.module !== stage.module) {
+        errors.push(`${where}.morph.${side}: module must be "${stage.module}"`);
+      }
+    });
+    return {
+      ...shared,
+      morph: {
+        amount,
+        from: validateStage(from, `${where}.morph.from`, errors),
+        to: validateStage(to, `${where}.morph.to`, errors)
+      }
+    };
+  }
+
+  // Every parameter present and in range; missing ones take the module default
+  const params = {};
+  const given = stage.params || {};
+  Object.keys(given).forEach(name => {
+    if (!module.params.some(param => param.name === name)) {
+      errors.push(`${where}: ${stage.module} has no parameter "${name}"`);
+    }
+  });
+  module.params.forEach(param => {
+    const value = given[param.name] ?? param.default;
+    if (!isNumber(value) || value < param.min || value > param.max) {
+      errors.push(`${where}: ${param.name} must be a number from ${param.min} to ${param.max}`);
+    }
+    params[param.name] = value;
+  });
+
+  const adapt = stage.adapt || [];
+  if (!Array.isArray(adapt)) {
+    errors.push(`${where}: adapt must be a list`);
+    return null;
+  }
+  adapt.forEach((rule, r) => {
+    if (!lookup(ADAPTATION_RULES, rule?.rule)) {
+      errors.push(`${where}.adapt[${r}]: unknown rule "${rule?.rule}"`);
+    }
+    if (!module.params.some(param => param.name === rule?.param)) {
+      errors.push(`${where}.adapt[${r}]: ${stage.module} has no parameter "${rule?.param}"`);
+    }
+    if (typeof rule?.metric !== 'string') {
+      errors.push(`${where}.adapt[${r}]: metric is required`);
+    }
+    ['scale', 'min', 'max', 'above', 'below', 'value', 'fallback'].forEach(key => {
+      if (rule?.[key] !== undefined && !isNumber(rule[key])) {
+        errors.push(`${where}.adapt[${r}]: ${key} must be a number`);
+      }
+    });
+  });
+
+  return {
+    ...shared,
+    params,
+    ...(adapt.length ? { adapt } : {})
+  };
+}
+
+/**
+ * Parse, migrate and validate a preset file. Returns { name, definition } or throws with
+ * every problem found. `fallbackName` names version 1 files, which carry no name.
+ */
+export function parsePresetFile(text, fallbackName = 'Imported Preset') {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Preset file is not valid JSON');
+  }
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw new Error('Preset file must contain a preset object');
+  }
+
+  if (file.format === undefined && file.version === undefined) {
+    file = { ...file, version: 1 };
+  } else if (file.format !== PRESET_FILE_FORMAT) {
+    throw new Error(`Not a ${PRESET_FILE_EXTENSION} preset file`);
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error(`Unknown preset file version "${file.version}"`);
+  }
+  if (file.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset file version ${file.version} is newer than this app supports (${PRESET_FILE_VERSION})`);
+  }
+  while (file.version < PRESET_FILE_VERSION) {
+    file = MIGRATIONS[file.version](file, fallbackName);
+  }
+
+  const errors = [];
+  const name = typeof file.name === 'string' ? file.name.trim() : '';
+  if (!name) {
+    errors.push('name is required');
+  }
+  if (file.intent !== undefined && typeof file.intent !== 'string') {
+    errors.push('intent must be text');
+  }
+  if (!CATEGORY_NAMES.includes(file.category)) {
+    errors.push(`category must be one of ${CATEGORY_NAMES.join(', ')}`);
+  }
+  if (!Array.isArray(file.tags) || file.tags.some(tag => typeof tag !== 'string')) {
+    errors.push('tags must be a list of text');
+  }
+  if (!isNumber(file.loudnessTarget) || file.loudnessTarget < LOUDNESS_RANGE.min || file.loudnessTarget > LOUDNESS_RANGE.max) {
+    errors.push(`loudnessTarget must be a number from ${LOUDNESS_RANGE.min} to ${LOUDNESS_RANGE.max} LUFS`);
+  }
+  if (!isNumber(file.intensity) || file.intensity < PRESET_INTENSITY_RANGE.min || file.intensity > PRESET_INTENSITY_RANGE.max) {
+    errors.push(`intensity must be a number from ${PRESET_INTENSITY_RANGE.min} to ${PRESET_INTENSITY_RANGE.max}`);
+  }
+  if (!Array.isArray(file.chain) || file.chain.length === 0) {
+    errors.push('chain must list at least one module');
+  }
+  const chain = Array.isArray(file.chain) ? file.chain.map((stage, i) => validateStage(stage, `chain[${i}]`, errors)) : [];
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid preset file: ${errors.join('; ')}`);
+  }
+
+  return {
+    name,
+    definition: {
+      intent: file.intent || '',
+      loudnessTarget: file.loudnessTarget,
+      intensity: file.intensity,
+      category: file.category,
+      tags: [...new Set(file.tags.map(tag => tag.trim()).filter(Boolean))],
+      chain
+    }
+  };
+}
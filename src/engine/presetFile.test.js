@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePresetFile, serializePresetFile, PRESET_FILE_FORMAT, PRESET_FILE_VERSION } from './presetFile.js';
+import { createPresetStage } from './presetGraph.js';
+
+const COMPRESSOR = {
+  module: 'compressor',
+  params: { threshold: -18, ratio: 3, attack: 0.01, release: 0.15, knee: 4, makeupGain: 1.5 }
+};
+const LIMITER = { module: 'limiter', params: { ceiling: 0.95, release: 0.05 } };
+const HARSHNESS_EQ = {
+  module: 'dynamicEQ',
+  params: { frequency: 3500, q: 2, threshold: -14, ratio: 3, attack: 0.003, release: 0.1, gain: -3 },
+  adapt: [{ param: 'gain', rule: 'linear', metric: 'harshness', scale: -40, max: -3, min: -8 }]
+};
+
+// Saved by each older version of the app
+const FIXTURES = {
+  // Version 1: the preset editor's bare definition, named by its file
+  1: { intent: 'Tame the low end', loudnessTarget: -10, chain: [COMPRESSOR, LIMITER] },
+  // Version 2: format marker, name and metadata, no intensity
+  2: {
+    format: PRESET_FILE_FORMAT,
+    version: 2,
+    name: 'Late Night Vocal',
+    intent: 'Smooth vocal glue',
+    category: 'Genre',
+    tags: ['vocal', ' smooth ', 'vocal'],
+    loudnessTarget: -11,
+    chain: [HARSHNESS_EQ, LIMITER]
+  },
+  // Version 3: intensity, no morph stages or weights
+  3: {
+    format: PRESET_FILE_FORMAT,
+    version: 3,
+    name: 'Half Glue',
+    intent: '',
+    category: 'Loudness',
+    tags: [],
+    loudnessTarget: -9,
+    intensity: 0.5,
+    chain: [{ ...COMPRESSOR, enabled: false }, LIMITER]
+  }
+};
+
+const importFixture = (version, fallbackName) => parsePresetFile(JSON.stringify(FIXTURES[version]), fallbackName);
+
+test('version 1 files are named by their file and take catalogue metadata', () => {
+  const { name, definition } = importFixture(1, 'Bass Tamer');
+  assert.equal(name, 'Bass Tamer');
+  assert.deepEqual(definition, {
+    intent: 'Tame the low end',
+    loudnessTarget: -10,
+    intensity: 1,
+    category: 'Frequency',
+    tags: ['bass', 'low-end', 'control', 'stability'],
+    chain: [COMPRESSOR, LIMITER]
+  });
+
+  // Names outside the catalogue get the default category and no tags
+  const custom = importFixture(1, 'My Old Preset');
+  assert.equal(custom.definition.category, 'Creative');
+  assert.deepEqual(custom.definition.tags, []);
+});
+
+test('version 2 files gain the default intensity', () => {
+  const { name, definition } = importFixture(2);
+  assert.equal(name, 'Late Night Vocal');
+  assert.deepEqual(definition, {
+    intent: 'Smooth vocal glue',
+    loudnessTarget: -11,
+    intensity: 1,
+    category: 'Genre',
+    tags: ['vocal', 'smooth'],
+    chain: [HARSHNESS_EQ, LIMITER]
+  });
+});
+
+test('version 3 files keep their chain and intensity', () => {
+  const { name, definition } = importFixture(3);
+  assert.equal(name, 'Half Glue');
+  assert.equal(definition.intensity, 0.5);
+  assert.deepEqual(definition.chain, [{ ...COMPRESSOR, enabled: false }, LIMITER]);
+});
+
+test('missing parameters take the module defaults', () => {
+  const { definition } = parsePresetFile(JSON.stringify({ ...FIXTURES[1], chain: [{ module: 'limiter' }] }));
+  assert.deepEqual(definition.chain, [createPresetStage('limiter')]);
+});
+
+test('exported files import back unchanged, morph stages and weights included', () => {
+  const definition = {
+    intent: 'Morph',
+    loudnessTarget: -8,
+    intensity: 1.2,
+    category: 'Creative',
+    tags: ['morph'],
+    chain: [
+      { ...HARSHNESS_EQ, weight: 0.4 },
+      { module: 'limiter', morph: { amount: 0.3, from: LIMITER, to: { module: 'limiter', params: { ceiling: 0.9, release: 0.1 } } } }
+    ]
+  };
+  const text = serializePresetFile('Morph', definition);
+  assert.equal(JSON.parse(text).version, PRESET_FILE_VERSION);
+  assert.deepEqual(parsePresetFile(text), { name: 'Morph', definition });
+});
+
+test('malformed files are rejected with a readable error', () => {
+  const valid = { ...FIXTURES[3] };
+  const rejects = (text, pattern) => assert.throws(() => parsePresetFile(text), (error) => {
+    assert.equal(error.constructor, Error);
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  rejects('{ not json', /not valid JSON/);
+  rejects('null', /must contain a preset object/);
+  rejects('[]', /must contain a preset object/);
+  rejects(JSON.stringify({ ...valid, format: 'something-else' }), /Not a \.tmpreset preset file/);
+  rejects(JSON.stringify({ ...valid, version: '3' }), /Unknown preset file version/);
+  rejects(JSON.stringify({ ...valid, version: PRESET_FILE_VERSION + 1 }), /newer than this app supports/);
+  rejects(JSON.stringify({ ...valid, name: ' ' }), /name is required/);
+  rejects(JSON.stringify({ ...valid, category: 'Misc' }), /category must be one of/);
+  rejects(JSON.stringify({ ...valid, tags: null }), /tags must be a list of text/);
+  rejects(JSON.stringify({ ...valid, loudnessTarget: 3 }), /loudnessTarget must be a number from -30 to 0/);
+  rejects(JSON.stringify({ ...valid, intensity: 2 }), /intensity must be a number from 0 to 1.5/);
+  rejects(JSON.stringify({ ...valid, chain: [] }), /chain must list at least one module/);
+  rejects(JSON.stringify({ ...valid, chain: [null] }), /chain\[0\]: unknown module/);
+  rejects(JSON.stringify({ ...valid, chain: [{ module: 'constructor' }] }), /unknown module "constructor"/);
+  rejects(JSON.stringify({ ...valid, chain: [{ module: 'limiter', params: { ceiling: 2 } }] }), /ceiling must be a number from 0.5 to 1/);
+  rejects(JSON.stringify({ ...valid, chain: [{ module: 'limiter', params: { drive: 2 } }] }), /limiter has no parameter "drive"/);
+  rejects(JSON.stringify({ ...valid, chain: [{ ...LIMITER, adapt: [{ param: 'ceiling', rule: 'toString', metric: 'mud' }] }] }), /unknown rule "toString"/);
+  rejects(JSON.stringify({ ...valid, chain: [{ ...LIMITER, weight: 1.5 }] }), /weight must be a number from 0 to 1/);
+  rejects(JSON.stringify({ ...valid, chain: [{ module: 'limiter', morph: { amount: 0.5, from: LIMITER, to: COMPRESSOR } }] }), /morph\.to: module must be "limiter"/);
+
+  // Every problem is reported at once
+  rejects(JSON.stringify({ ...valid, name: '', intensity: -1 }), /name is required; intensity must be/);
+});
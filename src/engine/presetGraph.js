@@ -0,0 +1,437 @@
+/**
+ * Preset Graph
+ * Turns a declarative preset (a chain of modules with parameters and analysis-driven
+ * adaptations) into a processing graph. The offline renderer and the real-time chain
+ * both build from here, so what is auditioned is what gets exported.
+ */
+
+import { AdaptiveCompressor, DynamicEQ, SoftClipper, Limiter, MidSideProcessor, MonoBassProcessor } from './dspModules.js';
+import { AdvancedPitchCorrector } from './advancedPitchCorrector.js';
+
+/**
+ * Modules a preset chain can use. Stereo modules take the (left, right) pair and are
+ * skipped on mono buffers; the others run left then right through one shared instance,
+ * with the channel index for modules that keep per-channel filter state.
+ * `params` lists every editable parameter with its range and default, and for parameters
+ * the intensity macro moves, how it scales them (see INTENSITY_SCALES). Morphs interpolate
+ * linearly (dB, ratios, widths) unless `morph: 'geometric'` (frequencies, times, linear gains).
+ */
+export const PRESET_MODULES = {
+  dynamicEQ: {
+    label: 'Dynamic EQ',
+    stereo: false,
+    params: [
+      { name: 'frequency', label: 'Frequency', min: 20, max: 20000, step: 1, unit: 'Hz', scale: 'log', default: 3000, morph: 'geometric' },
+      { name: 'q', label: 'Q', min: 0.1, max: 10, step: 0.1, default: 1.5, morph: 'geometric' },
+      { name: 'threshold', label: 'Threshold', min: -60, max: 0, step: 0.5, unit: 'dB', default: -12 },
+      { name: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.1, default: 3 },
+      { name: 'attack', label: 'Attack', min: 0.0005, max: 0.1, step: 0.0005, unit: 's', default: 0.003, morph: 'geometric' },
+      { name: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, unit: 's', default: 0.1, morph: 'geometric' },
+      { name: 'gain', label: 'Max gain', min: -24, max: 24, step: 0.5, unit: 'dB', default: -6, intensity: 'amount' }
+    ],
+    create: (params, sampleRate) => {
+      const eq = new DynamicEQ(params.frequency, params.q, params.threshold, params.ratio, params.attack, params.release, params.gain);
+      eq.setSampleRate(sampleRate);
+      return eq;
+    },
+    update: (eq, params) => eq.setParams(params),
+    process: (eq, sample, channel) => eq.process(sample, sample, channel)
+  },
+
+  compressor: {
+    label: 'Compressor',
+    stereo: false,
+    params: [
+      { name: 'threshold', label: 'Threshold', min: -60, max: 0, step: 0.5, unit: 'dB', default: -12 },
+      { name: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.1, default: 2.5, intensity: 'fromUnity' },
+      { name: 'attack', label: 'Attack', min: 0.0005, max: 0.1, step: 0.0005, unit: 's', default: 0.005, morph: 'geometric' },
+      { name: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, unit: 's', default: 0.1, morph: 'geometric' },
+      { name: 'knee', label: 'Knee', min: 0, max: 12, step: 0.1, unit: 'dB', default: 2 },
+      { name: 'makeupGain', label: 'Makeup', min: 0, max: 12, step: 0.1, unit: 'dB', default: 1, intensity: 'amount' }
+    ],
+    create: (params, sampleRate) => {
+      const compressor = new AdaptiveCompressor(params.threshold, params.ratio, params.attack, params.release, params.knee, params.makeupGain);
+      compressor.setSampleRate(sampleRate);
+      compressor.syncRelease(params.tempoSync);
+      return compressor;
+    },
+    update: (compressor, params) => {
+      const { tempoSync, ...rest } = params;
+      Object.assign(compressor, rest, { baseThreshold: rest.threshold, baseRelease: rest.release });
+      compressor.syncRelease(tempoSync);
+    },
+    process: (compressor, sample) => compressor.process(sample)
+  },
+
+  softClipper: {
+    label: 'Soft Clipper',
+    stereo: false,
+    params: [
+      { name: 'drive', label: 'Drive', min: 1, max: 4, step: 0.05, unit: 'x', default: 1.3, intensity: 'fromUnity' },
+      { name: 'threshold', label: 'Threshold', min: 0.1, max: 0.99, step: 0.01, default: 0.8, intensity: 'toMax', morph: 'geometric' }
+    ],
+    create: (params) => new SoftClipper(params.drive, params.threshold),
+    update: (clipper, params) => Object.assign(clipper, params),
+    process: (clipper, sample) => clipper.process(sample)
+  },
+
+  limiter: {
+    label: 'Limiter',
+    stereo: false,
+    params: [
+      { name: 'ceiling', label: 'Ceiling', min: 0.5, max: 1, step: 0.01, default: 0.95, intensity: 'toMax', morph: 'geometric' },
+      { name: 'release', label: 'Release', min: 0.001, max: 0.5, step: 0.001, unit: 's', default: 0.05, morph: 'geometric' }
+    ],
+    create: (params, sampleRate) => {
+      const limiter = new Limiter(params.ceiling, params.release);
+      limiter.setSampleRate(sampleRate);
+      return limiter;
+    },
+    update: (limiter, params) => Object.assign(limiter, params),
+    process: (limiter, sample) => limiter.process(sample)
+  },
+
+  gain: {
+    label: 'Gain',
+    stereo: false,
+    params: [
+      { name: 'gain', label: 'Gain', min: 0.25, max: 2, step: 0.01, unit: 'x', default: 1, intensity: 'exponent', morph: 'geometric' }
+    ],
+    create: (params) => ({ gain: params.gain }),
+    update: (stage, params) => Object.assign(stage, params),
+    process: (stage, sample) => sample * stage.gain
+  },
+
+  midSide: {
+    label: 'Mid/Side Width',
+    stereo: true,
+    params: [
+      { name: 'width', label: 'Width', min: 0, max: 2, step: 0.05, default: 1, intensity: 'fromUnity' }
+    ],
+    create: (params) => new MidSideProcessor(params.width),
+    update: (midSide, params) => Object.assign(midSide, params),
+    process: (midSide, left, right) => midSide.process(left, right)
+  },
+
+  monoBass: {
+    label: 'Mono Bass',
+    stereo: true,
+    params: [
+      { name: 'cutoff', label: 'Cutoff', min: 40, max: 300, step: 1, unit: 'Hz', default: 120, morph: 'geometric' }
+    ],
+    create: (params, sampleRate) => new MonoBassProcessor(params.cutoff, sampleRate),
+    // Filter state carries over; the crossover glides to the new cutoff
+    update: (monoBass, params) => monoBass.setCutoff(params.cutoff),
+    process: (monoBass, left, right) => monoBass.process(left, right)
+  },
+
+  pitchCorrector: {
+    label: 'Pitch Corrector',
+    stereo: false,
+    params: [
+      { name: 'threshold', label: 'Threshold', min: 5, max: 100, step: 1, unit: 'cents', default: 25 },
+      { name: 'retuneSpeed', label: 'Retune speed', min: 0.01, max: 1, step: 0.01, default: 0.2, intensity: 'amount' }
+    ],
+    create: (params, sampleRate) => {
+      const pitchCorrector = new AdvancedPitchCorrector(params.threshold, params.retuneSpeed, sampleRate);
+      pitchCorrector.setScale(params.scale);
+      return pitchCorrector;
+    },
+    update: (pitchCorrector, params) => {
+      pitchCorrector.threshold = params.threshold;
+      pitchCorrector.retuneSpeed = params.retuneSpeed;
+      pitchCorrector.setScale(params.scale);
+    },
+    process: (pitchCorrector, sample) => pitchCorrector.processSample(sample)
+  }
+};
+
+/**
+ * New chain stage for a module with default parameters
+ */
+export function createPresetStage(module) {
+  const params = {};
+  PRESET_MODULES[module].params.forEach(param => {
+    params[param.name] = param.default;
+  });
+  return { module, params };
+}
+
+/**
+ * Analysis value at a dotted path (e.g. 'spectralBalance.high'), or the fallback
+ */
+function readMetric(analysisData, path, fallback) {
+  const value = path.split('.').reduce((object, key) => (object ? object[key] : undefined), analysisData);
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Adaptation rules: compute a parameter from one analysis metric
+ * - linear: metric * scale, clamped to [min, max]
+ * - step: value when the metric is above/below a limit, otherwise the configured parameter
+ * - excess: value + (metric - above) * scale once the metric passes `above`, otherwise the configured parameter
+ */
+export const ADAPTATION_RULES = {
+  linear: (metric, rule) => Math.min(rule.max ?? Infinity, Math.max(rule.min ?? -Infinity, metric * rule.scale)),
+  step: (metric, rule, base) => {
+    const passed = rule.above !== undefined ? metric > rule.above : metric < rule.below;
+    return passed ? rule.value : base;
+  },
+  excess: (metric, rule, base) => (metric > rule.above ? rule.value + (metric - rule.above) * rule.scale : base)
+};
+
+// Preset intensity macro: 0 (bypass-like: mono bass stays, otherwise nothing below full scale
+// is touched) to 1.5 (150%), 1 = the preset as designed
+export const PRESET_INTENSITY_RANGE = { min: 0, max: 1.5, default: 1 };
+
+/**
+ * How the intensity macro (k) moves a parameter, each reaching "no effect" at k = 0:
+ * - amount: value * k (dB gains, makeup, retune speed)
+ * - fromUnity: 1 + (value - 1) * k (ratios, drive, width)
+ * - exponent: value ^ k (linear gain factors)
+ * - toMax: max + (value - max) * k (clipper thresholds, limiter ceilings; at the top of their
+ *   range they only catch overs of full scale)
+ * Results stay within the parameter's range; amounts may go down to 0.
+ */
+const INTENSITY_SCALES = {
+  amount: (value, k) => value * k,
+  fromUnity: (value, k) => 1 + (value - 1) * k,
+  exponent: (value, k) => Math.pow(value, k),
+  toMax: (value, k, param) => param.max + (value - param.max) * k
+};
+
+const hasIntensity = (module) => PRESET_MODULES[module].params.some(param => param.intensity);
+
+function applyIntensity(module, params, intensity) {
+  PRESET_MODULES[module].params.forEach(param => {
+    if (!param.intensity) return;
+    const min = param.intensity === 'amount' ? Math.min(param.min, 0) : param.min;
+    const value = INTENSITY_SCALES[param.intensity](params[param.name], intensity, param);
+    params[param.name] = Math.min(param.max, Math.max(min, value));
+  });
+}
+
+/**
+ * Parameters between two resolved stages: `amount` 0 = from, 1 = to
+ */
+function interpolateParams(module, from, to, amount) {
+  const params = { ...from };
+  PRESET_MODULES[module].params.forEach(param => {
+    const a = from[param.name];
+    const b = to[param.name];
+    params[param.name] = param.morph === 'geometric'
+      ? a * Math.pow(b / a, amount)
+      : a + (b - a) * amount;
+  });
+  return params;
+}
+
+/**
+ * Parameters of one stage with its adaptations applied. A morph stage
+ * ({ module, morph: { amount, from, to } }) resolves both sides and interpolates;
+ * `weight` scales the stage like the intensity macro (stages only one side of a morph has).
+ */
+function resolveStage(stage, analysisData) {
+  let params;
+  if (stage.morph) {
+    const { amount, from, to } = stage.morph;
+    params = interpolateParams(stage.module, resolveStage(from, analysisData), resolveStage(to, analysisData), amount);
+  } else {
+    params = { ...stage.params };
+    (stage.adapt || []).forEach(rule => {
+      const metric = readMetric(analysisData, rule.metric, rule.fallback ?? 0);
+      params[rule.param] = ADAPTATION_RULES[rule.rule](metric, rule, params[rule.param]);
+    });
+  }
+
+  if (stage.weight !== undefined) {
+    applyIntensity(stage.module, params, stage.weight);
+  }
+  return params;
+}
+
+/**
+ * A stage's parameters as set, before any analysis (morphs interpolated, weight not applied)
+ */
+export function getStageParams(stage) {
+  if (stage.morph) {
+    const { amount, from, to } = stage.morph;
+    return interpolateParams(stage.module, getStageParams(from), getStageParams(to), amount);
+  }
+  return { ...createPresetStage(stage.module).params, ...stage.params };
+}
+
+/**
+ * Stage with one parameter set (on both sides of a morph, so the morph lands on the value)
+ */
+export function setStageParam(stage, name, value) {
+  if (stage.morph) {
+    const { from, to } = stage.morph;
+    return { ...stage, morph: { ...stage.morph, from: setStageParam(from, name, value), to: setStageParam(to, name, value) } };
+  }
+  return { ...stage, params: { ...stage.params, [name]: value } };
+}
+
+/**
+ * Plain parameters for every stage of a preset, with adaptations applied for this analysis,
+ * the preset's intensity macro, and the musical sync options (tempo-synced compressor release,
+ * key-aware pitch correction). Disabled stages are dropped. Returns [{ module, params }],
+ * safe to post to the audio worklet.
+ */
+export function resolvePresetChain(definition, analysisData, musicalSync = {}) {
+  const bpm = musicalSync.tempoRelease ? analysisData?.tempo?.bpm || null : null;
+  const scale = musicalSync.keyAwarePitch ? analysisData?.key?.scale || null : null;
+  const intensity = definition.intensity ?? PRESET_INTENSITY_RANGE.default;
+
+  // Stages switched off in the editor are left out of the graph, as are stages weighted 0
+  // and weighted stages with nothing to scale (e.g. mono bass) once they weigh less than half
+  const stages = definition.chain.filter(stage => stage.enabled !== false
+    && (stage.weight === undefined || (stage.weight > 0 && (stage.weight >= 0.5 || hasIntensity(stage.module)))));
+
+  return stages.map(stage => {
+    const params = resolveStage(stage, analysisData);
+
+    if (intensity !== PRESET_INTENSITY_RANGE.default) {
+      applyIntensity(stage.module, params, intensity);
+    }
+
+    if (stage.module === 'compressor') params.tempoSync = bpm;
+    if (stage.module === 'pitchCorrector') params.scale = scale;
+
+    return { module: stage.module, params };
+  });
+}
+
+/**
+ * Module list of a resolved chain, for telling whether two chains share a graph layout
+ */
+export function getChainModules(chain) {
+  return chain.map(({ module }) => module).join();
+}
+
+/**
+ * Deep copy of a module instance's state (typed arrays, arrays, nested objects), keeping prototypes
+ */
+function cloneState(value) {
+  if (ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneState);
+  }
+  if (value && typeof value === 'object') {
+    const copy = Object.create(Object.getPrototypeOf(value));
+    Object.keys(value).forEach(key => {
+      copy[key] = cloneState(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+export class PresetGraph {
+  constructor(chain, sampleRate) {
+    this.sampleRate = sampleRate;
+    this.modules = getChainModules(chain);
+    this.stages = chain.map(({ module, params }) => {
+      const type = PRESET_MODULES[module];
+      if (!type) {
+        throw new Error(`Unknown preset module "${module}"`);
+      }
+      return { type, instance: type.create(params, sampleRate) };
+    });
+    this.frame = { left: 0, right: 0 };
+  }
+
+  /**
+   * New parameters for the same chain (e.g. the next section), keeping filter and envelope state
+   */
+  update(chain) {
+    chain.forEach(({ params }, i) => {
+      const stage = this.stages[i];
+      stage.type.update(stage.instance, params);
+    });
+  }
+
+  /**
+   * Independent copy of this graph, filter and envelope state included, with new parameters
+   * for the same chain (what a crossfade switches to when only parameters change)
+   */
+  fork(chain) {
+    const graph = Object.create(PresetGraph.prototype);
+    graph.sampleRate = this.sampleRate;
+    graph.modules = this.modules;
+    graph.stages = this.stages.map(({ type, instance }) => ({ type, instance: cloneState(instance) }));
+    graph.frame = { left: 0, right: 0 };
+    graph.update(chain);
+    return graph;
+  }
+
+  /**
+   * One stereo frame through the chain, returned in the graph's own { left, right }
+   * (overwritten by the next call; nothing is allocated per sample)
+   */
+  processFrame(left, right) {
+    let l = left;
+    let r = right;
+    for (let s = 0; s < this.stages.length; s++) {
+      const { type, instance } = this.stages[s];
+      if (type.stereo) {
+        const result = type.process(instance, l, r);
+        l = result.left;
+        r = result.right;
+      } else {
+        l = type.process(instance, l, 0);
+        r = type.process(instance, r, 1);
+      }
+    }
+    this.frame.left = l;
+    this.frame.right = r;
+    return this.frame;
+  }
+
+  /**
+   * One mono sample through the chain (stereo modules skipped)
+   */
+  processSample(sample) {
+    let output = sample;
+    for (let s = 0; s < this.stages.length; s++) {
+      const { type, instance } = this.stages[s];
+      if (!type.stereo) {
+        output = type.process(instance, output, 0);
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Process a buffer in place: first two channels as a stereo pair, or the single mono channel
+   */
+  process(audioBuffer) {
+    const length = audioBuffer.length;
+
+    if (audioBuffer.numberOfChannels >= 2) {
+      const left = audioBuffer.getChannelData(0);
+      const right = audioBuffer.getChannelData(1);
+      for (let i = 0; i < length; i++) {
+        const frame = this.processFrame(left[i], right[i]);
+        left[i] = frame.left;
+        right[i] = frame.right;
+      }
+    } else {
+      const data = audioBuffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        data[i] = this.processSample(data[i]);
+      }
+    }
+
+    return audioBuffer;
+  }
+}
+
+/**
+ * Processing graph for a preset definition, adapted to the analysis
+ */
+export function buildPresetGraph(definition, analysisData, sampleRate, musicalSync) {
+  return new PresetGraph(resolvePresetChain(definition, analysisData, musicalSync), sampleRate);
+}
@@ -0,0 +1,74 @@
+/**
+ * Preset Morphing
+ * Blends two presets into one definition. Modules both chains share (matched in chain order)
+ * become morph stages that interpolate every parameter after adaptation; modules only one
+ * preset has are scaled by that preset's share, like the intensity macro.
+ */
+
+import { PRESET_INTENSITY_RANGE } from './presetGraph.js';
+import { getPresetMetadata } from './presetFile.js';
+
+const lerp = (a, b, amount) => a + (b - a) * amount;
+
+/**
+ * Weight a stage by a preset's share of the morph
+ */
+function weightStage(stage, share) {
+  return { ...stage, weight: (stage.weight ?? 1) * share };
+}
+
+/**
+ * Merged chain: the longest run of matching modules morphs, everything else is weighted in place
+ */
+function alignChains(from, to, amount) {
+  // lengths[i][j] = longest common module sequence of from[i..] and to[j..]
+  const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lengths[i][j] = from[i].module === to[j].module
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const chain = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length || j < to.length) {
+    if (i < from.length && j < to.length && from[i].module === to[j].module) {
+      chain.push({ module: from[i].module, morph: { amount, from: from[i], to: to[j] } });
+      i++;
+      j++;
+    } else if (j >= to.length || (i < from.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      chain.push(weightStage(from[i], 1 - amount));
+      i++;
+    } else {
+      chain.push(weightStage(to[j], amount));
+      j++;
+    }
+  }
+  return chain;
+}
+
+/**
+ * Definition between two presets: `amount` 0 = all `from`, 1 = all `to`
+ */
+export function morphPresets(fromName, from, toName, to, amount) {
+  const enabled = (definition) => definition.chain.filter(stage => stage.enabled !== false);
+  const fromMetadata = getPresetMetadata(fromName, from);
+  const toMetadata = getPresetMetadata(toName, to);
+  const percent = Math.round(amount * 100);
+
+  return {
+    intent: `${100 - percent}% ${fromName}, ${percent}% ${toName}`,
+    loudnessTarget: lerp(from.loudnessTarget, to.loudnessTarget, amount),
+    intensity: lerp(
+      from.intensity ?? PRESET_INTENSITY_RANGE.default,
+      to.intensity ?? PRESET_INTENSITY_RANGE.default,
+      amount
+    ),
+    category: (amount < 0.5 ? fromMetadata : toMetadata).category,
+    tags: [...new Set([...fromMetadata.tags, ...toMetadata.tags])],
+    chain: alignChains(enabled(from), enabled(to), amount)
+  };
+}
@@ -1,8 +1,12 @@
 /**
  * Professional-Grade DSP Modules
  * iZotope-level quality algorithms optimized for Trap-Soul, Hip-Hop, Trap, R&B
+ * Filters come from biquad.js
  */
 
+import { LinkwitzRileyCrossover } from './biquad.js';
+import { DynamicEQ } from './dspModules.js';
+
 /**
  * Advanced Multiband Compressor
  * Professional-grade multiband compression with look-ahead
@@ -18,60 +22,27 @@ export class MultibandCompressor {
     this.bands = bands;
     this.envelopes = bands.map(() => ({ value: 0 }));
     
-    // Create crossover filters
-    this.filters = this.createCrossoverFilters();
-  }
-
-  createCrossoverFilters() {
-    // Simplified crossover - full implementation would use proper filter design
-    return this.bands.map((band, i) => ({
-      lowpass: this.createButterworthFilter(band.freq, 'lowpass'),
-      highpass: i > 0 ? this.createButterworthFilter(this.bands[i-1].freq, 'highpass') : null
-    }));
-  }
-
-  createButterworthFilter(freq, type) {
-    const nyquist = this.sampleRate / 2;
-    const normalizedFreq = freq / nyquist;
-    const k = Math.tan(Math.PI * normalizedFreq);
-    const k2 = k * k;
-    const sqrt2k = Math.sqrt(2) * k;
-    
-    const a0 = 1 + sqrt2k + k2;
-    const a1 = 2 * (k2 - 1) / a0;
-    const a2 = (1 - sqrt2k + k2) / a0;
-    const b0 = type === 'lowpass' ? k2 / a0 : 1 / a0;
-    const b1 = type === 'lowpass' ? 2 * k2 / a0 : -2 / a0;
-    const b2 = type === 'lowpass' ? k2 / a0 : 1 / a0;
-    
-    return { b0, b1, b2, a1, a2, x1: 0, x2: 0, y1: 0, y2: 0 };
-  }
-
-  processFilter(filter, sample) {
-    const output = filter.b0 * sample + filter.b1 * filter.x1 + filter.b2 * filter.x2
-      - filter.a1 * filter.y1 - filter.a2 * filter.y2;
-    
-    filter.x2 = filter.x1;
-    filter.x1 = sample;
-    filter.y2 = filter.y1;
-    filter.y1 = output;
-    
-    return output;
+    // Band i covers what lies below its freq (4th-order Linkwitz-Riley splits); anything
+    // above the top band passes through uncompressed
+    this.crossovers = bands.map(band => new LinkwitzRileyCrossover(band.freq, sampleRate));
+    // Each band also runs through the all-passes of the splits above it, so the bands sum flat
+    this.phaseAligners = bands.map((band, i) =>
+      bands.slice(i + 1).map(upper => new LinkwitzRileyCrossover(upper.freq, sampleRate)));
   }
 
   process(sample) {
     let result = 0;
+    let rest = sample;
     
     for (let i = 0; i < this.bands.length; i++) {
       const band = this.bands[i];
-      let bandSignal = sample;
       
-      // Apply crossover filtering
-      if (i > 0 && this.filters[i].highpass) {
-        bandSignal = this.processFilter(this.filters[i].highpass, bandSignal);
-      }
-      if (this.filters[i].lowpass) {
-        bandSignal = this.processFilter(this.filters[i].lowpass, bandSignal);
+      // Split off this band
+      const split = this.crossovers[i].split(rest);
+      rest = split.high;
+      let bandSignal = split.low;
+      for (let a = 0; a < this.phaseAligners[i].length; a++) {
+        bandSignal = this.phaseAligners[i][a].process(bandSignal);
       }
       
       // Envelope follower
@@ -95,113 +66,23 @@ export class MultibandCompressor {
       result += bandSignal * gainLinear;
     }
     
-    return result;
+    return result + rest;
   }
 }
 
 /**
  * Advanced Dynamic EQ with Intelligent Detection
- * Frequency-dependent processing with smart detection
+ * Frequency-dependent processing with smart detection: the band-detecting DynamicEQ,
+ * detecting on the signal it processes
  */
-export class IntelligentDynamicEQ {
+export class IntelligentDynamicEQ extends DynamicEQ {
   constructor(frequency, q, threshold, ratio, attack, release, maxGain, sampleRate) {
-    this.frequency = frequency;
-    this.q = q;
-    this.threshold = threshold;
-    this.ratio = ratio;
-    this.attack = attack;
-    this.release = release;
-    this.maxGain = maxGain;
-    this.sampleRate = sampleRate;
-    
-    // Create bandpass filter for detection
-    this.detectorFilter = this.createBandpassFilter(frequency, q);
-    this.envelope = 0;
-    
-    // Create peaking EQ filter
-    this.eqFilter = this.createPeakingEQ(frequency, q);
-  }
-
-  createBandpassFilter(freq, q) {
-    const w = 2 * Math.PI * freq / this.sampleRate;
-    const cosw = Math.cos(w);
-    const sinw = Math.sin(w);
-    const alpha = sinw / (2 * q);
-    const b0 = alpha;
-    const b1 = 0;
-    const b2 = -alpha;
-    const a0 = 1 + alpha;
-    const a1 = -2 * cosw;
-    const a2 = 1 - alpha;
-    
-    return {
-      b0: b0 / a0, b1: b1 / a0, b2: b2 / a0,
-      a1: a1 / a0, a2: a2 / a0,
-      x1: 0, x2: 0, y1: 0, y2: 0
-    };
-  }
-
-  createPeakingEQ(freq, q) {
-    const A = Math.pow(10, this.maxGain / 40);
-    const w = 2 * Math.PI * freq / this.sampleRate;
-    const cosw = Math.cos(w);
-    const sinw = Math.sin(w);
-    const alpha = sinw / (2 * q);
-    const S = 1;
-    const b0 = 1 + alpha * A;
-    const b1 = -2 * cosw;
-    const b2 = 1 - alpha * A;
-    const a0 = 1 + alpha / A;
-    const a1 = -2 * cosw;
-    const a2 = 1 - alpha / A;
-    
-    return {
-      b0: b0 / a0, b1: b1 / a0, b2: b2 / a0,
-      a1: a1 / a0, a2: a2 / a0,
-      x1: 0, x2: 0, y1: 0, y2: 0
-    };
+    super(frequency, q, threshold, ratio, attack, release, maxGain);
+    this.setSampleRate(sampleRate);
   }
 
-  processFilter(filter, sample) {
-    const output = filter.b0 * sample + filter.b1 * filter.x1 + filter.b2 * filter.x2
-      - filter.a1 * filter.y1 - filter.a2 * filter.y2;
-    
-    filter.x2 = filter.x1;
-    filter.x1 = sample;
-    filter.y2 = filter.y1;
-    filter.y1 = output;
-    
-    return output;
-  }
-
-  process(sample) {
-    // Detect level in target frequency band
-    const detected = this.processFilter(this.detectorFilter, sample);
-    const detectedLevel = Math.abs(detected);
-    
-    // Envelope follower
-    const target = detectedLevel;
-    const coeff = target > this.envelope
-      ? Math.exp(-1 / (this.attack * this.sampleRate))
-      : Math.exp(-1 / (this.release * this.sampleRate));
-    
-    this.envelope = target + (this.envelope - target) * coeff;
-    
-    // Calculate gain reduction
-    const dbLevel = 20 * Math.log10(this.envelope + 1e-10);
-    let gainReduction = 0;
-    
-    if (dbLevel > this.threshold) {
-      const excess = dbLevel - this.threshold;
-      gainReduction = excess / this.ratio;
-      gainReduction = Math.min(gainReduction, Math.abs(this.maxGain));
-    }
-    
-    // Apply dynamic EQ
-    const currentGain = this.maxGain - gainReduction;
-    this.eqFilter.b0 = 1 + (Math.pow(10, currentGain / 40) - 1) * 0.5; // Simplified
-    
-    return this.processFilter(this.eqFilter, sample);
+  process(sample, channel = 0) {
+    return super.process(sample, sample, channel);
   }
 }
 
@@ -259,50 +140,17 @@ export class AdvancedStereoEnhancer {
     this.bassMonoFreq = bassMonoFreq;
     this.sampleRate = sampleRate;
     
-    // High-pass filter for side channel (bass stays mono)
-    this.highpass = this.createHighpassFilter(bassMonoFreq);
-  }
-
-  createHighpassFilter(freq) {
-    const nyquist = this.sampleRate / 2;
-    const normalizedFreq = freq / nyquist;
-    const k = Math.tan(Math.PI * normalizedFreq);
-    const k2 = k * k;
-    const sqrt2k = Math.sqrt(2) * k;
-    
-    const a0 = 1 + sqrt2k + k2;
-    return {
-      b0: 1 / a0,
-      b1: -2 / a0,
-      b2: 1 / a0,
-      a1: 2 * (k2 - 1) / a0,
-      a2: (1 - sqrt2k + k2) / a0,
-      x1: 0, x2: 0, y1: 0, y2: 0
-    };
-  }
-
-  processFilter(filter, sample) {
-    const output = filter.b0 * sample + filter.b1 * filter.x1 + filter.b2 * filter.x2
-      - filter.a1 * filter.y1 - filter.a2 * filter.y2;
-    
-    filter.x2 = filter.x1;
-    filter.x1 = sample;
-    filter.y2 = filter.y1;
-    filter.y1 = output;
-    
-    return output;
+    // Side split at the bass mono frequency (Linkwitz-Riley, so the halves sum back flat)
+    this.crossover = new LinkwitzRileyCrossover(bassMonoFreq, sampleRate);
   }
 
   process(left, right) {
     const mid = (left + right) * 0.5;
     const side = (left - right) * 0.5;
     
-    // Keep bass mono
-    const sideHigh = this.processFilter(this.highpass, side);
-    const sideLow = side - sideHigh;
-    
-    // Apply width to high frequencies only
-    const processedSide = sideHigh * this.width + sideLow;
+    // Apply width to high frequencies only (bass stays as it was)
+    const { low, high } = this.crossover.split(side);
+    const processedSide = high * this.width + low;
     
     return {
       left: mid + processedSide,
@@ -320,58 +168,30 @@ export class IntelligentBassProcessor {
     this.cutoff = cutoff;
     this.sampleRate = sampleRate;
     
-    // Low-pass filter for bass extraction
-    this.lowpass = this.createLowpassFilter(cutoff);
+    // Bass split per channel (Linkwitz-Riley, so bass and the rest sum back flat)
+    this.crossover = new LinkwitzRileyCrossover(cutoff, sampleRate, { channels: 2 });
     
     // Harmonic generator for bass enhancement
     this.harmonicAmount = 0.15;
   }
 
-  createLowpassFilter(freq) {
-    const nyquist = this.sampleRate / 2;
-    const normalizedFreq = freq / nyquist;
-    const k = Math.tan(Math.PI * normalizedFreq);
-    const k2 = k * k;
-    const sqrt2k = Math.sqrt(2) * k;
-    
-    const a0 = 1 + sqrt2k + k2;
-    return {
-      b0: k2 / a0,
-      b1: 2 * k2 / a0,
-      b2: k2 / a0,
-      a1: 2 * (k2 - 1) / a0,
-      a2: (1 - sqrt2k + k2) / a0,
-      x1: 0, x2: 0, y1: 0, y2: 0
-    };
-  }
-
-  processFilter(filter, sample) {
-    const output = filter.b0 * sample + filter.b1 * filter.x1 + filter.b2 * filter.x2
-      - filter.a1 * filter.y1 - filter.a2 * filter.y2;
-    
-    filter.x2 = filter.x1;
-    filter.x1 = sample;
-    filter.y2 = filter.y1;
-    filter.y1 = output;
-    
-    return output;
-  }
-
   process(left, right) {
-    // Extract bass
-    const bassL = this.processFilter(this.lowpass, left);
-    const bassR = this.processFilter(this.lowpass, right);
+    // Extract bass (the crossover reuses its bands object, so read the left before splitting the right)
+    const l = this.crossover.split(left, 0);
+    const leftLow = l.low;
+    const leftHigh = l.high;
+    const r = this.crossover.split(right, 1);
     
     // Make mono
-    const bassMono = (bassL + bassR) * 0.5;
+    const bassMono = (leftLow + r.low) * 0.5;
     
     // Add harmonics for perceived loudness
     const harmonics = Math.tanh(bassMono * 1.5) * this.harmonicAmount;
     
     // Combine
     return {
-      left: left - bassL + bassMono + harmonics,
-      right: right - bassR + bassMono + harmonics
+      left: leftHigh + bassMono + harmonics,
+      right: r.high + bassMono + harmonics
     };
   }
 }
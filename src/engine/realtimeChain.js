@@ -0,0 +1,271 @@
+/**
+ * Real-Time Preset Chain
+ * The per-sample preset, corrective EQ and reference match chain with its meters.
+ * Free of Web Audio nodes and DOM globals, so it runs inside the AudioWorklet
+ * as well as in the ScriptProcessor fallback on the main thread.
+ */
+
+import { GraphicEQ } from './dspModules.js';
+import { PresetGraph, getChainModules } from './presetGraph.js';
+import { RealtimeLoudnessMeter } from './realtimeLoudnessMeter.js';
+import { ReferenceMatchProcessor } from './referenceMatcher.js';
+import { StereoScope } from './stereoAnalysis.js';
+
+// Preset switches crossfade (equal power) from the running graph to the new one
+const CROSSFADE_SECONDS = 0.03;
+// A graph with a different module list first runs silently on the live input, so its filters
+// and detectors have settled on the material (an 808 mid-hit included) before it is heard
+const WARMUP_SECONDS = 0.05;
+// Parameter-only switches copy the running graph's state, so a dragged control forks it at
+// most this often (the latest value waits, then wins)
+const FORK_INTERVAL_SECONDS = 0.1;
+
+export class RealtimeChain {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.currentPreset = null;
+    this.presetGraph = null;
+    this.transition = null;
+    this.pendingChain = undefined;
+    this.matchProcessor = null;
+    this.matchMode = null;
+    this.correctiveEQ = null;
+    
+    // Meters for what goes in (original) and what actually comes out (processed)
+    this.inputMeter = new RealtimeLoudnessMeter(sampleRate, 2);
+    this.outputMeter = new RealtimeLoudnessMeter(sampleRate, 2);
+    this.outputScope = new StereoScope();
+
+    this.warmupLength = Math.round(WARMUP_SECONDS * sampleRate);
+    this.forkInterval = Math.round(FORK_INTERVAL_SECONDS * sampleRate);
+    this.forkHoldoff = 0;
+    const fadeLength = Math.max(1, Math.round(CROSSFADE_SECONDS * sampleRate));
+    this.fadeIn = new Float32Array(fadeLength);
+    for (let i = 0; i < fadeLength; i++) {
+      this.fadeIn[i] = Math.sin(((i + 0.5) / fadeLength) * Math.PI / 2);
+    }
+  }
+
+  /**
+   * Apply a parameter message ({ type, ... }), as posted to the worklet
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'preset':
+        this.setPreset(message.presetName, message.chain);
+        break;
+      case 'presetParams':
+        this.updatePresetParams(message.chain);
+        break;
+      case 'referenceMatch':
+        this.setReferenceMatch(message.match, message.mode);
+        break;
+      case 'correctiveEQ':
+        this.setCorrectiveEQ(message.bands, message.q);
+        break;
+      case 'resetMeters':
+        this.resetMeters();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Preset name and its resolved module chain (see resolvePresetChain), or null chain to bypass
+   */
+  setPreset(presetName, chain) {
+    this.currentPreset = presetName;
+    this.switchChain(chain);
+  }
+
+  /**
+   * New parameters for the current preset's modules (crossfaded from a copy of their state)
+   */
+  updatePresetParams(chain) {
+    this.switchChain(chain);
+  }
+
+  /**
+   * Move to a chain (null = pass through) without a gap: the new graph is warmed up if needed
+   * and then crossfaded in. A switch requested mid-fade waits for the fade to finish, and one
+   * that only changes parameters also waits out the fork interval; only the latest one is kept,
+   * so dragging a control settles on its final value.
+   */
+  switchChain(chain) {
+    const transition = this.transition;
+    if (transition && transition.warmup > 0) {
+      // Not audible yet, so retarget it in place
+      if (chain && transition.graph && transition.graph.modules === getChainModules(chain)) {
+        transition.graph.update(chain);
+        return;
+      }
+      this.transition = null;
+    } else if (transition) {
+      this.pendingChain = chain;
+      return;
+    }
+
+    const current = this.presetGraph;
+    const forking = Boolean(chain && current && current.modules === getChainModules(chain));
+    if (forking && this.forkHoldoff > 0) {
+      this.pendingChain = chain;
+      return;
+    }
+
+    let graph = null;
+    let warmup = 0;
+    if (chain) {
+      if (forking) {
+        graph = current.fork(chain);
+        this.forkHoldoff = this.forkInterval;
+      } else {
+        graph = new PresetGraph(chain, this.sampleRate);
+        warmup = this.warmupLength;
+      }
+    }
+    if (current || graph) {
+      this.transition = { graph, warmup, position: 0 };
+    }
+  }
+
+  finishTransition() {
+    this.presetGraph = this.transition.graph;
+    this.transition = null;
+    this.switchToPending();
+  }
+
+  switchToPending() {
+    if (this.pendingChain !== undefined) {
+      const chain = this.pendingChain;
+      this.pendingChain = undefined;
+      this.switchChain(chain);
+    }
+  }
+
+  /**
+   * Count down the fork interval by a block; a switch left waiting on it starts once it's over
+   */
+  advanceForkHoldoff(length) {
+    if (this.forkHoldoff > 0) {
+      this.forkHoldoff = Math.max(0, this.forkHoldoff - length);
+      if (this.forkHoldoff === 0 && !this.transition) {
+        this.switchToPending();
+      }
+    }
+  }
+
+  /**
+   * Complete every transition and waiting switch at once (nothing to crossfade while the
+   * preset isn't heard)
+   */
+  settleTransitions() {
+    while (this.transition) {
+      this.finishTransition();
+    }
+  }
+
+  /**
+   * Apply a derived reference match after the preset ('on-top') or in place of it ('instead')
+   */
+  setReferenceMatch(match, mode = 'on-top') {
+    this.matchProcessor = match ? new ReferenceMatchProcessor(match, this.sampleRate) : null;
+    this.matchMode = match ? mode : null;
+  }
+
+  /**
+   * Corrective EQ bands ({ frequency, gain }) applied before the preset, or null to bypass
+   */
+  setCorrectiveEQ(bands, q) {
+    const sampleRate = this.sampleRate;
+    this.correctiveEQ = bands ? [new GraphicEQ(bands, q, sampleRate), new GraphicEQ(bands, q, sampleRate)] : null;
+  }
+
+  /**
+   * Process one block of planar stereo input into the output arrays (equal length)
+   */
+  process(inputLeft, inputRight, outputLeft, outputRight) {
+    const usePreset = this.matchMode !== 'instead';
+    const fadeLength = this.fadeIn.length;
+    this.advanceForkHoldoff(inputLeft.length);
+    if (!usePreset) {
+      this.settleTransitions();
+    }
+    
+    for (let i = 0; i < inputLeft.length; i++) {
+      let left = inputLeft[i];
+      let right = inputRight[i];
+      
+      // Genre corrective EQ
+      if (this.correctiveEQ) {
+        left = this.correctiveEQ[0].process(left);
+        right = this.correctiveEQ[1].process(right);
+      }
+      
+      // Process with preset (otherwise pass through the original), crossfading while switching
+      if (usePreset) {
+        const dryLeft = left;
+        const dryRight = right;
+        if (this.presetGraph) {
+          const processed = this.presetGraph.processFrame(dryLeft, dryRight);
+          left = processed.left;
+          right = processed.right;
+        }
+        
+        const transition = this.transition;
+        if (transition) {
+          let incomingLeft = dryLeft;
+          let incomingRight = dryRight;
+          if (transition.graph) {
+            const incoming = transition.graph.processFrame(dryLeft, dryRight);
+            incomingLeft = incoming.left;
+            incomingRight = incoming.right;
+          }
+          if (transition.warmup > 0) {
+            transition.warmup--;
+          } else {
+            const gainIn = this.fadeIn[transition.position];
+            const gainOut = this.fadeIn[fadeLength - 1 - transition.position];
+            left = left * gainOut + incomingLeft * gainIn;
+            right = right * gainOut + incomingRight * gainIn;
+            if (++transition.position >= fadeLength) {
+              this.finishTransition();
+            }
+          }
+        }
+      }
+      
+      // Reference match stage
+      if (this.matchProcessor) {
+        const matched = this.matchProcessor.process(left, right);
+        left = matched.left;
+        right = matched.right;
+      }
+      
+      outputLeft[i] = left;
+      outputRight[i] = right;
+    }
+    
+    this.inputMeter.process([inputLeft, inputRight]);
+    this.outputMeter.process([outputLeft, outputRight]);
+    this.outputScope.process([outputLeft, outputRight]);
+  }
+
+  /**
+   * Meter readings for the original (input) and processed (output) paths,
+   * plus the processed output's stereo scope
+   */
+  getMeterReadings() {
+    return {
+      original: this.inputMeter.getReadings(),
+      processed: this.outputMeter.getReadings(),
+      scope: this.outputScope.getReadings()
+    };
+  }
+
+  resetMeters() {
+    this.inputMeter.reset();
+    this.outputMeter.reset();
+    this.outputScope.reset();
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Realtime Loudness Meter
+ * Streaming momentary (400 ms) and short-term (3 s) loudness per ITU-R BS.1770-4,
+ * plus sample peak and 4x oversampled true peak, fed block by block during playback
+ */
+
+import {
+  KWeightingFilter,
+  SUB_BLOCK_DURATION,
+  SHORT_TERM_SUB_BLOCKS,
+  getChannelWeights,
+  powerToLUFS
+} from './loudnessMeasurement.js';
+import { TruePeakDetector, linearToDBTP } from './truePeakDetector.js';
+
+const MOMENTARY_SUB_BLOCKS = 4;
+
+export class RealtimeLoudnessMeter {
+  constructor(sampleRate, numberOfChannels = 2) {
+    this.sampleRate = sampleRate;
+    this.numberOfChannels = numberOfChannels;
+    this.subBlockSize = Math.round(sampleRate * SUB_BLOCK_DURATION);
+    this.weights = getChannelWeights(numberOfChannels);
+    this.filters = Array.from({ length: numberOfChannels }, () => new KWeightingFilter(sampleRate));
+    this.peakDetectors = Array.from({ length: numberOfChannels }, () => new TruePeakDetector(sampleRate));
+
+    // Ring of completed sub-block energies, enough for one short-term window
+    this.subBlocks = new Float64Array(SHORT_TERM_SUB_BLOCKS);
+    this.reset();
+  }
+
+  reset() {
+    this.filters.forEach(filter => filter.reset());
+    this.peakDetectors.forEach(detector => detector.reset());
+    this.subBlocks.fill(0);
+    this.subBlockIndex = 0;
+    this.subBlocksFilled = 0;
+    this.currentEnergy = 0;
+    this.currentSamples = 0;
+
+    // Peaks held since the last getReadings() call, and since reset
+    this.samplePeakHold = 0;
+    this.truePeakHold = 0;
+    this.maxSamplePeak = 0;
+    this.maxTruePeak = 0;
+  }
+
+  /**
+   * Feed one block of planar channel data (array of Float32Array, equal length)
+   */
+  process(channels) {
+    const length = channels[0].length;
+    const count = Math.min(channels.length, this.numberOfChannels);
+
+    for (let i = 0; i < length; i++) {
+      let energy = 0;
+
+      for (let ch = 0; ch < count; ch++) {
+        const sample = channels[ch][i];
+
+        const abs = Math.abs(sample);
+        if (abs > this.samplePeakHold) this.samplePeakHold = abs;
+        const truePeak = this.peakDetectors[ch].process(sample);
+        if (truePeak > this.truePeakHold) this.truePeakHold = truePeak;
+
+        if (this.weights[ch] > 0) {
+          const y = this.filters[ch].process(sample);
+          energy += this.weights[ch] * y * y;
+        }
+      }
+
+      this.currentEnergy += energy;
+      this.currentSamples++;
+
+      if (this.currentSamples === this.subBlockSize) {
+        this.subBlocks[this.subBlockIndex] = this.currentEnergy;
+        this.subBlockIndex = (this.subBlockIndex + 1) % SHORT_TERM_SUB_BLOCKS;
+        this.subBlocksFilled = Math.min(SHORT_TERM_SUB_BLOCKS, this.subBlocksFilled + 1);
+        this.currentEnergy = 0;
+        this.currentSamples = 0;
+      }
+    }
+
+    if (this.samplePeakHold > this.maxSamplePeak) this.maxSamplePeak = this.samplePeakHold;
+    if (this.truePeakHold > this.maxTruePeak) this.maxTruePeak = this.truePeakHold;
+  }
+
+  /**
+   * Loudness (LUFS) of the most recent `window` completed sub-blocks
+   */
+  getWindowLoudness(window) {
+    const available = Math.min(window, this.subBlocksFilled);
+    if (available === 0) return -Infinity;
+
+    let sum = 0;
+    for (let b = 1; b <= available; b++) {
+      const index = (this.subBlockIndex - b + SHORT_TERM_SUB_BLOCKS) % SHORT_TERM_SUB_BLOCKS;
+      sum += this.subBlocks[index];
+    }
+    return powerToLUFS(sum / (available * this.subBlockSize));
+  }
+
+  /**
+   * Current readings; peak holds restart after every call
+   */
+  getReadings() {
+    const readings = {
+      momentary: this.getWindowLoudness(MOMENTARY_SUB_BLOCKS),
+      shortTerm: this.getWindowLoudness(SHORT_TERM_SUB_BLOCKS),
+      samplePeak: linearToDBTP(this.samplePeakHold),
+      truePeak: linearToDBTP(this.truePeakHold),
+      maxSamplePeak: linearToDBTP(this.maxSamplePeak),
+      maxTruePeak: linearToDBTP(this.maxTruePeak)
+    };
+
+    this.samplePeakHold = 0;
+    this.truePeakHold = 0;
+
+    return readings;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Real-Time Preset Worklet
+ * Runs the preset chain on the audio rendering thread. Parameters arrive as port
+ * messages; meter readings are posted back on request.
+ */
+
+import { RealtimeChain } from './realtimeChain.js';
+
+// Samples per AudioWorklet process() call
+const RENDER_QUANTUM = 128;
+
+class RealtimeChainProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chain = new RealtimeChain(sampleRate);
+    this.silence = new Float32Array(RENDER_QUANTUM);
+    // Unheard right channel when the output is mono
+    this.scratch = new Float32Array(RENDER_QUANTUM);
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'meters') {
+        this.port.postMessage({ type: 'meters', readings: this.chain.getMeterReadings() });
+      } else {
+        this.chain.handleMessage(event.data);
+      }
+    };
+  }
+
+  /**
+   * Each render quantum runs through the chain as it arrives, so the processed path adds no
+   * latency against the original path it is A/B'd and blended with
+   */
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const inputLeft = input.length > 0 ? input[0] : this.silence;
+    const inputRight = input.length > 1 ? input[1] : inputLeft;
+    const outputLeft = output[0];
+    const outputRight = output.length > 1 ? output[1] : this.scratch;
+
+    this.chain.process(inputLeft, inputRight, outputLeft, outputRight);
+    return true;
+  }
+}
+
+registerProcessor('realtime-chain', RealtimeChainProcessor);
@@ -0,0 +1,241 @@
+/**
+ * Reference Track Matching
+ * Derives a tonal-balance EQ curve, target loudness, stereo width and low-end mono point
+ * from a commercial reference, and applies them to a mix (offline or in real time)
+ */
+
+import { SpectralAnalyzer, getThirdOctaveCenters, getThirdOctaveLevels } from './spectralAnalysis.js';
+import { LoudnessMeasurement, ABSOLUTE_GATE_LUFS } from './loudnessMeasurement.js';
+import { GraphicEQ, Limiter, MidSideProcessor, MonoBassProcessor } from './dspModules.js';
+
+// Octave-band matching EQ (centre frequencies in Hz, Q for one-octave bandwidth)
+const EQ_BANDS = [31.25, 62.5, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_Q = 1.41;
+const MAX_EQ_GAIN = 6;
+
+// Mean difference across this range is overall level, not tone
+const LEVEL_RANGE = [100, 10000];
+
+// Bands quieter than this are treated as empty
+const EMPTY_BAND_DB = -120;
+
+// Low end counts as mono while side sits this far below mid
+const MONO_SIDE_RATIO_DB = -20;
+const MAX_MONO_FREQUENCY = 300;
+
+const MIN_WIDTH = 0.5;
+const MAX_WIDTH = 1.8;
+
+/**
+ * Side/mid balance of a stereo buffer, overall and per 1/3-octave band,
+ * and the frequency below which it is effectively mono
+ */
+export function measureStereo(audioBuffer, analyzer = new SpectralAnalyzer()) {
+  if (audioBuffer.numberOfChannels < 2) {
+    return { isMono: true, sideToMid: -Infinity, bands: null, monoBassFrequency: null };
+  }
+
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.getChannelData(1);
+  const length = audioBuffer.length;
+  const mid = new Float32Array(length);
+  const side = new Float32Array(length);
+  let midEnergy = 0;
+  let sideEnergy = 0;
+
+  for (let i = 0; i < length; i++) {
+    mid[i] = (left[i] + right[i]) * 0.5;
+    side[i] = (left[i] - right[i]) * 0.5;
+    midEnergy += mid[i] * mid[i];
+    sideEnergy += side[i] * side[i];
+  }
+
+  const asBuffer = (data) => ({
+    numberOfChannels: 1,
+    length,
+    sampleRate: audioBuffer.sampleRate,
+    getChannelData: () => data
+  });
+
+  const centers = getThirdOctaveCenters(20, 20000);
+  const midLevels = getThirdOctaveLevels(analyzer.analyze(asBuffer(mid)), centers);
+  const sideLevels = getThirdOctaveLevels(analyzer.analyze(asBuffer(side)), centers);
+  const bands = centers.map((frequency, i) => ({
+    frequency,
+    sideToMid: midLevels[i] > EMPTY_BAND_DB ? sideLevels[i] - midLevels[i] : -Infinity
+  }));
+
+  // Highest band edge below which every band stays mono
+  let monoBassFrequency = 0;
+  const edge = Math.pow(2, 1 / 6);
+  for (const band of bands) {
+    if (band.frequency > MAX_MONO_FREQUENCY || band.sideToMid > MONO_SIDE_RATIO_DB) break;
+    monoBassFrequency = band.frequency * edge;
+  }
+
+  return {
+    isMono: sideEnergy === 0,
+    sideToMid: midEnergy > 0 ? 10 * Math.log10(sideEnergy / midEnergy) : -Infinity,
+    bands,
+    monoBassFrequency
+  };
+}
+
+/**
+ * Per-sample reference-match chain: EQ, width, mono bass, gain, limiter
+ * Stateful per channel, so one instance serves one stereo stream
+ */
+export class ReferenceMatchProcessor {
+  constructor(match, sampleRate) {
+    this.match = match;
+    this.sampleRate = sampleRate;
+    this.outputGain = match.gain ?? 1.0;
+
+    this.equalizers = [0, 1].map(() => new GraphicEQ(match.eq, EQ_Q, sampleRate));
+
+    this.midSide = new MidSideProcessor(match.width);
+    this.monoBass = match.monoBassFrequency ? new MonoBassProcessor(match.monoBassFrequency, sampleRate) : null;
+
+    this.limiters = [0, 1].map(() => {
+      const limiter = new Limiter(0.95, 0.05);
+      limiter.setSampleRate(sampleRate);
+      return limiter;
+    });
+    this.output = { left: 0, right: 0 };
+  }
+
+  /**
+   * Tonal and stereo stages only (no gain, no limiting). Like process, returns a frame
+   * object that the next call overwrites.
+   */
+  processTone(left, right) {
+    const l = this.equalizers[0].process(left);
+    const r = this.equalizers[1].process(right);
+
+    const ms = this.midSide.process(l, r);
+    if (this.monoBass) {
+      return this.monoBass.process(ms.left, ms.right);
+    }
+    return ms;
+  }
+
+  /**
+   * One stereo frame, returned in this processor's own { left, right } (overwritten by the
+   * next call, so nothing is allocated per sample)
+   */
+  process(left, right) {
+    const toned = this.processTone(left, right);
+    this.output.left = this.limiters[0].process(toned.left * this.outputGain);
+    this.output.right = this.limiters[1].process(toned.right * this.outputGain);
+    return this.output;
+  }
+}
+
+export class ReferenceMatcher {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.analyzer = new SpectralAnalyzer();
+    this.loudness = new LoudnessMeasurement();
+    this.centers = getThirdOctaveCenters();
+  }
+
+  /**
+   * Everything matching needs from one track (its AudioAnalysis result plus stereo measurements)
+   */
+  createProfile(audioBuffer, analysis) {
+    return {
+      integratedLUFS: analysis.integratedLUFS,
+      bands: getThirdOctaveLevels(analysis.spectrum, this.centers),
+      stereo: measureStereo(audioBuffer, this.analyzer)
+    };
+  }
+
+  /**
+   * Derive the match settings that move `source` towards `reference`
+   * strength (0-1) scales the EQ and width moves
+   */
+  deriveMatch(source, reference, strength = 1) {
+    // Tonal difference per 1/3 octave, with the overall level offset removed
+    const differences = this.centers.map((_, i) => {
+      const empty = source.bands[i] <= EMPTY_BAND_DB || reference.bands[i] <= EMPTY_BAND_DB;
+      return empty ? null : reference.bands[i] - source.bands[i];
+    });
+
+    const levelBands = differences.filter((d, i) =>
+      d !== null && this.centers[i] >= LEVEL_RANGE[0] && this.centers[i] <= LEVEL_RANGE[1]
+    );
+    const offset = levelBands.length > 0
+      ? levelBands.reduce((a, b) => a + b, 0) / levelBands.length
+      : 0;
+    const tonalDifference = differences.map(d => (d === null ? 0 : d - offset));
+
+    // Octave EQ gain = mean of the three 1/3-octave bands around its centre
+    const eq = EQ_BANDS.map(frequency => {
+      let nearest = 0;
+      this.centers.forEach((center, i) => {
+        if (Math.abs(Math.log2(center / frequency)) < Math.abs(Math.log2(this.centers[nearest] / frequency))) {
+          nearest = i;
+        }
+      });
+      const neighbours = tonalDifference.slice(Math.max(0, nearest - 1), nearest + 2);
+      const mean = neighbours.reduce((a, b) => a + b, 0) / neighbours.length;
+      const gain = Math.max(-MAX_EQ_GAIN, Math.min(MAX_EQ_GAIN, mean * strength));
+      return { frequency, gain };
+    });
+
+    // Width moves side energy towards the reference's side/mid ratio
+    let width = 1.0;
+    if (!source.stereo.isMono && !reference.stereo.isMono &&
+        Number.isFinite(source.stereo.sideToMid) && Number.isFinite(reference.stereo.sideToMid)) {
+      const target = Math.pow(10, (reference.stereo.sideToMid - source.stereo.sideToMid) / 20);
+      width = 1 + (Math.max(MIN_WIDTH, Math.min(MAX_WIDTH, target)) - 1) * strength;
+    }
+
+    return {
+      centers: this.centers,
+      tonalDifference,
+      eq,
+      width,
+      monoBassFrequency: reference.stereo.monoBassFrequency || null,
+      targetLUFS: reference.integratedLUFS,
+      gain: 1.0
+    };
+  }
+
+  /**
+   * Apply a match to a buffer in place. The output gain is measured here
+   * (after EQ and width) and stored on the returned match for real-time reuse.
+   */
+  applyMatch(audioBuffer, match) {
+    const length = audioBuffer.length;
+    const left = audioBuffer.getChannelData(0);
+    const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : null;
+
+    // Pass 1: tone and stereo
+    const toneStage = new ReferenceMatchProcessor(match, audioBuffer.sampleRate);
+    for (let i = 0; i < length; i++) {
+      const out = toneStage.processTone(left[i], right ? right[i] : left[i]);
+      left[i] = out.left;
+      if (right) right[i] = out.right;
+    }
+
+    // Loudness after the tonal move decides the gain to the reference's level
+    const measured = this.loudness.measureIntegrated(audioBuffer);
+    const gain = measured > ABSOLUTE_GATE_LUFS
+      ? Math.pow(10, (match.targetLUFS - measured) / 20)
+      : 1.0;
+
+    // Pass 2: gain and limiting
+    const limiters = [0, 1].map(() => {
+      const limiter = new Limiter(0.95, 0.05);
+      limiter.setSampleRate(audioBuffer.sampleRate);
+      return limiter;
+    });
+    for (let i = 0; i < length; i++) {
+      left[i] = limiters[0].process(left[i] * gain);
+      if (right) right[i] = limiters[1].process(right[i] * gain);
+    }
+
+    return { ...match, gain };
+  }
+}
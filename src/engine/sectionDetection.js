@@ -0,0 +1,324 @@
+/**
+ * Song Section Detection
+ * Bar-synchronous features (loudness, low/high band share, stereo width), a self-similarity
+ * novelty curve (Foote checkerboard kernel) for boundaries, and energy-based labels
+ * (intro / verse / hook / drop / break / outro)
+ */
+
+import { SpectralAnalyzer } from './spectralAnalysis.js';
+import { ABSOLUTE_GATE_LUFS, powerToLUFS, percentile } from './loudnessMeasurement.js';
+
+// Feature frames (mono, no overlap)
+const FEATURE_FFT_SIZE = 2048;
+
+// Band edges (Hz) for the 808/kick and air shares
+const LOW_BAND_HZ = 150;
+const HIGH_BAND_HZ = 4000;
+
+// Analysis unit when no usable beat grid exists (seconds), and the grid needed to use bars
+const FALLBACK_UNIT_SECONDS = 2;
+const MIN_BARS_FOR_GRID = 8;
+
+// Novelty kernel half-width and shortest section, in units (bars)
+const KERNEL_UNITS = 4;
+const MIN_SECTION_UNITS = 4;
+
+// Peaks must clear mean + this many standard deviations of the novelty curve
+const PEAK_THRESHOLD_STD = 0.5;
+
+// Labelling thresholds: hooks sit within HOOK_WINDOW_LU of the loudest section,
+// breaks at least BREAK_DEPTH_LU below the median section
+const HOOK_WINDOW_LU = 2;
+const BREAK_DEPTH_LU = 6;
+
+// A hook is a drop when it enters this much louder than the section before, with more low end
+const DROP_RISE_LU = 4;
+const DROP_LOW_RISE = 1.25;
+
+const SIDE_FLOOR_DB = -40;
+
+export const SECTION_LABELS = {
+  intro: 'Intro',
+  verse: 'Verse',
+  hook: 'Hook',
+  drop: 'Drop',
+  break: 'Break',
+  outro: 'Outro'
+};
+
+export class SectionDetector {
+  constructor() {
+    this.analyzer = new SpectralAnalyzer(FEATURE_FFT_SIZE, FEATURE_FFT_SIZE);
+  }
+
+  /**
+   * Unit boundaries in samples: bars from the downbeats when the grid is usable,
+   * otherwise a fixed grid. Audio before the first downbeat joins the first bar.
+   */
+  getUnitBoundaries(audioBuffer, tempo) {
+    const { length, sampleRate } = audioBuffer;
+    const boundaries = [0];
+
+    if (tempo?.bpm && tempo.downbeats.length >= MIN_BARS_FOR_GRID) {
+      tempo.downbeats.slice(1).forEach(time => {
+        boundaries.push(Math.round(time * sampleRate));
+      });
+    } else {
+      const unit = Math.round(FALLBACK_UNIT_SECONDS * sampleRate);
+      for (let start = unit; start < length - unit / 2; start += unit) {
+        boundaries.push(start);
+      }
+    }
+
+    boundaries.push(length);
+    return boundaries;
+  }
+
+  /**
+   * Feature vector per unit: [loudness LUFS, low share dB, high share dB, side/mid dB]
+   */
+  computeFeatures(audioBuffer, loudnessBlocks, units) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const left = audioBuffer.getChannelData(0);
+    const right = channels > 1 ? audioBuffer.getChannelData(1) : left;
+    const binWidth = audioBuffer.sampleRate / FEATURE_FFT_SIZE;
+    const unitCount = units.length - 1;
+
+    const mono = new Float32Array(length);
+    const mid = new Float64Array(unitCount);
+    const side = new Float64Array(unitCount);
+    let unit = 0;
+    for (let i = 0; i < length; i++) {
+      while (unit < unitCount - 1 && i >= units[unit + 1]) unit++;
+      mono[i] = (left[i] + right[i]) * 0.5;
+      const s = (left[i] - right[i]) * 0.5;
+      mid[unit] += mono[i] * mono[i];
+      side[unit] += s * s;
+    }
+
+    // Band powers per unit (frames assigned by their centre)
+    const low = new Float64Array(unitCount);
+    const high = new Float64Array(unitCount);
+    const total = new Float64Array(unitCount);
+    const power = new Float64Array(this.analyzer.binCount);
+    unit = 0;
+    for (let start = 0; start + FEATURE_FFT_SIZE <= length; start += FEATURE_FFT_SIZE) {
+      const centre = start + FEATURE_FFT_SIZE / 2;
+      while (unit < unitCount - 1 && centre >= units[unit + 1]) unit++;
+      this.analyzer.framePower(mono, start, power);
+      for (let k = 1; k < power.length; k++) {
+        const frequency = k * binWidth;
+        total[unit] += power[k];
+        if (frequency < LOW_BAND_HZ) low[unit] += power[k];
+        else if (frequency >= HIGH_BAND_HZ) high[unit] += power[k];
+      }
+    }
+
+    // Loudness per unit from the K-weighted 100 ms sub-blocks
+    const { energies, subBlockSize } = loudnessBlocks;
+    const share = (part, whole) => (whole > 0 && part > 0 ? 10 * Math.log10(part / whole) : -60);
+
+    return Array.from({ length: unitCount }, (_, u) => {
+      const firstBlock = Math.floor(units[u] / subBlockSize);
+      const lastBlock = Math.max(firstBlock + 1, Math.min(energies.length, Math.floor(units[u + 1] / subBlockSize)));
+      let energy = 0;
+      for (let b = firstBlock; b < lastBlock && b < energies.length; b++) {
+        energy += energies[b];
+      }
+      const loudness = Math.max(ABSOLUTE_GATE_LUFS, powerToLUFS(energy / ((lastBlock - firstBlock) * subBlockSize)));
+
+      return [
+        loudness,
+        Math.max(-60, share(low[u], total[u])),
+        Math.max(-60, share(high[u], total[u])),
+        mid[u] > 0 ? Math.max(SIDE_FLOOR_DB, 10 * Math.log10(side[u] / mid[u] + 1e-10)) : SIDE_FLOOR_DB
+      ];
+    });
+  }
+
+  /**
+   * Foote novelty: checkerboard kernel slid along the diagonal of the self-similarity matrix
+   */
+  computeNovelty(features) {
+    const count = features.length;
+    const dims = features[0]?.length || 0;
+
+    // z-score each feature so loudness does not outweigh the rest
+    const normalised = features.map(f => f.slice());
+    for (let d = 0; d < dims; d++) {
+      const mean = features.reduce((sum, f) => sum + f[d], 0) / count;
+      const std = Math.sqrt(features.reduce((sum, f) => sum + (f[d] - mean) * (f[d] - mean), 0) / count);
+      normalised.forEach(f => {
+        f[d] = std > 0 ? (f[d] - mean) / std : 0;
+      });
+    }
+
+    const similarity = (i, j) => {
+      let distance = 0;
+      for (let d = 0; d < dims; d++) {
+        distance += (normalised[i][d] - normalised[j][d]) ** 2;
+      }
+      return Math.exp(-distance / dims);
+    };
+
+    const novelty = new Float64Array(count);
+    for (let i = 1; i < count; i++) {
+      let sum = 0;
+      let weight = 0;
+      for (let a = -KERNEL_UNITS; a < KERNEL_UNITS; a++) {
+        for (let b = -KERNEL_UNITS; b < KERNEL_UNITS; b++) {
+          const x = i + a;
+          const y = i + b;
+          if (x < 0 || y < 0 || x >= count || y >= count) continue;
+          // Same side of the boundary counts as +, across it as - (Gaussian taper)
+          const sign = (a < 0) === (b < 0) ? 1 : -1;
+          const taper = Math.exp(-((a + 0.5) ** 2 + (b + 0.5) ** 2) / (2 * (KERNEL_UNITS / 2) ** 2));
+          sum += sign * taper * similarity(x, y);
+          weight += taper;
+        }
+      }
+      novelty[i] = weight > 0 ? Math.max(0, sum / weight) : 0;
+    }
+    return novelty;
+  }
+
+  /**
+   * Boundary units: local novelty maxima above the threshold, at least MIN_SECTION_UNITS apart
+   */
+  pickBoundaries(novelty) {
+    const count = novelty.length;
+    const mean = novelty.reduce((a, b) => a + b, 0) / count;
+    const std = Math.sqrt(novelty.reduce((a, b) => a + (b - mean) * (b - mean), 0) / count);
+    const threshold = mean + PEAK_THRESHOLD_STD * std;
+
+    const candidates = [];
+    for (let i = MIN_SECTION_UNITS; i <= count - MIN_SECTION_UNITS; i++) {
+      if (novelty[i] <= threshold) continue;
+      let isPeak = true;
+      for (let j = Math.max(0, i - KERNEL_UNITS); j <= Math.min(count - 1, i + KERNEL_UNITS); j++) {
+        if (novelty[j] > novelty[i] || (novelty[j] === novelty[i] && j < i)) {
+          isPeak = false;
+          break;
+        }
+      }
+      if (isPeak) candidates.push(i);
+    }
+
+    // Strongest first, dropping any that would leave a section too short
+    const boundaries = [];
+    candidates
+      .sort((a, b) => novelty[b] - novelty[a])
+      .forEach(candidate => {
+        if (boundaries.every(b => Math.abs(b - candidate) >= MIN_SECTION_UNITS)) {
+          boundaries.push(candidate);
+        }
+      });
+    return boundaries.sort((a, b) => a - b);
+  }
+
+  /**
+   * Section time ranges ({ start, end } in seconds) with boundary novelty and low-band share
+   */
+  detect(audioBuffer, loudnessBlocks, tempo) {
+    const { sampleRate, length } = audioBuffer;
+    const units = this.getUnitBoundaries(audioBuffer, tempo);
+    const unitCount = units.length - 1;
+
+    const features = this.computeFeatures(audioBuffer, loudnessBlocks, units);
+
+    if (unitCount < MIN_SECTION_UNITS * 2) {
+      return [{
+        start: 0,
+        end: length / sampleRate,
+        novelty: 0,
+        lowShare: features.reduce((sum, f) => sum + Math.pow(10, f[1] / 10), 0) / Math.max(1, features.length)
+      }];
+    }
+
+    const novelty = this.computeNovelty(features);
+    const edges = [0, ...this.pickBoundaries(novelty), unitCount];
+
+    return edges.slice(0, -1).map((unit, i) => {
+      const inSection = features.slice(unit, edges[i + 1]);
+      return {
+        start: units[unit] / sampleRate,
+        end: units[edges[i + 1]] / sampleRate,
+        novelty: unit > 0 ? novelty[unit] : 0,
+        // Mean share of power below LOW_BAND_HZ
+        lowShare: inSection.reduce((sum, f) => sum + Math.pow(10, f[1] / 10), 0) / inSection.length
+      };
+    });
+  }
+
+  /**
+   * Label sections from their loudness and low-end share (needs section.loudness.integrated
+   * and section.spectral.lowShare). Labels are assigned in place and numbered per kind.
+   */
+  labelSections(sections) {
+    const levels = sections.map(s => s.loudness.integrated);
+    const loudest = Math.max(...levels);
+    const median = percentile([...levels].sort((a, b) => a - b), 0.5);
+    const last = sections.length - 1;
+
+    sections.forEach((section, i) => {
+      const depth = loudest - section.loudness.integrated;
+      const previous = sections[i - 1];
+
+      if (sections.length === 1) {
+        section.label = 'verse';
+      } else if (depth <= HOOK_WINDOW_LU) {
+        const isDrop = previous &&
+          section.loudness.integrated - previous.loudness.integrated >= DROP_RISE_LU &&
+          section.spectral.lowShare >= previous.spectral.lowShare * DROP_LOW_RISE;
+        section.label = isDrop ? 'drop' : 'hook';
+      } else if (i === 0) {
+        section.label = 'intro';
+      } else if (i === last) {
+        section.label = 'outro';
+      } else if (median - section.loudness.integrated >= BREAK_DEPTH_LU) {
+        section.label = 'break';
+      } else {
+        section.label = 'verse';
+      }
+    });
+
+    const counts = {};
+    sections.forEach(section => {
+      counts[section.label] = (counts[section.label] || 0) + 1;
+      section.name = `${SECTION_LABELS[section.label]} ${counts[section.label]}`;
+    });
+
+    return sections;
+  }
+}
+
+/**
+ * AudioBuffer-like view of samples [start, end) that shares the buffer's memory
+ * (writes through the view land in the original buffer)
+ */
+export function createBufferView(audioBuffer, start, end) {
+  const length = Math.max(0, end - start);
+  return {
+    numberOfChannels: audioBuffer.numberOfChannels,
+    length,
+    sampleRate: audioBuffer.sampleRate,
+    duration: length / audioBuffer.sampleRate,
+    getChannelData: (channel) => audioBuffer.getChannelData(channel).subarray(start, end)
+  };
+}
+
+/**
+ * Analysis data as a preset sees it inside one section: the section's own
+ * spectral and dynamics stats override the whole-track values
+ */
+export function getSectionAnalysis(analysisData, section) {
+  return {
+    ...analysisData,
+    ...section.spectral,
+    ...section.dynamics,
+    integratedLUFS: section.loudness.integrated,
+    stereoCorrelation: section.stereo,
+    section
+  };
+}
@@ -0,0 +1,467 @@
+/**
+ * Source Diagnostics
+ * Checks an imported mix for problems in the source itself (clipped bounces,
+ * inter-sample overs, DC offset, silent or polarity-inverted channels,
+ * sample-rate / bit-depth mismatches) and provides the repairs offered for them
+ */
+
+import { linearToDBTP } from './truePeakDetector.js';
+
+// Consecutive samples at a channel's peak level that count as a clipped run
+const MIN_CLIP_RUN = 3;
+
+// Samples within this ratio of the channel peak sit on the clip level
+const CLIP_LEVEL_RATIO = 0.9999;
+
+// Channels peaking below this are not checked for clipping
+const MIN_CLIP_PEAK = 0.1;
+
+// Clipped runs closer than this (seconds) are reported as one event
+const EVENT_MERGE_SECONDS = 0.05;
+
+// Clipped samples (all channels) from which clipping is an error rather than a warning
+const CLIP_ERROR_SAMPLES = 1000;
+
+// DC offset thresholds (linear): -60 dBFS warning, -40 dBFS error
+const DC_WARNING = 0.001;
+const DC_ERROR = 0.01;
+
+// RMS below this (about -100 dBFS) counts as a silent channel
+const SILENT_RMS = 1e-5;
+
+// Inter-channel correlation below these suggests a polarity-inverted channel
+const INVERTED_WARNING = -0.5;
+const INVERTED_ERROR = -0.8;
+
+// True peak (dBTP) above which inter-sample overs are an error
+const ISP_ERROR_DBTP = 1.0;
+
+// Samples examined for the effective bit depth (taken from the middle of the file),
+// and how many of them must be non-zero for the estimate to mean anything
+const BIT_DEPTH_SAMPLES = 441000;
+const BIT_DEPTH_MIN_ACTIVE = 1000;
+
+const CHANNEL_NAMES = ['Left', 'Right'];
+
+function channelName(ch) {
+  return CHANNEL_NAMES[ch] || `Channel ${ch + 1}`;
+}
+
+/**
+ * Container format of an undecoded file (WAV, AIFF or FLAC header), or null.
+ * Must run before decodeAudioData, which detaches the ArrayBuffer.
+ */
+export function readSourceFormat(arrayBuffer) {
+  if (arrayBuffer.byteLength < 12) return null;
+  const view = new DataView(arrayBuffer);
+  const tag = (offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+
+  try {
+    // RIFF / RF64 WAVE: 'fmt ' chunk
+    if ((tag(0) === 'RIFF' || tag(0) === 'RF64') && tag(8) === 'WAVE') {
+      let offset = 12;
+      while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset + 4, true);
+        if (tag(offset) === 'fmt ') {
+          let formatTag = view.getUint16(offset + 8, true);
+          // WAVE_FORMAT_EXTENSIBLE: the sub-format GUID starts with the real format tag
+          if (formatTag === 0xfffe && size >= 40) {
+            formatTag = view.getUint16(offset + 32, true);
+          }
+          return {
+            container: 'WAV',
+            channels: view.getUint16(offset + 10, true),
+            sampleRate: view.getUint32(offset + 12, true),
+            bitDepth: view.getUint16(offset + 22, true),
+            float: formatTag === 3
+          };
+        }
+        offset += 8 + size + (size % 2);
+      }
+      return null;
+    }
+
+    // AIFF / AIFF-C: 'COMM' chunk, sample rate as an 80-bit extended float
+    if (tag(0) === 'FORM' && (tag(8) === 'AIFF' || tag(8) === 'AIFC')) {
+      let offset = 12;
+      while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset + 4, false);
+        if (tag(offset) === 'COMM') {
+          const exponent = (view.getUint16(offset + 16, false) & 0x7fff) - 16383;
+          const mantissa = view.getUint32(offset + 18, false) * Math.pow(2, 32) + view.getUint32(offset + 22, false);
+          const compression = tag(8) === 'AIFC' && size >= 22 ? tag(offset + 26) : 'NONE';
+          return {
+            container: 'AIFF',
+            channels: view.getUint16(offset + 8, false),
+            sampleRate: Math.round(mantissa * Math.pow(2, exponent - 63)),
+            bitDepth: view.getUint16(offset + 14, false),
+            float: compression === 'fl32' || compression === 'FL32' || compression === 'fl64'
+          };
+        }
+        offset += 8 + size + (size % 2);
+      }
+      return null;
+    }
+
+    // FLAC: STREAMINFO is always the first metadata block
+    if (tag(0) === 'fLaC' && view.byteLength >= 26) {
+      const packed = view.getUint32(18, false);
+      return {
+        container: 'FLAC',
+        sampleRate: packed >>> 12,
+        channels: ((packed >>> 9) & 0x7) + 1,
+        bitDepth: ((packed >>> 4) & 0x1f) + 1,
+        float: false
+      };
+    }
+  } catch (error) {
+    // Truncated header: treat as unknown
+  }
+
+  return null;
+}
+
+/**
+ * Clipped runs of one channel: consecutive samples sitting on the channel's peak level
+ */
+export function findClippedRuns(data) {
+  let peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    const abs = Math.abs(data[i]);
+    if (abs > peak) peak = abs;
+  }
+  if (peak < MIN_CLIP_PEAK) return [];
+
+  const level = peak * CLIP_LEVEL_RATIO;
+  const runs = [];
+  let start = -1;
+
+  for (let i = 0; i <= data.length; i++) {
+    const clipped = i < data.length && Math.abs(data[i]) >= level &&
+      (start === -1 || Math.sign(data[i]) === Math.sign(data[start]));
+    if (clipped && start === -1) {
+      start = i;
+    } else if (!clipped && start !== -1) {
+      if (i - start >= MIN_CLIP_RUN) {
+        runs.push({ start, end: i - 1, level: peak * Math.sign(data[start]) });
+      }
+      // A sign flip at full scale starts a new run on this sample
+      start = i < data.length && Math.abs(data[i]) >= level ? i : -1;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Remove the static DC offset of every channel (in place)
+ */
+export function removeDCOffset(audioBuffer) {
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    const data = audioBuffer.getChannelData(ch);
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i];
+    }
+    const mean = data.length > 0 ? sum / data.length : 0;
+    for (let i = 0; i < data.length; i++) {
+      data[i] -= mean;
+    }
+  }
+  return audioBuffer;
+}
+
+/**
+ * Invert the polarity of one channel (in place)
+ */
+export function flipPolarity(audioBuffer, channel = 1) {
+  if (channel >= audioBuffer.numberOfChannels) return audioBuffer;
+  const data = audioBuffer.getChannelData(channel);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = -data[i];
+  }
+  return audioBuffer;
+}
+
+/**
+ * Rebuild clipped peaks with a cubic Hermite curve between the samples either side
+ * of each clipped run, continuing their slopes (in place). Restored peaks can exceed
+ * 0 dBFS; the buffer is float and the preset's limiter sets the final ceiling.
+ */
+export function declip(audioBuffer) {
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    const data = audioBuffer.getChannelData(ch);
+    findClippedRuns(data).forEach(run => {
+      const before = run.start - 1;
+      const after = run.end + 1;
+      if (before < 1 || after > data.length - 2) return;
+
+      const span = after - before;
+      const p0 = data[before];
+      const p1 = data[after];
+      const m0 = (data[before] - data[before - 1]) * span;
+      const m1 = (data[after + 1] - data[after]) * span;
+      const sign = Math.sign(run.level);
+
+      for (let i = run.start; i <= run.end; i++) {
+        const t = (i - before) / span;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const value = (2 * t3 - 3 * t2 + 1) * p0 + (t3 - 2 * t2 + t) * m0 +
+          (-2 * t3 + 3 * t2) * p1 + (t3 - t2) * m1;
+        // Never pull a sample back below the level it was clipped at
+        data[i] = sign * Math.max(Math.abs(run.level), sign * value);
+      }
+    });
+  }
+  return audioBuffer;
+}
+
+export class SourceDiagnostics {
+  /**
+   * Diagnose a decoded buffer. `analysis` is its AudioAnalysis result, `format` the
+   * undecoded file's header (readSourceFormat) or null.
+   * Returns { format, issues: [{ type, severity, message, channel?, events: [{ time, duration }], fix }] },
+   * issues sorted by severity; fix is 'dcOffset', 'polarity', 'declip' or null
+   */
+  diagnose(audioBuffer, analysis, format = null) {
+    const issues = [
+      ...this.checkChannels(audioBuffer, analysis),
+      ...this.checkClipping(audioBuffer),
+      ...this.checkInterSampleOvers(analysis),
+      ...this.checkFormat(audioBuffer, format)
+    ];
+
+    const order = { error: 0, warning: 1, info: 2 };
+    issues.sort((a, b) => order[a.severity] - order[b.severity]);
+
+    return { format, issues };
+  }
+
+  /**
+   * DC offset and silence per channel, polarity inversion between the first two channels
+   */
+  checkChannels(audioBuffer, analysis) {
+    const issues = [];
+    const whole = [{ time: 0, duration: audioBuffer.duration }];
+    const stats = [];
+
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      const data = audioBuffer.getChannelData(ch);
+      let sum = 0;
+      let sumSquares = 0;
+      for (let i = 0; i < data.length; i++) {
+        sum += data[i];
+        sumSquares += data[i] * data[i];
+      }
+      const length = Math.max(1, data.length);
+      stats.push({ mean: sum / length, rms: Math.sqrt(sumSquares / length) });
+    }
+
+    const silent = stats.map(s => s.rms < SILENT_RMS);
+    if (silent.every(Boolean)) {
+      issues.push({
+        type: 'silent',
+        severity: 'error',
+        message: 'The file is silent',
+        events: whole,
+        fix: null
+      });
+      return issues;
+    }
+
+    stats.forEach((s, ch) => {
+      if (silent[ch]) {
+        issues.push({
+          type: 'silent-channel',
+          severity: 'error',
+          message: `${channelName(ch)} channel is silent`,
+          channel: ch,
+          events: whole,
+          fix: null
+        });
+      } else if (Math.abs(s.mean) >= DC_WARNING) {
+        issues.push({
+          type: 'dc-offset',
+          severity: Math.abs(s.mean) >= DC_ERROR ? 'error' : 'warning',
+          message: `${channelName(ch)} channel has a DC offset of ${linearToDBTP(Math.abs(s.mean)).toFixed(1)} dBFS`,
+          channel: ch,
+          events: whole,
+          fix: 'dcOffset'
+        });
+      }
+    });
+
+    const correlation = analysis?.stereoCorrelation?.correlation ?? 1;
+    if (audioBuffer.numberOfChannels > 1 && !silent[0] && !silent[1] && correlation < INVERTED_WARNING) {
+      issues.push({
+        type: 'phase-inverted',
+        severity: correlation < INVERTED_ERROR ? 'error' : 'warning',
+        message: `Channels look polarity-inverted (correlation ${correlation.toFixed(2)}); the mix will cancel in mono`,
+        channel: 1,
+        events: whole,
+        fix: 'polarity'
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Clipped runs on all channels, merged into timed events
+   */
+  checkClipping(audioBuffer) {
+    const sampleRate = audioBuffer.sampleRate;
+    const runs = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      runs.push(...findClippedRuns(audioBuffer.getChannelData(ch)));
+    }
+    if (runs.length === 0) return [];
+
+    runs.sort((a, b) => a.start - b.start);
+    const events = [];
+    const mergeGap = EVENT_MERGE_SECONDS * sampleRate;
+    let clippedSamples = 0;
+    let longest = 0;
+
+    runs.forEach(run => {
+      const length = run.end - run.start + 1;
+      clippedSamples += length;
+      longest = Math.max(longest, length);
+
+      const last = events[events.length - 1];
+      if (last && run.start - last.endSample <= mergeGap) {
+        last.endSample = Math.max(last.endSample, run.end);
+        last.runs++;
+      } else {
+        events.push({ startSample: run.start, endSample: run.end, runs: 1 });
+      }
+    });
+
+    const level = Math.max(...runs.map(run => Math.abs(run.level)));
+    return [{
+      type: 'clipping',
+      severity: clippedSamples >= CLIP_ERROR_SAMPLES ? 'error' : 'warning',
+      message: `${runs.length} clipped ${runs.length === 1 ? 'run' : 'runs'} at ${linearToDBTP(level).toFixed(1)} dBFS ` +
+        `(${clippedSamples} samples, longest ${longest})`,
+      events: events.map(event => ({
+        time: event.startSample / sampleRate,
+        duration: (event.endSample - event.startSample + 1) / sampleRate
+      })),
+      fix: 'declip'
+    }];
+  }
+
+  /**
+   * Momentary (400ms) windows whose true peak is above 0 dBTP
+   */
+  checkInterSampleOvers(analysis) {
+    const windows = analysis?.truePeakWindows;
+    const duration = analysis?.momentaryLUFS?.windowDuration;
+    if (!windows || !duration) return [];
+
+    const events = [];
+    windows.forEach((peak, i) => {
+      if (peak <= 0) return;
+      const last = events[events.length - 1];
+      if (last && Math.abs(last.time + last.duration - i * duration) < 1e-6) {
+        last.duration += duration;
+      } else {
+        events.push({ time: i * duration, duration });
+      }
+    });
+    if (events.length === 0) return [];
+
+    const max = Math.max(...windows);
+    return [{
+      type: 'inter-sample-over',
+      severity: max > ISP_ERROR_DBTP ? 'error' : 'warning',
+      message: `Inter-sample overs up to +${max.toFixed(2)} dBTP in ${events.length} ${events.length === 1 ? 'place' : 'places'}; ` +
+        'they will clip on D/A conversion and lossy encoding',
+      events,
+      fix: null
+    }];
+  }
+
+  /**
+   * Sample-rate and bit-depth mismatches between the file header and the decoded audio
+   */
+  checkFormat(audioBuffer, format) {
+    if (!format) return [];
+    const issues = [];
+    const resampled = format.sampleRate !== audioBuffer.sampleRate;
+
+    if (resampled) {
+      issues.push({
+        type: 'sample-rate-mismatch',
+        severity: 'warning',
+        message: `${format.container} is ${format.sampleRate} Hz but was resampled to ` +
+          `${audioBuffer.sampleRate} Hz on import; renders are at ${audioBuffer.sampleRate} Hz`,
+        events: [],
+        fix: null
+      });
+    }
+
+    if (format.channels !== audioBuffer.numberOfChannels) {
+      issues.push({
+        type: 'channel-mismatch',
+        severity: 'warning',
+        message: `${format.container} has ${format.channels} channels, decoded as ${audioBuffer.numberOfChannels}`,
+        events: [],
+        fix: null
+      });
+    }
+
+    if (!format.float && format.bitDepth < 16) {
+      issues.push({
+        type: 'bit-depth-mismatch',
+        severity: 'warning',
+        message: `${format.bitDepth}-bit source: expect audible quantisation noise`,
+        events: [],
+        fix: null
+      });
+    } else if (!format.float && !resampled) {
+      // Resampling destroys the quantisation grid, so this is only meaningful at the file's own rate
+      const effective = this.getEffectiveBitDepth(audioBuffer);
+      if (effective && effective < format.bitDepth) {
+        issues.push({
+          type: 'bit-depth-mismatch',
+          severity: 'info',
+          message: `${format.bitDepth}-bit file carries ${effective}-bit audio (padded); ` +
+            'bounce from the session at full resolution if possible',
+          events: [],
+          fix: null
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Smallest integer bit depth whose grid every examined sample sits on, or null
+   */
+  getEffectiveBitDepth(audioBuffer) {
+    const data = audioBuffer.getChannelData(0);
+    const start = Math.max(0, Math.floor((data.length - BIT_DEPTH_SAMPLES) / 2));
+    const end = Math.min(data.length, start + BIT_DEPTH_SAMPLES);
+
+    let active = 0;
+    for (let i = start; i < end; i++) {
+      if (data[i] !== 0) active++;
+    }
+    if (active < BIT_DEPTH_MIN_ACTIVE) return null;
+
+    for (let bits = 8; bits <= 24; bits++) {
+      const scale = Math.pow(2, bits - 1);
+      let onGrid = true;
+      for (let i = start; i < end && onGrid; i++) {
+        const scaled = data[i] * scale;
+        onGrid = Math.abs(scaled - Math.round(scaled)) < 1e-3;
+      }
+      if (onGrid) return bits;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Offline Spectral Analysis
+ * STFT over a complete buffer: windowed frames, per-frame and long-term average
+ * magnitude spectra in dB. Scaling matches AnalyserNode (Blackman window, |X|/N)
+ * so dB values read the same as the browser's own analyser.
+ */
+
+export const DEFAULT_FFT_SIZE = 4096;
+
+// Floor for silent bins so log values stay finite
+const SILENCE_DB = -160;
+
+// Twiddle factor tables, cached per FFT size
+const twiddleCache = new Map();
+
+function getTwiddles(n) {
+  let twiddles = twiddleCache.get(n);
+  if (!twiddles) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cos[k] = Math.cos(-2 * Math.PI * k / n);
+      sin[k] = Math.sin(-2 * Math.PI * k / n);
+    }
+    twiddles = { cos, sin };
+    twiddleCache.set(n, twiddles);
+  }
+  return twiddles;
+}
+
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two)
+ */
+export function fft(re, im) {
+  const n = re.length;
+  const { cos, sin } = getTwiddles(n);
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * stride];
+        const wi = sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Blackman window (alpha = 0.16), as used by AnalyserNode
+ */
+export function createBlackmanWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = 2 * Math.PI * i / size;
+    window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+  }
+  return window;
+}
+
+/**
+ * Power (|X|/N squared) to dB, floored for silence
+ */
+export function powerToDB(power) {
+  return power > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(power)) : SILENCE_DB;
+}
+
+/**
+ * Short-time Fourier analysis of complete audio buffers
+ */
+export class SpectralAnalyzer {
+  constructor(fftSize = DEFAULT_FFT_SIZE, hopSize = fftSize / 2) {
+    this.fftSize = fftSize;
+    this.hopSize = hopSize;
+    this.binCount = fftSize / 2 + 1;
+    this.window = createBlackmanWindow(fftSize);
+    this.re = new Float64Array(fftSize);
+    this.im = new Float64Array(fftSize);
+  }
+
+  /**
+   * Bin centre frequencies for a sample rate
+   */
+  getFrequencies(sampleRate) {
+    const frequencies = new Float32Array(this.binCount);
+    for (let k = 0; k < this.binCount; k++) {
+      frequencies[k] = k * sampleRate / this.fftSize;
+    }
+    return frequencies;
+  }
+
+  /**
+   * Power spectrum (|X|/N squared) of one frame starting at `start`, zero-padded past the end
+   */
+  framePower(data, start, out) {
+    const { fftSize, window, re, im } = this;
+
+    for (let i = 0; i < fftSize; i++) {
+      const index = start + i;
+      re[i] = index < data.length ? data[index] * window[i] : 0;
+      im[i] = 0;
+    }
+
+    fft(re, im);
+
+    const scale = 1 / (fftSize * fftSize);
+    for (let k = 0; k < this.binCount; k++) {
+      out[k] = (re[k] * re[k] + im[k] * im[k]) * scale;
+    }
+  }
+
+  /**
+   * Analyze a buffer. Channel powers are averaged per frame.
+   * Returns the long-term average spectrum in dB and, with keepFrames, every frame's spectrum in dB.
+   */
+  analyze(audioBuffer, { keepFrames = false } = {}) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const frameCount = Math.max(1, Math.ceil(Math.max(0, length - this.fftSize) / this.hopSize) + 1);
+
+    const power = new Float64Array(this.binCount);
+    const framePower = new Float64Array(this.binCount);
+    const sum = new Float64Array(this.binCount);
+    const frames = keepFrames ? [] : null;
+    const channelData = Array.from({ length: channels }, (_, ch) => audioBuffer.getChannelData(ch));
+
+    for (let f = 0; f < frameCount; f++) {
+      const start = f * this.hopSize;
+      framePower.fill(0);
+
+      for (let ch = 0; ch < channels; ch++) {
+        this.framePower(channelData[ch], start, power);
+        for (let k = 0; k < this.binCount; k++) {
+          framePower[k] += power[k] / channels;
+        }
+      }
+
+      for (let k = 0; k < this.binCount; k++) {
+        sum[k] += framePower[k];
+      }
+
+      if (frames) {
+        frames.push(Float32Array.from(framePower, powerToDB));
+      }
+    }
+
+    const average = new Float32Array(this.binCount);
+    for (let k = 0; k < this.binCount; k++) {
+      average[k] = powerToDB(sum[k] / frameCount);
+    }
+
+    return {
+      fftSize: this.fftSize,
+      hopSize: this.hopSize,
+      sampleRate: audioBuffer.sampleRate,
+      frequencies: this.getFrequencies(audioBuffer.sampleRate),
+      frameCount,
+      average,
+      frames
+    };
+  }
+}
+
+// Below this, bins are DC and rumble rather than program: left out of band shares
+const SHARE_FLOOR_HZ = 20;
+
+/**
+ * Share of the spectrum's power (summed linear power per bin) in [low, high) Hz, out of
+ * everything from 20 Hz up. Power, not per-bin dB, so wide bands don't win just by holding
+ * more bins.
+ */
+export function bandShare(spectrum, low, high, magnitudes = spectrum.average) {
+  let band = 0;
+  let total = 0;
+
+  for (let k = 0; k < magnitudes.length; k++) {
+    const frequency = spectrum.frequencies[k];
+    if (frequency < SHARE_FLOOR_HZ) continue;
+    const power = Math.pow(10, magnitudes[k] / 10);
+    total += power;
+    if (frequency >= low && frequency < high) {
+      band += power;
+    }
+  }
+
+  return total > 0 ? band / total : 0;
+}
+
+/**
+ * 1/3-octave band centre frequencies (base-2, 1 kHz reference) between low and high
+ */
+export function getThirdOctaveCenters(low = 25, high = 20000) {
+  const centers = [];
+  for (let n = -16; n <= 13; n++) {
+    const center = 1000 * Math.pow(2, n / 3);
+    if (center >= low * 0.99 && center <= high * 1.01) {
+      centers.push(center);
+    }
+  }
+  return centers;
+}
+
+/**
+ * Band energy (dB) of a spectrum in 1/3-octave bands.
+ * Energy is summed per band, so pink noise reads flat.
+ */
+export function getThirdOctaveLevels(spectrum, centers = getThirdOctaveCenters(), magnitudes = spectrum.average) {
+  const edge = Math.pow(2, 1 / 6);
+  const binWidth = spectrum.frequencies[1] - spectrum.frequencies[0];
+
+  return centers.map(center => {
+    const low = center / edge;
+    const high = center * edge;
+    let energy = 0;
+    let bins = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      const frequency = spectrum.frequencies[k];
+      if (frequency >= low && frequency < high) {
+        energy += Math.pow(10, magnitudes[k] / 10);
+        bins++;
+      }
+    }
+
+    // Bands narrower than one bin: scale the nearest bin by the band's share of it
+    if (bins === 0) {
+      const nearest = Math.min(magnitudes.length - 1, Math.round(center / binWidth));
+      energy = Math.pow(10, magnitudes[nearest] / 10) * (high - low) / binWidth;
+    }
+
+    return powerToDB(energy);
+  });
+}
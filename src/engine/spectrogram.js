@@ -0,0 +1,87 @@
+/**
+ * Spectrogram
+ * STFT of a complete buffer reduced to log-spaced frequency rows (dB per row and frame),
+ * compact enough to keep for whole songs and to diff between renders
+ */
+
+import { SpectralAnalyzer, powerToDB } from './spectralAnalysis.js';
+
+const SPECTROGRAM_FFT_SIZE = 4096;
+const SPECTROGRAM_HOP_SIZE = 1024;
+
+// Log-spaced rows between these frequencies (top clamped to Nyquist)
+export const SPECTROGRAM_MIN_FREQUENCY = 20;
+export const SPECTROGRAM_MAX_FREQUENCY = 20000;
+const SPECTROGRAM_ROWS = 240;
+
+export class SpectrogramAnalyzer {
+  constructor(fftSize = SPECTROGRAM_FFT_SIZE, hopSize = SPECTROGRAM_HOP_SIZE) {
+    this.analyzer = new SpectralAnalyzer(fftSize, hopSize);
+  }
+
+  /**
+   * Row edges in bins: each row averages the bins it covers, rows narrower than
+   * a bin read the nearest bin
+   */
+  getRows(sampleRate, rows) {
+    const binWidth = sampleRate / this.analyzer.fftSize;
+    const top = Math.min(SPECTROGRAM_MAX_FREQUENCY, sampleRate / 2);
+    const ratio = top / SPECTROGRAM_MIN_FREQUENCY;
+
+    return Array.from({ length: rows }, (_, r) => {
+      const low = SPECTROGRAM_MIN_FREQUENCY * Math.pow(ratio, r / rows);
+      const high = SPECTROGRAM_MIN_FREQUENCY * Math.pow(ratio, (r + 1) / rows);
+      const center = Math.sqrt(low * high);
+      const first = Math.ceil(low / binWidth);
+      const last = Math.min(this.analyzer.binCount, Math.ceil(high / binWidth));
+      return last > first
+        ? { frequency: center, first, last }
+        : { frequency: center, first: Math.round(center / binWidth), last: Math.round(center / binWidth) + 1 };
+    });
+  }
+
+  /**
+   * Spectrogram of a buffer (channel powers averaged).
+   * Returns { frameCount, rowCount, frameDuration, frequencies, minFrequency, maxFrequency, data },
+   * data holding dB values frame by frame (data[frame * rowCount + row]), lowest row first
+   */
+  analyze(audioBuffer, rowCount = SPECTROGRAM_ROWS) {
+    const { fftSize, hopSize, binCount } = this.analyzer;
+    const channels = audioBuffer.numberOfChannels;
+    const frameCount = Math.max(1, Math.ceil(Math.max(0, audioBuffer.length - fftSize) / hopSize) + 1);
+    const rows = this.getRows(audioBuffer.sampleRate, rowCount);
+
+    const power = new Float64Array(binCount);
+    const framePower = new Float64Array(binCount);
+    const data = new Float32Array(frameCount * rowCount);
+    const channelData = Array.from({ length: channels }, (_, ch) => audioBuffer.getChannelData(ch));
+
+    for (let f = 0; f < frameCount; f++) {
+      framePower.fill(0);
+      for (let ch = 0; ch < channels; ch++) {
+        this.analyzer.framePower(channelData[ch], f * hopSize, power);
+        for (let k = 0; k < binCount; k++) {
+          framePower[k] += power[k] / channels;
+        }
+      }
+
+      rows.forEach((row, r) => {
+        let sum = 0;
+        for (let k = row.first; k < row.last; k++) {
+          sum += framePower[k];
+        }
+        data[f * rowCount + r] = powerToDB(sum / (row.last - row.first));
+      });
+    }
+
+    return {
+      frameCount,
+      rowCount,
+      frameDuration: hopSize / audioBuffer.sampleRate,
+      frequencies: rows.map(row => row.frequency),
+      minFrequency: SPECTROGRAM_MIN_FREQUENCY,
+      maxFrequency: Math.min(SPECTROGRAM_MAX_FREQUENCY, audioBuffer.sampleRate / 2),
+      data
+    };
+  }
+}
@@ -3,10 +3,13 @@
  * Detects if audio is full mix vs stems and provides intelligent hints
  */
 
+// Power shares of a typical full trap/hip-hop mix
+const TYPICAL_BALANCE = { low: 0.6, mid: 0.34, high: 0.06 };
+
 export class StemAwareDetector {
   constructor() {
     this.detectionThresholds = {
-      vocalIsolation: 0.4, // If vocal energy > 40% of total, likely stems
+      vocalIsolation: 0.5, // If 1-4 kHz holds > 50% of the power, likely a vocal stem
       stereoWidth: 0.3, // If stereo width < 30%, likely mono stem
       frequencyBalance: 0.5 // If frequency balance is extreme, likely stem
     };
@@ -41,14 +44,14 @@ export class StemAwareDetector {
     }
 
     // Check frequency balance
-    const spectral = analysisData.spectralBalance || { low: 0.33, mid: 0.33, high: 0.33 };
+    const spectral = analysisData.spectralBalance || TYPICAL_BALANCE;
     const imbalance = Math.max(
-      Math.abs(spectral.low - 0.33),
-      Math.abs(spectral.mid - 0.33),
-      Math.abs(spectral.high - 0.33)
+      Math.abs(spectral.low - TYPICAL_BALANCE.low),
+      Math.abs(spectral.mid - TYPICAL_BALANCE.mid),
+      Math.abs(spectral.high - TYPICAL_BALANCE.high)
     );
 
-    if (imbalance > 0.3) {
+    if (imbalance > 0.35) {
       results.isFullMix = false;
       results.confidence += 0.15;
       results.hints.push('Unusual frequency balance detected');
@@ -82,7 +85,7 @@ export class StemAwareDetector {
       });
     } else {
       // Full mix recommendations
-      if (analysisData.harshness > 0.25) {
+      if (analysisData.harshness > 0.09) {
         recommendations.push({
           preset: 'De-Harsh',
           reason: 'High harshness detected in full mix',
@@ -90,7 +93,7 @@ export class StemAwareDetector {
         });
       }
 
-      if (analysisData.mud > 0.2) {
+      if (analysisData.mud > 0.3) {
         recommendations.push({
           preset: 'Mud Remover',
           reason: 'Mud detected in low-mids',
@@ -98,7 +101,7 @@ export class StemAwareDetector {
         });
       }
 
-      if (analysisData.bassStability > 0.3) {
+      if (analysisData.bassStability > 0.55) {
         recommendations.push({
           preset: 'Bass Tamer',
           reason: 'Bass needs control',
@@ -0,0 +1,308 @@
+/**
+ * Stereo Phase Analysis
+ * Correlation over time and per band, and a mono fold-down check: how much loudness
+ * and which frequencies a mix loses when L and R are summed (club PA, phone speakers).
+ * Also the streaming scope behind the playback goniometer.
+ */
+
+import { LoudnessMeasurement, ABSOLUTE_GATE_LUFS, powerToLUFS } from './loudnessMeasurement.js';
+import { fft, createBlackmanWindow, getThirdOctaveCenters } from './spectralAnalysis.js';
+
+// Correlation and fold-down windows, matching the momentary LUFS series (4 x 100ms sub-blocks)
+const WINDOW_SUB_BLOCKS = 4;
+
+// Cross-spectrum frames for the per-band figures
+const BAND_FFT_SIZE = 4096;
+const BAND_HOP_SIZE = 2048;
+
+export const STEREO_BANDS = [
+  { name: 'Low', low: 20, high: 200 },
+  { name: 'Mid', low: 200, high: 4000 },
+  { name: 'High', low: 4000, high: 20000 }
+];
+
+// A window is a problem when summing to mono costs more than this (dB), or correlation is negative
+const MONO_LOSS_PROBLEM_DB = 3;
+const CORRELATION_PROBLEM = 0;
+
+// Windows quieter than this are not judged
+const QUIET_WINDOW_LUFS = -40;
+
+// Windows with less energy than this have no meaningful correlation
+const SILENT_ENERGY = 1e-10;
+
+// Samples held by the playback scope
+const SCOPE_SIZE = 2048;
+
+function toDB(ratio) {
+  return 10 * Math.log10(ratio);
+}
+
+/**
+ * Single-channel buffer view of the mono sum (L+R)/2, played on every channel
+ */
+function createFoldDownView(audioBuffer) {
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.getChannelData(1);
+  const mono = new Float32Array(audioBuffer.length);
+  for (let i = 0; i < mono.length; i++) {
+    mono[i] = 0.5 * (left[i] + right[i]);
+  }
+  return {
+    numberOfChannels: audioBuffer.numberOfChannels,
+    length: audioBuffer.length,
+    sampleRate: audioBuffer.sampleRate,
+    duration: audioBuffer.duration,
+    getChannelData: () => mono
+  };
+}
+
+export class StereoAnalyzer {
+  constructor() {
+    this.loudness = new LoudnessMeasurement();
+    this.window = createBlackmanWindow(BAND_FFT_SIZE);
+  }
+
+  /**
+   * Phase correlation (-1..1) per window, null where the window is silent
+   */
+  calculateCorrelationTimeline(audioBuffer, windowSize) {
+    const left = audioBuffer.getChannelData(0);
+    const right = audioBuffer.getChannelData(1);
+    const count = Math.floor(audioBuffer.length / windowSize);
+    const windows = [];
+
+    for (let w = 0; w < count; w++) {
+      let sumLR = 0;
+      let sumL2 = 0;
+      let sumR2 = 0;
+      for (let i = w * windowSize; i < (w + 1) * windowSize; i++) {
+        sumLR += left[i] * right[i];
+        sumL2 += left[i] * left[i];
+        sumR2 += right[i] * right[i];
+      }
+      const energy = Math.sqrt(sumL2 * sumR2);
+      windows.push(energy > SILENT_ENERGY ? sumLR / energy : null);
+    }
+    return windows;
+  }
+
+  /**
+   * Correlation per STEREO_BANDS band and mono-sum loss (dB) per 1/3-octave band,
+   * both from the L/R cross-spectrum
+   */
+  calculateBandFigures(audioBuffer) {
+    const left = audioBuffer.getChannelData(0);
+    const right = audioBuffer.getChannelData(1);
+    const sampleRate = audioBuffer.sampleRate;
+    const binCount = BAND_FFT_SIZE / 2 + 1;
+    const binWidth = sampleRate / BAND_FFT_SIZE;
+
+    // Per bin: sum over frames of |L|^2, |R|^2 and Re(L R*)
+    const powerL = new Float64Array(binCount);
+    const powerR = new Float64Array(binCount);
+    const cross = new Float64Array(binCount);
+    const reL = new Float64Array(BAND_FFT_SIZE);
+    const imL = new Float64Array(BAND_FFT_SIZE);
+    const reR = new Float64Array(BAND_FFT_SIZE);
+    const imR = new Float64Array(BAND_FFT_SIZE);
+    const frameCount = Math.max(1, Math.ceil(Math.max(0, audioBuffer.length - BAND_FFT_SIZE) / BAND_HOP_SIZE) + 1);
+
+    for (let f = 0; f < frameCount; f++) {
+      const start = f * BAND_HOP_SIZE;
+      for (let i = 0; i < BAND_FFT_SIZE; i++) {
+        const index = start + i;
+        const inside = index < audioBuffer.length;
+        reL[i] = inside ? left[index] * this.window[i] : 0;
+        reR[i] = inside ? right[index] * this.window[i] : 0;
+        imL[i] = 0;
+        imR[i] = 0;
+      }
+      fft(reL, imL);
+      fft(reR, imR);
+      for (let k = 0; k < binCount; k++) {
+        powerL[k] += reL[k] * reL[k] + imL[k] * imL[k];
+        powerR[k] += reR[k] * reR[k] + imR[k] * imR[k];
+        cross[k] += reL[k] * reR[k] + imL[k] * imR[k];
+      }
+    }
+
+    const sumRange = (low, high) => {
+      let l = 0;
+      let r = 0;
+      let c = 0;
+      for (let k = Math.max(1, Math.ceil(low / binWidth)); k < Math.min(binCount, high / binWidth); k++) {
+        l += powerL[k];
+        r += powerR[k];
+        c += cross[k];
+      }
+      return { l, r, c };
+    };
+
+    const bands = STEREO_BANDS.map(band => {
+      const { l, r, c } = sumRange(band.low, Math.min(band.high, sampleRate / 2));
+      const energy = Math.sqrt(l * r);
+      return { ...band, correlation: energy > SILENT_ENERGY ? c / energy : null };
+    });
+
+    // Stereo power (|L|^2 + |R|^2) / 2 against the mono sum |L + R|^2 / 4
+    const edge = Math.pow(2, 1 / 6);
+    const monoLoss = getThirdOctaveCenters(25, Math.min(20000, sampleRate / 2 / edge)).map(frequency => {
+      const { l, r, c } = sumRange(Math.max(binWidth, frequency / edge), frequency * edge);
+      const stereo = (l + r) / 2;
+      const mono = (l + r + 2 * c) / 4;
+      if (stereo <= SILENT_ENERGY) return { frequency, loss: null };
+      return { frequency, loss: mono > 0 ? Math.max(0, toDB(stereo / mono)) : Infinity };
+    });
+
+    return { bands, monoLoss };
+  }
+
+  /**
+   * Integrated and per-window loudness of the mono sum against the stereo mix
+   */
+  calculateFoldDown(audioBuffer, loudnessBlocks, windowCount) {
+    const monoBlocks = this.loudness.computeSubBlocks(createFoldDownView(audioBuffer));
+    const stereoLUFS = Math.max(ABSOLUTE_GATE_LUFS, this.loudness.integratedFromSubBlocks(loudnessBlocks));
+    const monoLUFS = Math.max(ABSOLUTE_GATE_LUFS, this.loudness.integratedFromSubBlocks(monoBlocks));
+
+    const windows = [];
+    for (let w = 0; w < windowCount; w++) {
+      let stereo = 0;
+      let mono = 0;
+      for (let b = w * WINDOW_SUB_BLOCKS; b < (w + 1) * WINDOW_SUB_BLOCKS; b++) {
+        stereo += loudnessBlocks.energies[b] || 0;
+        mono += monoBlocks.energies[b] || 0;
+      }
+      const level = powerToLUFS(stereo / (WINDOW_SUB_BLOCKS * loudnessBlocks.subBlockSize));
+      windows.push({
+        loudness: Math.max(ABSOLUTE_GATE_LUFS, level),
+        loss: stereo > 0 ? (mono > 0 ? Math.max(0, toDB(stereo / mono)) : Infinity) : 0
+      });
+    }
+
+    return { stereoLUFS, monoLUFS, loss: Math.max(0, stereoLUFS - monoLUFS), windows };
+  }
+
+  /**
+   * Consecutive windows that fall apart in mono: { start, end, minCorrelation, maxLoss } (seconds, dB)
+   */
+  findProblemRegions(correlation, foldDown, windowDuration) {
+    const regions = [];
+    let current = null;
+
+    foldDown.windows.forEach((window, w) => {
+      const value = correlation[w];
+      const problem = window.loudness > QUIET_WINDOW_LUFS &&
+        ((value !== null && value < CORRELATION_PROBLEM) || window.loss > MONO_LOSS_PROBLEM_DB);
+
+      if (problem) {
+        if (!current) {
+          current = { start: w * windowDuration, end: 0, minCorrelation: 1, maxLoss: 0 };
+          regions.push(current);
+        }
+        current.end = (w + 1) * windowDuration;
+        current.minCorrelation = Math.min(current.minCorrelation, value ?? 1);
+        current.maxLoss = Math.max(current.maxLoss, window.loss);
+      } else {
+        current = null;
+      }
+    });
+    return regions;
+  }
+
+  /**
+   * Full stereo picture of a buffer, or null for mono sources.
+   * loudnessBlocks are the buffer's BS.1770 sub-blocks (LoudnessMeasurement.computeSubBlocks)
+   */
+  analyze(audioBuffer, loudnessBlocks) {
+    if (audioBuffer.numberOfChannels < 2) return null;
+
+    const windowSize = WINDOW_SUB_BLOCKS * loudnessBlocks.subBlockSize;
+    const windowDuration = windowSize / audioBuffer.sampleRate;
+    const correlation = this.calculateCorrelationTimeline(audioBuffer, windowSize);
+    const foldDown = this.calculateFoldDown(audioBuffer, loudnessBlocks, correlation.length);
+    const { bands, monoLoss } = this.calculateBandFigures(audioBuffer);
+
+    return {
+      windowDuration,
+      correlation,
+      bands,
+      monoFoldDown: {
+        stereoLUFS: foldDown.stereoLUFS,
+        monoLUFS: foldDown.monoLUFS,
+        loss: foldDown.loss,
+        windowLoss: foldDown.windows.map(window => window.loss),
+        spectralLoss: monoLoss
+      },
+      problemRegions: this.findProblemRegions(correlation, foldDown, windowDuration)
+    };
+  }
+}
+
+/**
+ * Problem regions of a processed render, flagged `introduced` where the original
+ * was fine over the same stretch (the preset created the problem)
+ */
+export function compareProblemRegions(original, processed) {
+  if (!processed) return [];
+  const sourceRegions = original?.problemRegions || [];
+  return processed.problemRegions.map(region => ({
+    ...region,
+    introduced: !sourceRegions.some(source => source.start < region.end && source.end > region.start)
+  }));
+}
+
+/**
+ * Streaming L/R history for the goniometer, with the correlation of what it holds
+ */
+export class StereoScope {
+  constructor(size = SCOPE_SIZE) {
+    this.size = size;
+    this.left = new Float32Array(size);
+    this.right = new Float32Array(size);
+    this.reset();
+  }
+
+  reset() {
+    this.left.fill(0);
+    this.right.fill(0);
+    this.index = 0;
+  }
+
+  /**
+   * Feed one block of planar channel data ([left, right])
+   */
+  process(channels) {
+    const left = channels[0];
+    const right = channels[1] || channels[0];
+    for (let i = 0; i < left.length; i++) {
+      this.left[this.index] = left[i];
+      this.right[this.index] = right[i];
+      this.index = (this.index + 1) % this.size;
+    }
+  }
+
+  /**
+   * Held samples oldest first, and their phase correlation (null when silent)
+   */
+  getReadings() {
+    const left = new Float32Array(this.size);
+    const right = new Float32Array(this.size);
+    let sumLR = 0;
+    let sumL2 = 0;
+    let sumR2 = 0;
+
+    for (let i = 0; i < this.size; i++) {
+      const index = (this.index + i) % this.size;
+      left[i] = this.left[index];
+      right[i] = this.right[index];
+      sumLR += left[i] * right[i];
+      sumL2 += left[i] * left[i];
+      sumR2 += right[i] * right[i];
+    }
+
+    const energy = Math.sqrt(sumL2 * sumR2);
+    return { left, right, correlation: energy > SILENT_ENERGY ? sumLR / energy : null };
+  }
+}
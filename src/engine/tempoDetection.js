@@ -0,0 +1,320 @@
+/**
+ * Tempo, Beat and Downbeat Detection
+ * Spectral-flux onset envelope, autocorrelation tempo estimate with a log-normal
+ * tempo prior, dynamic-programming beat tracking (Ellis 2007) and downbeat phase
+ * from low-frequency onsets (kick on the one, 4/4 assumed)
+ */
+
+import { SpectralAnalyzer } from './spectralAnalysis.js';
+
+// Onset analysis frames (~23 ms window, ~11.6 ms hop at 44.1 kHz)
+const ONSET_FFT_SIZE = 1024;
+const ONSET_HOP_SIZE = 512;
+
+// Log-spaced onset bands, and the low band used for downbeat detection (kick / 808)
+const ONSET_BAND_COUNT = 24;
+const ONSET_MIN_FREQUENCY = 30;
+const ONSET_MAX_FREQUENCY = 16000;
+const LOW_BAND_HZ = 150;
+
+// Tempo search range and prior (trap tempos sit either side of the prior's centre)
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_WIDTH_OCTAVES = 1.0;
+
+// Autocorrelation weights at 1x, 2x and 4x the beat lag
+const HARMONIC_WEIGHTS = [1, 0.5, 0.25];
+
+// Beat tracker: how strongly beat spacing is held to the tempo
+const TIGHTNESS = 100;
+
+// Moving average removed from the onset envelope (seconds)
+const DETREND_SECONDS = 0.5;
+
+const BEATS_PER_BAR = 4;
+
+export class TempoDetector {
+  constructor() {
+    this.analyzer = new SpectralAnalyzer(ONSET_FFT_SIZE, ONSET_HOP_SIZE);
+  }
+
+  /**
+   * Log-spaced bands (bin ranges) so low-frequency onsets count as much as broadband ones
+   */
+  getOnsetBands(sampleRate) {
+    const bands = [];
+    const binWidth = sampleRate / ONSET_FFT_SIZE;
+    let low = Math.max(1, Math.floor(ONSET_MIN_FREQUENCY / binWidth));
+
+    for (let i = 1; i <= ONSET_BAND_COUNT; i++) {
+      const edge = ONSET_MIN_FREQUENCY * Math.pow(ONSET_MAX_FREQUENCY / ONSET_MIN_FREQUENCY, i / ONSET_BAND_COUNT);
+      const high = Math.min(this.analyzer.binCount, Math.max(low + 1, Math.round(edge / binWidth)));
+      if (high > low) {
+        bands.push({ low, high, isLow: edge <= LOW_BAND_HZ * 1.5 });
+        low = high;
+      }
+    }
+    return bands;
+  }
+
+  /**
+   * Onset strength per frame: half-wave rectified log band-energy flux, all bands and low bands only
+   */
+  computeOnsetEnvelope(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const bands = this.getOnsetBands(audioBuffer.sampleRate);
+
+    // Mono mixdown
+    const mono = new Float32Array(length);
+    for (let ch = 0; ch < channels; ch++) {
+      const data = audioBuffer.getChannelData(ch);
+      for (let i = 0; i < length; i++) {
+        mono[i] += data[i] / channels;
+      }
+    }
+
+    const frameCount = Math.max(1, Math.floor(Math.max(0, length - ONSET_FFT_SIZE) / ONSET_HOP_SIZE) + 1);
+    const onset = new Float32Array(frameCount);
+    const lowOnset = new Float32Array(frameCount);
+    const power = new Float64Array(this.analyzer.binCount);
+    let previous = new Float64Array(bands.length);
+    let current = new Float64Array(bands.length);
+
+    for (let f = 0; f < frameCount; f++) {
+      this.analyzer.framePower(mono, f * ONSET_HOP_SIZE, power);
+      bands.forEach((band, b) => {
+        let energy = 0;
+        for (let k = band.low; k < band.high; k++) {
+          energy += power[k];
+        }
+        // log(1 + C*x) compression (C = 1e6 on |X|/N power)
+        current[b] = Math.log1p(1e6 * energy);
+      });
+
+      if (f > 0) {
+        let flux = 0;
+        let lowFlux = 0;
+        bands.forEach((band, b) => {
+          const rise = current[b] - previous[b];
+          if (rise > 0) {
+            flux += rise;
+            if (band.isLow) lowFlux += rise;
+          }
+        });
+        onset[f] = flux;
+        lowOnset[f] = lowFlux;
+      }
+
+      [previous, current] = [current, previous];
+    }
+
+    return {
+      frameRate: audioBuffer.sampleRate / ONSET_HOP_SIZE,
+      onset: this.normalize(this.detrend(onset, audioBuffer.sampleRate)),
+      lowOnset
+    };
+  }
+
+  /**
+   * Subtract a moving average and half-wave rectify
+   */
+  detrend(envelope, sampleRate) {
+    const radius = Math.max(1, Math.round(DETREND_SECONDS * sampleRate / ONSET_HOP_SIZE / 2));
+    const out = new Float32Array(envelope.length);
+    let sum = 0;
+    let count = 0;
+    let lo = 0;
+    let hi = -1;
+
+    for (let i = 0; i < envelope.length; i++) {
+      while (hi < Math.min(envelope.length - 1, i + radius)) {
+        sum += envelope[++hi];
+        count++;
+      }
+      while (lo < i - radius) {
+        sum -= envelope[lo++];
+        count--;
+      }
+      out[i] = Math.max(0, envelope[i] - sum / count);
+    }
+    return out;
+  }
+
+  /**
+   * Scale to unit standard deviation
+   */
+  normalize(envelope) {
+    const mean = envelope.reduce((a, b) => a + b, 0) / envelope.length;
+    const variance = envelope.reduce((a, b) => a + (b - mean) * (b - mean), 0) / envelope.length;
+    const std = Math.sqrt(variance);
+    return std > 0 ? envelope.map(v => v / std) : envelope;
+  }
+
+  /**
+   * Tempo from the onset autocorrelation, weighted by the tempo prior. Each lag also
+   * collects its multiples (bar-level repetition), so a half-time snare does not halve the tempo.
+   * Returns the beat period in frames (fractional) and a 0-1 confidence
+   */
+  estimatePeriod(onset, frameRate) {
+    const minLag = Math.floor(60 * frameRate / MAX_BPM);
+    const maxLag = Math.min(onset.length - 1, Math.ceil(60 * frameRate / MIN_BPM));
+    if (maxLag <= minLag) return null;
+
+    const lastLag = Math.min(onset.length - 1, (maxLag + 1) * HARMONIC_WEIGHTS.length);
+    const autocorr = new Float64Array(lastLag + 1);
+    for (let lag = 0; lag <= lastLag; lag++) {
+      let sum = 0;
+      for (let i = lag; i < onset.length; i++) {
+        sum += onset[i] * onset[i - lag];
+      }
+      autocorr[lag] = sum / (onset.length - lag);
+    }
+
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60 * frameRate / lag;
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PRIOR_CENTER_BPM) / PRIOR_WIDTH_OCTAVES, 2));
+      let strength = 0;
+      HARMONIC_WEIGHTS.forEach((weight, h) => {
+        const multiple = lag * Math.pow(2, h);
+        if (multiple <= lastLag) strength += weight * autocorr[multiple];
+      });
+      const score = strength * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag === 0) return null;
+
+    // Parabolic interpolation around the peak
+    let period = bestLag;
+    const y1 = autocorr[bestLag - 1];
+    const y2 = autocorr[bestLag];
+    const y3 = autocorr[bestLag + 1];
+    const denominator = y1 - 2 * y2 + y3;
+    if (denominator < 0) {
+      period += 0.5 * (y1 - y3) / denominator;
+    }
+
+    return {
+      period,
+      confidence: autocorr[0] > 0 ? Math.max(0, Math.min(1, autocorr[bestLag] / autocorr[0])) : 0
+    };
+  }
+
+  /**
+   * Dynamic-programming beat tracking: best beat sequence balancing onset strength
+   * against deviation from the beat period
+   */
+  trackBeats(onset, period) {
+    const length = onset.length;
+    const score = new Float64Array(length);
+    const backlink = new Int32Array(length).fill(-1);
+    const minStep = Math.max(1, Math.round(period / 2));
+    const maxStep = Math.round(period * 2);
+
+    for (let t = 0; t < length; t++) {
+      let best = 0;
+      let bestPrev = -1;
+      for (let prev = t - maxStep; prev <= t - minStep; prev++) {
+        if (prev < 0) continue;
+        const deviation = Math.log((t - prev) / period);
+        const candidate = score[prev] - TIGHTNESS * deviation * deviation;
+        if (bestPrev === -1 || candidate > best) {
+          best = candidate;
+          bestPrev = prev;
+        }
+      }
+      score[t] = onset[t] + (bestPrev === -1 ? 0 : best);
+      backlink[t] = bestPrev;
+    }
+
+    // Start from the best-scoring frame in the last beat period
+    let t = length - 1;
+    for (let i = Math.max(0, length - Math.round(period)); i < length; i++) {
+      if (score[i] > score[t]) t = i;
+    }
+
+    const beats = [];
+    while (t >= 0) {
+      beats.push(t);
+      t = backlink[t];
+    }
+    return beats.reverse();
+  }
+
+  /**
+   * Bar phase (0..BEATS_PER_BAR-1) whose beats carry the most low-band onset energy
+   */
+  findDownbeatPhase(beats, lowOnset) {
+    const strength = new Array(BEATS_PER_BAR).fill(0);
+    const counts = new Array(BEATS_PER_BAR).fill(0);
+
+    beats.forEach((frame, i) => {
+      // Strongest low-band onset within a frame of the beat
+      let peak = 0;
+      for (let f = Math.max(0, frame - 1); f <= Math.min(lowOnset.length - 1, frame + 1); f++) {
+        peak = Math.max(peak, lowOnset[f]);
+      }
+      strength[i % BEATS_PER_BAR] += peak;
+      counts[i % BEATS_PER_BAR]++;
+    });
+
+    const means = strength.map((s, i) => (counts[i] > 0 ? s / counts[i] : 0));
+    const phase = means.indexOf(Math.max(...means));
+    const total = means.reduce((a, b) => a + b, 0);
+
+    return {
+      phase,
+      confidence: total > 0 ? (means[phase] - total / BEATS_PER_BAR) / means[phase] : 0
+    };
+  }
+
+  /**
+   * Tempo (BPM), beat and downbeat times (seconds) of a buffer
+   */
+  detect(audioBuffer) {
+    const { frameRate, onset, lowOnset } = this.computeOnsetEnvelope(audioBuffer);
+    const estimate = this.estimatePeriod(onset, frameRate);
+
+    if (!estimate) {
+      return { bpm: null, confidence: 0, beatInterval: null, beatsPerBar: BEATS_PER_BAR, beats: [], downbeats: [], downbeatConfidence: 0 };
+    }
+
+    const beatFrames = this.trackBeats(onset, estimate.period);
+    const downbeat = this.findDownbeatPhase(beatFrames, lowOnset);
+
+    // Frame index to the centre of its analysis window
+    const toSeconds = (frame) => (frame * ONSET_HOP_SIZE + ONSET_FFT_SIZE / 2) / audioBuffer.sampleRate;
+    const beats = beatFrames.map(toSeconds);
+
+    // Least-squares slope of beat time against beat index refines the autocorrelation estimate
+    let beatInterval = estimate.period / frameRate;
+    if (beats.length > 2) {
+      const n = beats.length;
+      const meanIndex = (n - 1) / 2;
+      const meanTime = beats.reduce((a, b) => a + b, 0) / n;
+      let num = 0;
+      let den = 0;
+      beats.forEach((time, i) => {
+        num += (i - meanIndex) * (time - meanTime);
+        den += (i - meanIndex) * (i - meanIndex);
+      });
+      beatInterval = num / den;
+    }
+
+    return {
+      bpm: 60 / beatInterval,
+      confidence: estimate.confidence,
+      beatInterval,
+      beatsPerBar: BEATS_PER_BAR,
+      beats,
+      downbeats: beats.filter((_, i) => i % BEATS_PER_BAR === downbeat.phase),
+      downbeatConfidence: downbeat.confidence
+    };
+  }
+}
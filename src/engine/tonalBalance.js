@@ -0,0 +1,181 @@
+/**
+ * Genre Tonal Balance
+ * Target 1/3-octave curves (with tolerance bands) for the genres in presetCategories.js,
+ * deviation of a track from a target, and a corrective EQ derived from that deviation.
+ * Curves are starting-point house curves, relative to the track's own 100 Hz-10 kHz level.
+ */
+
+import { getThirdOctaveCenters, getThirdOctaveLevels } from './spectralAnalysis.js';
+
+// Octave anchors the curves are written at (Hz); 1/3-octave values are interpolated on log frequency
+const ANCHORS = [31.25, 62.5, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Default tolerance (± dB) at each anchor - wider at the extremes where mixes vary most
+const DEFAULT_TOLERANCE = [6, 4, 3, 3, 2.5, 2.5, 2.5, 3, 3.5, 5];
+
+// Level reference range: curves and measurements are both normalised to their mean over it
+const LEVEL_RANGE = [100, 10000];
+
+// Bands quieter than this carry no tonal information
+const EMPTY_BAND_DB = -120;
+
+// Corrective EQ (octave bands, Q for one-octave bandwidth)
+export const CORRECTION_Q = 1.41;
+const MAX_CORRECTION_GAIN = 6;
+
+/**
+ * Targets keyed by the GENRE preset ids in presetCategories.js
+ */
+export const GENRE_TONAL_TARGETS = {
+  'trap-soul': {
+    name: 'Trap-Soul',
+    curve: [4, 8, 6, 3, 1, 0, -2, -4.5, -8, -14]
+  },
+  'modern-trap': {
+    name: 'Modern Trap',
+    curve: [7, 10, 6, 2, 0, 0, -2, -4, -7, -12]
+  },
+  'classic-hiphop': {
+    name: 'Classic Hip-Hop',
+    curve: [0, 6, 6, 3, 1, 0, -2.5, -5, -9, -16],
+    tolerance: [7, 4, 3, 3, 2.5, 2.5, 2.5, 3, 4, 6]
+  },
+  'contemporary-rnb': {
+    name: 'Contemporary R&B',
+    curve: [2, 6, 5, 3, 1, 0, -1.5, -3.5, -6.5, -12]
+  },
+  'afrobeat-fusion': {
+    name: 'Afrobeat Fusion',
+    curve: [1, 6, 5, 3, 1, 0, -1.5, -3.5, -7, -13]
+  },
+  'drill': {
+    name: 'Drill',
+    curve: [6, 10, 5, 2, 0, 0, -1.5, -3.5, -6.5, -12]
+  }
+};
+
+/**
+ * Linear interpolation of anchor values on a log-frequency axis (held flat past the ends)
+ */
+function interpolate(values, frequency) {
+  if (frequency <= ANCHORS[0]) return values[0];
+  if (frequency >= ANCHORS[ANCHORS.length - 1]) return values[values.length - 1];
+
+  let i = 0;
+  while (ANCHORS[i + 1] < frequency) i++;
+  const t = Math.log2(frequency / ANCHORS[i]) / Math.log2(ANCHORS[i + 1] / ANCHORS[i]);
+  return values[i] + (values[i + 1] - values[i]) * t;
+}
+
+/**
+ * Mean of `levels` over the level reference range (null entries skipped)
+ */
+function referenceLevel(centers, levels) {
+  let sum = 0;
+  let count = 0;
+  centers.forEach((center, i) => {
+    if (levels[i] !== null && center >= LEVEL_RANGE[0] && center <= LEVEL_RANGE[1]) {
+      sum += levels[i];
+      count++;
+    }
+  });
+  return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Genre ids and names, in catalogue order
+ */
+export function getGenreTargets() {
+  return Object.entries(GENRE_TONAL_TARGETS).map(([id, target]) => ({ id, name: target.name }));
+}
+
+/**
+ * Target curve and tolerance for a genre at 1/3-octave centres
+ */
+export function getGenreTarget(genreId, centers = getThirdOctaveCenters()) {
+  const target = GENRE_TONAL_TARGETS[genreId];
+  if (!target) return null;
+
+  const curve = centers.map(center => interpolate(target.curve, center));
+  const offset = referenceLevel(centers, curve);
+
+  return {
+    id: genreId,
+    name: target.name,
+    centers,
+    curve: curve.map(value => value - offset),
+    tolerance: centers.map(center => interpolate(target.tolerance || DEFAULT_TOLERANCE, center))
+  };
+}
+
+/**
+ * Normalised 1/3-octave balance of an analysis spectrum (null for empty bands)
+ */
+export function measureTonalBalance(spectrum, centers = getThirdOctaveCenters()) {
+  const raw = getThirdOctaveLevels(spectrum, centers).map(level => (level > EMPTY_BAND_DB ? level : null));
+  const offset = referenceLevel(centers, raw);
+
+  return {
+    centers,
+    levels: raw.map(level => (level === null ? null : level - offset))
+  };
+}
+
+/**
+ * Band-by-band deviation of a measured balance from a genre target
+ */
+export function compareTonalBalance(balance, target) {
+  const bands = target.centers.map((frequency, i) => {
+    const level = balance.levels[i];
+    if (level === null) {
+      return { frequency, level: null, target: target.curve[i], tolerance: target.tolerance[i], deviation: 0, excess: 0 };
+    }
+
+    const deviation = level - target.curve[i];
+    const excess = Math.sign(deviation) * Math.max(0, Math.abs(deviation) - target.tolerance[i]);
+    return { frequency, level, target: target.curve[i], tolerance: target.tolerance[i], deviation, excess };
+  });
+
+  const region = (low, high) => {
+    const inRegion = bands.filter(band => band.level !== null && band.frequency >= low && band.frequency < high);
+    return inRegion.length > 0
+      ? inRegion.reduce((sum, band) => sum + band.excess, 0) / inRegion.length
+      : 0;
+  };
+
+  const measured = bands.filter(band => band.level !== null);
+  const rms = measured.length > 0
+    ? Math.sqrt(measured.reduce((sum, band) => sum + band.deviation * band.deviation, 0) / measured.length)
+    : 0;
+
+  return {
+    genre: target.id,
+    bands,
+    rms,
+    outOfTolerance: bands.filter(band => band.excess !== 0).length,
+    // Mean excess beyond tolerance per region (dB, + = too much, - = too little)
+    regions: {
+      low: region(20, 150),
+      lowMid: region(150, 500),
+      mid: region(500, 4000),
+      high: region(4000, 20001)
+    }
+  };
+}
+
+/**
+ * Octave-band EQ that pulls out-of-tolerance bands back to the tolerance edge
+ * strength (0-1) scales the correction
+ */
+export function deriveCorrectiveEQ(comparison, strength = 1) {
+  return ANCHORS.map(frequency => {
+    const low = frequency / Math.SQRT2;
+    const high = frequency * Math.SQRT2;
+    const inBand = comparison.bands.filter(band => band.frequency >= low && band.frequency < high);
+    const excess = inBand.length > 0
+      ? inBand.reduce((sum, band) => sum + band.excess, 0) / inBand.length
+      : 0;
+    const gain = Math.max(-MAX_CORRECTION_GAIN, Math.min(MAX_CORRECTION_GAIN, -excess * strength));
+    return { frequency, gain };
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Playback Transport
+ * Play position, pause/resume and loop region kept against the AudioContext clock,
+ * so the reported position follows what the audio hardware actually renders
+ */
+
+export class Transport {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.duration = 0;
+    this.loop = null;
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'stopped';
+    // Position (seconds) at startedAt, or the held position while paused/stopped
+    this.offset = 0;
+    this.startedAt = 0;
+  }
+
+  /**
+   * Buffer length the transport runs over (seconds)
+   */
+  setDuration(duration) {
+    this.duration = duration;
+    this.reset();
+    this.loop = null;
+  }
+
+  /**
+   * Clamp a position to the buffer, snapped to a whole sample
+   */
+  quantize(position) {
+    const sampleRate = this.audioContext.sampleRate;
+    const clamped = Math.max(0, Math.min(this.duration, position));
+    return Math.round(clamped * sampleRate) / sampleRate;
+  }
+
+  /**
+   * Position where a start from `position` actually begins: inside the loop region when one is set
+   */
+  resolveStart(position) {
+    const { loop } = this;
+    if (loop && (position < loop.start || position >= loop.end)) {
+      return this.quantize(loop.start);
+    }
+    return this.quantize(position);
+  }
+
+  /**
+   * Mark playback as started from `position` at context time `when`
+   */
+  start(position, when = this.audioContext.currentTime) {
+    this.offset = this.resolveStart(position);
+    this.startedAt = when;
+    this.state = 'playing';
+    return this.offset;
+  }
+
+  /**
+   * Position (seconds) after `elapsed` seconds of playback. A loop keeps wrapping inside its region.
+   */
+  positionAfter(elapsed) {
+    let position = this.offset + Math.max(0, elapsed);
+    const { loop } = this;
+    if (loop && this.offset < loop.end && position >= loop.end) {
+      position = loop.start + (position - loop.start) % (loop.end - loop.start);
+    }
+    return Math.min(this.duration, position);
+  }
+
+  /**
+   * Position (seconds) the sources have rendered up to
+   */
+  getRenderedPosition() {
+    if (this.state !== 'playing') {
+      return this.offset;
+    }
+    return this.positionAfter(this.audioContext.currentTime - this.startedAt);
+  }
+
+  /**
+   * Position (seconds) currently heard, compensated for the output latency
+   */
+  getPosition() {
+    if (this.state !== 'playing') {
+      return this.offset;
+    }
+    const latency = this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+    return this.positionAfter(this.audioContext.currentTime - this.startedAt - latency);
+  }
+
+  /**
+   * Hold the rendered position, so a resume continues at the next sample
+   */
+  pause() {
+    this.offset = this.quantize(this.getRenderedPosition());
+    this.state = 'paused';
+    return this.offset;
+  }
+
+  stop() {
+    this.reset();
+  }
+
+  /**
+   * Move the held position (playing transports are restarted by the caller)
+   */
+  seek(position) {
+    this.offset = this.resolveStart(position);
+    return this.offset;
+  }
+
+  /**
+   * Loop region { start, end } in seconds, or null. While playing, re-anchors on the
+   * current position so the reported position stays continuous.
+   */
+  setLoop(region) {
+    const position = this.getRenderedPosition();
+    this.loop = region && region.end > region.start
+      ? { start: this.quantize(region.start), end: this.quantize(region.end) }
+      : null;
+    if (this.state === 'playing') {
+      this.offset = position;
+      this.startedAt = this.audioContext.currentTime;
+    }
+    return this.loop;
+  }
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureTruePeak, getOversampleFactor, TRUE_PEAK_HEADROOM_DB } from './truePeakDetector.js';
+import { LosslessTruePeakLimiter } from './losslessProcessor.js';
+
+/**
+ * Mono buffer of a unit-amplitude cosine, faded in and out so the edges add no overshoot
+ */
+function tone(frequency, phase, sampleRate, length = 4096) {
+  const fade = 1000;
+  const data = Float32Array.from({ length }, (_, i) =>
+    Math.min(1, i / fade, (length - 1 - i) / fade) * Math.cos(2 * Math.PI * frequency * i / sampleRate + phase));
+  return {
+    numberOfChannels: 1,
+    length,
+    sampleRate,
+    duration: length / sampleRate,
+    getChannelData: () => data
+  };
+}
+
+test('oversamples 4x up to 96 kHz', () => {
+  assert.equal(getOversampleFactor(44100), 4);
+  assert.equal(getOversampleFactor(96000), 4);
+  assert.equal(getOversampleFactor(192000), 2);
+});
+
+test('an fs/4 tone between samples reads its true peak', () => {
+  [44100, 48000, 96000].forEach(sampleRate => {
+    const { samplePeakDB, truePeakDB } = measureTruePeak(tone(sampleRate / 4, Math.PI / 4, sampleRate));
+    assert.ok(Math.abs(samplePeakDB + 3.01) < 0.01, `sample peak at ${sampleRate} Hz: ${samplePeakDB}`);
+    assert.ok(Math.abs(truePeakDB) < 0.01, `true peak at ${sampleRate} Hz: ${truePeakDB}`);
+  });
+});
+
+test('tones up to 20 kHz read within the documented headroom', () => {
+  [44100, 48000, 96000].forEach(sampleRate => {
+    [1000, 5513, 11025, 15000, 19845].forEach(frequency => {
+      for (let degrees = 0; degrees < 90; degrees += 7.5) {
+        const { truePeakDB } = measureTruePeak(tone(frequency, degrees * Math.PI / 180, sampleRate));
+        assert.ok(
+          truePeakDB > -TRUE_PEAK_HEADROOM_DB && truePeakDB < 0.05,
+          `${frequency} Hz at ${degrees} degrees, ${sampleRate} Hz: ${truePeakDB.toFixed(3)} dBTP`
+        );
+      }
+    });
+  });
+});
+
+test('the export true-peak limiter holds its ceiling and releases afterwards', () => {
+  const sampleRate = 48000;
+  const length = sampleRate;
+  // A loud burst of inter-sample overs (fs/4 at 45 degrees), then a quiet tone
+  const data = Float32Array.from({ length }, (_, i) => i < sampleRate / 4
+    ? 1.2 * Math.cos(Math.PI * i / 2 + Math.PI / 4)
+    : 0.25 * Math.sin(2 * Math.PI * 440 * i / sampleRate));
+  const buffer = { numberOfChannels: 1, length, sampleRate, duration: 1, getChannelData: () => data };
+
+  new LosslessTruePeakLimiter(-1, sampleRate).processBuffer(buffer);
+
+  assert.ok(measureTruePeak(buffer).truePeakDB <= -1, `true peak ${measureTruePeak(buffer).truePeakDB} dBTP`);
+  // Half a second after the burst the quiet tone is back at full level
+  const tail = data.subarray(Math.round(sampleRate * 0.75));
+  const peak = tail.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+  assert.ok(Math.abs(peak - 0.25) < 0.001, `tail peak ${peak}`);
+});
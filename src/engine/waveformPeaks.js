@@ -0,0 +1,130 @@
+/**
+ * Waveform Peak Cache
+ * Multi-resolution min/max peaks per lane (left, right, mid, side) so waveforms of
+ * long files redraw at any zoom without rescanning the samples
+ */
+
+// Samples per peak at the finest cached level; each coarser level halves the resolution
+const BASE_SAMPLES_PER_PEAK = 256;
+
+// Lanes available for a channel count
+export const WAVEFORM_LANES = {
+  mono: ['mono'],
+  lr: ['left', 'right'],
+  ms: ['mid', 'side']
+};
+
+/**
+ * Per-sample reader for a lane (mid/side scaled so a mono signal reads the same in M as in L)
+ */
+function createLaneReader(audioBuffer, lane) {
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+  switch (lane) {
+    case 'right': return (i) => right[i];
+    case 'mid': return (i) => 0.5 * (left[i] + right[i]);
+    case 'side': return (i) => 0.5 * (left[i] - right[i]);
+    default: return (i) => left[i];
+  }
+}
+
+function buildLevels(length, read) {
+  const count = Math.ceil(length / BASE_SAMPLES_PER_PEAK);
+  let min = new Float32Array(count);
+  let max = new Float32Array(count);
+
+  for (let p = 0; p < count; p++) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    const end = Math.min(length, (p + 1) * BASE_SAMPLES_PER_PEAK);
+    for (let i = p * BASE_SAMPLES_PER_PEAK; i < end; i++) {
+      const sample = read(i);
+      if (sample < lo) lo = sample;
+      if (sample > hi) hi = sample;
+    }
+    min[p] = lo;
+    max[p] = hi;
+  }
+
+  const levels = [{ samplesPerPeak: BASE_SAMPLES_PER_PEAK, min, max }];
+  while (min.length > 1) {
+    const nextCount = Math.ceil(min.length / 2);
+    const nextMin = new Float32Array(nextCount);
+    const nextMax = new Float32Array(nextCount);
+    for (let p = 0; p < nextCount; p++) {
+      const second = Math.min(min.length - 1, 2 * p + 1);
+      nextMin[p] = Math.min(min[2 * p], min[second]);
+      nextMax[p] = Math.max(max[2 * p], max[second]);
+    }
+    min = nextMin;
+    max = nextMax;
+    levels.push({ samplesPerPeak: levels[levels.length - 1].samplesPerPeak * 2, min, max });
+  }
+  return levels;
+}
+
+/**
+ * Peak cache for every lane of a buffer: { length, sampleRate, lanes: { [lane]: { read, levels } } }
+ */
+export function createPeakCache(audioBuffer) {
+  const laneNames = audioBuffer.numberOfChannels > 1
+    ? [...WAVEFORM_LANES.lr, ...WAVEFORM_LANES.ms]
+    : WAVEFORM_LANES.mono;
+  const lanes = {};
+
+  laneNames.forEach(lane => {
+    const read = createLaneReader(audioBuffer, lane);
+    lanes[lane] = { read, levels: buildLevels(audioBuffer.length, read) };
+  });
+
+  return {
+    length: audioBuffer.length,
+    sampleRate: audioBuffer.sampleRate,
+    channels: audioBuffer.numberOfChannels,
+    lanes
+  };
+}
+
+/**
+ * Min/max per pixel for samples [start, end) of a lane. Uses the coarsest cached level
+ * that still resolves a pixel, and the samples themselves when zoomed in further.
+ */
+export function getPeaks(cache, lane, start, end, pixels) {
+  const { read, levels } = cache.lanes[lane] || cache.lanes.mono || cache.lanes.left;
+  const min = new Float32Array(pixels);
+  const max = new Float32Array(pixels);
+  const samplesPerPixel = (end - start) / pixels;
+
+  let level = null;
+  for (const candidate of levels) {
+    if (candidate.samplesPerPeak <= samplesPerPixel) level = candidate;
+  }
+
+  for (let x = 0; x < pixels; x++) {
+    const from = Math.max(0, Math.floor(start + x * samplesPerPixel));
+    const to = Math.min(cache.length, Math.max(from + 1, Math.floor(start + (x + 1) * samplesPerPixel)));
+    let lo = Infinity;
+    let hi = -Infinity;
+
+    if (level) {
+      const first = Math.floor(from / level.samplesPerPeak);
+      const last = Math.min(level.min.length, Math.ceil(to / level.samplesPerPeak));
+      for (let p = first; p < last; p++) {
+        if (level.min[p] < lo) lo = level.min[p];
+        if (level.max[p] > hi) hi = level.max[p];
+      }
+    } else {
+      for (let i = from; i < to; i++) {
+        const sample = read(i);
+        if (sample < lo) lo = sample;
+        if (sample > hi) hi = sample;
+      }
+    }
+
+    // Past the end of the buffer
+    min[x] = lo === Infinity ? 0 : lo;
+    max[x] = hi === -Infinity ? 0 : hi;
+  }
+
+  return { min, max };
+}